@@ -17,13 +17,44 @@ class DastyarApp {
      */
     async init() {
         try {
+            await Storage.init();
+            if (Storage.isLocked()) {
+                await Lock.prompt();
+            }
+            await Migrations.run();
             this.cacheElements();
             this.loadFromStorage();
             this.setupEventListeners();
+            Settings.init();
+            Markdown.init();
+            Tags.init();
+            NoteSearch.init();
+            NoteOrder.init();
+            Checklist.init();
+            NoteEditor.init();
+            Revisions.init();
+            Drafts.init();
+            Recurrence.init();
+            Reminders.init();
+            QuickAccess.init();
+            Backup.init();
+            CsvExport.init();
+            Sync.init();
+            Trash.init();
+            Snapshots.init();
+            Undo.init();
+            Lock.init();
+            Profiles.init();
+            Quota.init();
+            Integrity.init();
             this.renderNotes();
             this.renderQuickLinks();
             this.renderCalendar();
             this.updateDateTime();
+
+            if (Storage.isVolatile()) {
+                this.showToast('ذخیره‌سازی در این مرورگر ممکن نیست؛ تغییرات با بستن صفحه از بین می‌روند', 'error');
+            }
             
             // Update time every minute
             setInterval(() => this.updateDateTime(), 60000);
@@ -45,14 +76,14 @@ class DastyarApp {
         this.elements.searchForm = document.getElementById('searchForm');
 
         // Notes elements
-        this.elements.notesContainer = document.getElementById('notesContainer');
+        this.elements.notesContainer = document.getElementById('notesList');
         this.elements.addNoteBtn = document.getElementById('addNoteBtn');
         this.elements.noteModal = document.getElementById('noteModal');
         this.elements.noteForm = document.getElementById('noteForm');
         this.elements.noteTitle = document.getElementById('noteTitle');
         this.elements.noteContent = document.getElementById('noteContent');
-        this.elements.charCount = document.getElementById('charCount');
         this.elements.cancelNoteBtn = document.getElementById('cancelNoteBtn');
+        this.elements.closeNoteBtn = document.getElementById('closeNoteModal');
 
         // Quick Access elements
         this.elements.quickLinksContainer = document.getElementById('quickLinksContainer');
@@ -74,10 +105,10 @@ class DastyarApp {
         this.elements.calendarTypeLabel = document.getElementById('calendarTypeLabel');
 
         // Date Note Modal elements
-        this.elements.dateNoteModal = document.getElementById('dateNoteModal');
+        this.elements.dateNoteModal = document.getElementById('dateNotesModal');
         this.elements.dateNotesList = document.getElementById('dateNotesList');
         this.elements.addDateNoteBtn = document.getElementById('addDateNoteBtn');
-        this.elements.closeDateNoteBtn = document.getElementById('closeDateNoteBtn');
+        this.elements.closeDateNoteBtn = document.getElementById('closeDateNotesModal');
 
         // Toast
         this.elements.toast = document.getElementById('toast');
@@ -112,28 +143,28 @@ class DastyarApp {
             this.elements.noteForm.addEventListener('submit', (e) => this.handleNoteSubmit(e));
         }
 
-        // Notes: Cancel Button
+        // Notes: Cancel and Close Buttons
         if (this.elements.cancelNoteBtn) {
-            this.elements.cancelNoteBtn.addEventListener('click', () => this.closeAllModals());
+            this.elements.cancelNoteBtn.addEventListener('click', () => {
+                if (Drafts.confirmClose()) this.closeAllModals();
+            });
         }
-
-        // Notes: Character Counter
-        if (this.elements.noteContent) {
-            this.elements.noteContent.addEventListener('input', (e) => {
-                const count = e.target.value.length;
-                if (this.elements.charCount) {
-                    this.elements.charCount.textContent = `${count} / 500`;
-                }
+        if (this.elements.closeNoteBtn) {
+            this.elements.closeNoteBtn.addEventListener('click', () => {
+                if (Drafts.confirmClose()) this.closeAllModals();
             });
         }
 
-        // Notes Container: Event Delegation for Edit/Delete
+        // Notes Container: Event Delegation for Pin/Edit/Delete
         if (this.elements.notesContainer) {
             this.elements.notesContainer.addEventListener('click', (e) => {
+                const pinBtn = e.target.closest('.note-pin');
                 const editBtn = e.target.closest('.note-edit');
                 const deleteBtn = e.target.closest('.note-delete');
 
-                if (editBtn) {
+                if (pinBtn) {
+                    this.togglePinNote(pinBtn.dataset.id);
+                } else if (editBtn) {
                     const noteId = editBtn.dataset.id;
                     this.editNote(noteId);
                 } else if (deleteBtn) {
@@ -210,7 +241,7 @@ class DastyarApp {
                 const dateKey = this.elements.dateNoteModal?.dataset.currentDate;
                 if (dateKey) {
                     // Close date modal and open note form
-                    this.elements.dateNoteModal.classList.remove('active');
+                    this.closeAllModals();
                     
                     // Mark that this note is for a specific date
                     this.elements.noteForm.dataset.dateContext = dateKey;
@@ -222,40 +253,94 @@ class DastyarApp {
 
         // Date Note Modal: Close Button
         if (this.elements.closeDateNoteBtn) {
-            this.elements.closeDateNoteBtn.addEventListener('click', () => {
-                this.elements.dateNoteModal?.classList.remove('active');
-            });
+            this.elements.closeDateNoteBtn.addEventListener('click', () => this.closeAllModals());
         }
 
-        // Date Notes List: Event Delegation for Delete
+        // Date Notes List: Event Delegation for note actions
         if (this.elements.dateNotesList) {
             this.elements.dateNotesList.addEventListener('click', (e) => {
                 const deleteBtn = e.target.closest('.date-note-delete');
-                if (deleteBtn) {
-                    const noteId = deleteBtn.dataset.id;
-                    const dateKey = this.elements.dateNoteModal?.dataset.currentDate;
-                    if (dateKey) {
-                        this.deleteDateNote(dateKey, noteId);
-                    }
+                const reminderBtn = e.target.closest('.date-note-reminder');
+                const editBtn = e.target.closest('.date-note-edit');
+                const skipBtn = e.target.closest('.date-note-skip');
+                const dateKey = this.elements.dateNoteModal?.dataset.currentDate;
+                if (!dateKey) return;
+
+                if (reminderBtn) {
+                    Reminders.edit(dateKey, reminderBtn.dataset.id);
+                } else if (editBtn) {
+                    this.editDateOccurrence(dateKey, editBtn.dataset.id);
+                } else if (skipBtn) {
+                    Recurrence.skip(dateKey, skipBtn.dataset.id);
+                } else if (deleteBtn) {
+                    this.deleteDateNote(dateKey, deleteBtn.dataset.id);
                 }
             });
         }
 
         // Modal Background Click (Close modals)
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal') && e.target.classList.contains('active')) {
+            const modal = e.target.closest('.modal.active');
+            if (modal && (e.target === modal || e.target.classList.contains('modal-overlay')) && Drafts.confirmClose()) {
                 this.closeAllModals();
             }
         });
 
         // Escape Key (Close modals)
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
+            if (e.key === 'Escape' && Drafts.confirmClose()) {
                 this.closeAllModals();
             }
         });
     }
 
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+
+    /**
+     * Load application state from the Storage module
+     */
+    loadFromStorage() {
+        this.state.notes = Storage.getNotes();
+        this.state.quickLinks = Storage.getQuickAccess();
+        this.state.dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+        this.state.currentCalendarType = Storage.getCalendarType();
+    }
+
+    /**
+     * Reload state from storage and re-render every view
+     */
+    refresh() {
+        this.loadFromStorage();
+        this.renderNotes();
+        this.renderQuickLinks();
+        this.renderCalendar();
+        this.notifyCalendarUpdate();
+
+        // Keep an open date modal in step as well
+        const openDateKey = this.elements.dateNoteModal?.classList.contains('active') &&
+            this.elements.dateNoteModal.dataset.currentDate;
+        if (openDateKey) {
+            this.renderDateNotes(openDateKey);
+        }
+
+        Tags.render();
+        NoteSearch.refresh();
+        if (typeof QuickAccess !== 'undefined') QuickAccess.render();
+        window.dispatchEvent(new CustomEvent('notesUpdated'));
+    }
+
+    /**
+     * Persist application state through the Storage module
+     */
+    saveToStorage() {
+        Storage.set(Storage.KEYS.NOTES, this.state.notes);
+        Storage.set(Storage.KEYS.DATE_NOTES, this.state.dateNotes);
+        Storage.set(Storage.KEYS.QUICK_ACCESS, this.state.quickLinks);
+        Storage.setCalendarType(this.state.currentCalendarType);
+    }
+
     // ============================================
     // SEARCH FUNCTIONALITY
     // ============================================
@@ -297,51 +382,84 @@ class DastyarApp {
             this.elements.noteTitle.value = note.title;
             this.elements.noteContent.value = note.content;
             this.elements.noteForm.dataset.editId = note.id;
-            if (this.elements.charCount) {
-                this.elements.charCount.textContent = `${note.content.length} / 500`;
-            }
+            this.editingBase = JSON.stringify(note);
+            this.setNoteColor(note.color);
+            this.setNoteType(note.type);
         } else {
             // Create mode
             this.elements.noteForm?.reset();
             delete this.elements.noteForm?.dataset.editId;
-            if (this.elements.charCount) {
-                this.elements.charCount.textContent = '0 / 500';
-            }
+            this.editingBase = null;
         }
 
-        this.elements.noteModal.classList.add('active');
+        Tags.setEditorTags(note);
+        Checklist.updateEditorHint();
+        this.setReminderField(this.elements.noteForm?.dataset.dateContext);
+        Recurrence.setEditorField(this.elements.noteForm?.dataset.dateContext);
+        Markdown.setEditorMode('noteContent', 'edit');
+        NoteEditor.reset();
+        Revisions.setEditorPanel(note, this.elements.noteForm?.dataset.occurrence || null);
+        Drafts.open();
+        this.openModal(this.elements.noteModal);
         this.elements.noteTitle?.focus();
     }
 
-    handleNoteSubmit(e) {
+    async handleNoteSubmit(e) {
         e.preventDefault();
 
         const title = this.elements.noteTitle?.value.trim();
-        const content = this.elements.noteContent?.value.trim();
+        const type = this.elements.noteForm?.elements.noteType?.value === Checklist.TYPE ? Checklist.TYPE : 'note';
+        const rawContent = this.elements.noteContent?.value.trim();
+        const content = type === Checklist.TYPE ? Checklist.normalize(rawContent) : rawContent;
 
         if (!title || !content) {
             this.showToast('لطفاً عنوان و محتوا را وارد کنید', 'error');
             return;
         }
 
-        if (content.length > 500) {
-            this.showToast('محتوا نباید بیشتر از ۵۰۰ کاراکتر باشد', 'error');
+        if (NoteEditor.isTooLong(content, this.editingBase ? JSON.parse(this.editingBase).content : '')) {
+            this.showToast(NoteEditor.getLimitMessage(), 'error');
             return;
         }
 
+        const tags = Tags.collect(content);
+        const color = NoteOrder.normalizeColor(this.elements.noteForm?.elements.noteColor?.value);
         const editId = this.elements.noteForm?.dataset.editId;
         const dateContext = this.elements.noteForm?.dataset.dateContext;
+        const occurrence = this.elements.noteForm?.dataset.occurrence;
+        const draftKey = Drafts.getKey();
+
+        // Another tab may have changed or deleted this note meanwhile
+        if (editId && this.hasEditingConflict() &&
+            !confirm('این یادداشت در زبانه دیگری تغییر کرده است. تغییرات شما جایگزین آن شود؟')) {
+            return;
+        }
+
+        // An existing date note, or one occurrence of a recurring note
+        if (occurrence) {
+            if (!(await this.saveDateOccurrence(occurrence, editId, { title, content, tags, color, type }))) return;
+            Drafts.clear(draftKey);
+            this.closeAllModals();
+            this.showDateNoteModal(occurrence);
+            return;
+        }
 
         // If this note is for a specific date
         if (dateContext) {
-            this.addDateNote(dateContext, title, content);
+            const reminder = Reminders.create(dateContext, document.getElementById('noteReminderTime')?.value);
+            const recurrence = Recurrence.readEditorField();
+            if (!(await this.addDateNote(dateContext, title, content, { tags, color, type, reminder, recurrence }))) return;
+            if (reminder) Reminders.requestPermission();
+            Drafts.clear(draftKey);
             delete this.elements.noteForm.dataset.dateContext;
             this.closeAllModals();
             this.showDateNoteModal(dateContext); // Return to date modal
             return;
         }
 
-        // Regular note
+        // Regular note; start from the stored notes so changes other tabs made meanwhile are kept
+        this.state.notes = Storage.getNotes();
+        const stored = editId ? this.state.notes.find(n => n.id === editId) : null;
         if (editId) {
             // Edit existing note
             const index = this.state.notes.findIndex(n => n.id === editId);
@@ -350,24 +468,80 @@ class DastyarApp {
                     ...this.state.notes[index],
                     title,
                     content,
+                    tags,
+                    color,
+                    type,
                     updatedAt: new Date().toISOString()
                 };
+            } else {
+                // Deleted elsewhere and the user chose to keep it
+                this.state.notes.push({
+                    ...JSON.parse(this.editingBase),
+                    title,
+                    content,
+                    tags,
+                    color,
+                    type,
+                    updatedAt: new Date().toISOString()
+                });
             }
         } else {
             // Create new note
+            const now = new Date().toISOString();
             const newNote = {
                 id: this.generateId(),
                 title,
                 content,
-                createdAt: new Date().toISOString()
+                tags,
+                color,
+                type,
+                createdAt: now,
+                updatedAt: now
             };
             this.state.notes.push(newNote);
         }
 
-        this.saveToStorage();
+        const saved = await Storage.commit(() =>
+            Undo.record(editId ? 'ویرایش یادداشت' : 'ایجاد یادداشت', [Storage.KEYS.NOTES, Storage.KEYS.REVISIONS], () => {
+                Storage.saveRevision(stored, this.state.notes.find(n => n.id === editId));
+                this.saveToStorage();
+            })
+        );
+
+        if (!saved) {
+            // Drop the unsaved change from state but keep the form open
+            this.loadFromStorage();
+            return;
+        }
+
+        Drafts.clear(draftKey);
         this.renderNotes();
         this.closeAllModals();
-        this.showToast('یادداشت با موفقیت ذخیره شد', 'success');
+        this.showToast('یادداشت با موفقیت ذخیره شد', 'success', Undo.getToastAction());
+    }
+
+    /**
+     * Get the stored version of the note open in the note form
+     * @returns {Object|null} Note, or null if it no longer exists
+     */
+    getStoredEditingNote() {
+        const { editId, occurrence } = this.elements.noteForm?.dataset || {};
+        if (!editId) return null;
+
+        return occurrence ?
+            Recurrence.getNote(Storage.get(Storage.KEYS.DATE_NOTES, {}), occurrence, editId) :
+            Storage.getNotes().find(n => n.id === editId) || null;
+    }
+
+    /**
+     * Check whether the note open in the note form was changed or deleted
+     * (e.g. in another tab) since the form was opened
+     * @returns {boolean} True on a conflict
+     */
+    hasEditingConflict() {
+        if (!this.elements.noteForm?.dataset.editId || this.editingBase === null) return false;
+
+        return JSON.stringify(this.getStoredEditingNote()) !== this.editingBase;
     }
 
     editNote(noteId) {
@@ -377,12 +551,65 @@ class DastyarApp {
         }
     }
 
-    deleteNote(noteId) {
+    /**
+     * Pin a note to the top of the list, or unpin it
+     * @param {string} noteId - Note ID
+     */
+    async togglePinNote(noteId) {
+        const index = this.state.notes.findIndex(n => n.id === noteId);
+        if (index === -1) return;
+
+        const pinned = !this.state.notes[index].pinned;
+        this.state.notes[index] = { ...this.state.notes[index], pinned };
+
+        const saved = await Storage.commit(() =>
+            Undo.record(pinned ? 'سنجاق کردن یادداشت' : 'برداشتن سنجاق یادداشت', [Storage.KEYS.NOTES], () => this.saveToStorage())
+        );
+
+        if (!saved) {
+            this.loadFromStorage();
+        }
+
+        this.renderNotes();
+    }
+
+    /**
+     * Select a color label in the note form
+     * @param {string|null} color - Color key, or null for none
+     */
+    setNoteColor(color) {
+        const input = this.elements.noteForm?.querySelector(`input[name="noteColor"][value="${NoteOrder.normalizeColor(color) || ''}"]`);
+        if (input) {
+            input.checked = true;
+        }
+    }
+
+    /**
+     * Select the note type in the note form
+     * @param {string} type - 'note' or 'checklist'
+     */
+    setNoteType(type) {
+        const input = this.elements.noteForm?.querySelector(`input[name="noteType"][value="${type === Checklist.TYPE ? Checklist.TYPE : 'note'}"]`);
+        if (input) {
+            input.checked = true;
+        }
+    }
+
+    async deleteNote(noteId) {
         if (confirm('آیا از حذف این یادداشت اطمینان دارید؟')) {
-            this.state.notes = this.state.notes.filter(n => n.id !== noteId);
-            this.saveToStorage();
+            // Storage keeps the deleted note in the trash
+            const saved = await Storage.commit(() =>
+                Undo.record('حذف یادداشت', [Storage.KEYS.NOTES, Storage.KEYS.TRASH], () => Storage.deleteNote(noteId))
+            );
+
+            if (!saved) {
+                this.loadFromStorage();
+                return;
+            }
+
+            this.state.notes = Storage.getNotes();
             this.renderNotes();
-            this.showToast('یادداشت حذف شد', 'success');
+            this.showToast('یادداشت به سطل زباله منتقل شد', 'success', Undo.getToastAction());
         }
     }
 
@@ -398,24 +625,37 @@ class DastyarApp {
             return;
         }
 
-        const notesHtml = this.state.notes.map(note => {
+        const notes = NoteOrder.sort(this.state.notes.filter(note => Tags.matches(note)));
+
+        if (notes.length === 0) {
+            this.elements.notesContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>یادداشتی با برچسب #${this.sanitizeHtml(Tags.selected)} وجود ندارد</p>
+                </div>
+            `;
+            return;
+        }
+
+        const notesHtml = notes.map(note => {
             const date = new Date(note.createdAt);
             const formattedDate = this.formatDate(date);
             
+            const color = NoteOrder.normalizeColor(note.color);
+            
             return `
-                <div class="note-card">
+                <div class="note-card${note.pinned ? ' pinned' : ''}" role="listitem" tabindex="0" draggable="true" data-id="${Utils.escapeHTML(note.id)}"${color ? ` data-color="${color}"` : ''}>
                     <div class="note-header">
                         <h3 class="note-title">${this.sanitizeHtml(note.title)}</h3>
                         <div class="note-actions">
-                            <button class="note-edit" data-id="${note.id}" title="ویرایش">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="note-delete" data-id="${note.id}" title="حذف">
-                                <i class="fas fa-trash"></i>
-                            </button>
+                            <button class="btn-icon note-pin${note.pinned ? ' active' : ''}" data-id="${Utils.escapeHTML(note.id)}" title="${note.pinned ? 'برداشتن سنجاق' : 'سنجاق کردن'}" aria-pressed="${Boolean(note.pinned)}">📌</button>
+                            <button class="btn-icon note-edit" data-id="${Utils.escapeHTML(note.id)}" title="ویرایش">✏️</button>
+                            <button class="btn-icon note-delete" data-id="${Utils.escapeHTML(note.id)}" title="حذف">🗑️</button>
                         </div>
                     </div>
-                    <p class="note-content">${this.sanitizeHtml(note.content)}</p>
+                    ${NoteEditor.renderCollapsible(Checklist.isChecklist(note) ?
+                        Checklist.render(note) :
+                        `<div class="note-content markdown-body">${Markdown.render(note.content)}</div>`, note)}
+                    ${Tags.renderNoteTags(note)}
                     <div class="note-footer">
                         <span class="note-date">${formattedDate}</span>
                     </div>
@@ -449,7 +689,7 @@ class DastyarApp {
         this.elements.linkTitle?.focus();
     }
 
-    handleLinkSubmit(e) {
+    async handleLinkSubmit(e) {
         e.preventDefault();
 
         const title = this.elements.linkTitle?.value.trim();
@@ -493,15 +733,25 @@ class DastyarApp {
                 id: this.generateId(),
                 title,
                 url,
-                icon: icon || null
+                icon: icon || null,
+                createdAt: new Date().toISOString()
             };
             this.state.quickLinks.push(newLink);
         }
 
-        this.saveToStorage();
+        const saved = await Storage.commit(() =>
+            Undo.record(editId ? 'ویرایش لینک' : 'ایجاد لینک', [Storage.KEYS.QUICK_ACCESS], () => this.saveToStorage())
+        );
+
+        if (!saved) {
+            // Drop the unsaved change from state but keep the form open
+            this.loadFromStorage();
+            return;
+        }
+
         this.renderQuickLinks();
         this.closeAllModals();
-        this.showToast('لینک با موفقیت ذخیره شد', 'success');
+        this.showToast('لینک با موفقیت ذخیره شد', 'success', Undo.getToastAction());
     }
 
     editLink(linkId) {
@@ -511,12 +761,20 @@ class DastyarApp {
         }
     }
 
-    deleteLink(linkId) {
+    async deleteLink(linkId) {
         if (confirm('آیا از حذف این لینک اطمینان دارید؟')) {
-            this.state.quickLinks = this.state.quickLinks.filter(l => l.id !== linkId);
-            this.saveToStorage();
+            const saved = await Storage.commit(() =>
+                Undo.record('حذف لینک', [Storage.KEYS.QUICK_ACCESS, Storage.KEYS.TRASH], () => Storage.deleteQuickAccessItem(linkId))
+            );
+
+            if (!saved) {
+                this.loadFromStorage();
+                return;
+            }
+
+            this.state.quickLinks = Storage.getQuickAccess();
             this.renderQuickLinks();
-            this.showToast('لینک حذف شد', 'success');
+            this.showToast('لینک به سطل زباله منتقل شد', 'success', Undo.getToastAction());
         }
     }
 
@@ -538,10 +796,10 @@ class DastyarApp {
                         <span class="quick-link-title">${this.sanitizeHtml(link.title)}</span>
                     </a>
                     <div class="quick-link-actions">
-                        <button class="link-edit" data-id="${link.id}" title="ویرایش">
+                        <button class="link-edit" data-id="${Utils.escapeHTML(link.id)}" title="ویرایش">
                             <i class="fas fa-edit"></i>
                         </button>
-                        <button class="link-delete" data-id="${link.id}" title="حذف">
+                        <button class="link-delete" data-id="${Utils.escapeHTML(link.id)}" title="حذف">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
@@ -789,51 +1047,149 @@ class DastyarApp {
 
         this.elements.dateNoteModal.dataset.currentDate = dateKey;
         
-        const date = new Date(dateKey);
+        const date = Utils.parseDateKey(dateKey) || new Date();
         const formattedDate = this.formatDate(date, true);
         
-        const modalTitle = this.elements.dateNoteModal.querySelector('.date-note-modal-title');
+        const modalTitle = this.elements.dateNoteModal.querySelector('.modal-title');
         if (modalTitle) {
             modalTitle.textContent = `یادداشت‌های ${formattedDate}`;
         }
 
         this.renderDateNotes(dateKey);
-        this.elements.dateNoteModal.classList.add('active');
+        this.openModal(this.elements.dateNoteModal);
     }
 
-    addDateNote(dateKey, title, content) {
+    /**
+     * Add a note to a calendar day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} title - Note title
+     * @param {string} content - Note content
+     * @param {Object} fields - Optional { tags, color, type, reminder, recurrence }
+     * @returns {Promise<boolean>} True if saved
+     */
+    async addDateNote(dateKey, title, content, { tags = [], color = null, type = 'note', reminder = null, recurrence = null } = {}) {
+        // Start from the stored notes so changes other tabs made meanwhile are kept
+        this.state.dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+
         if (!this.state.dateNotes[dateKey]) {
             this.state.dateNotes[dateKey] = [];
         }
 
+        const now = new Date().toISOString();
         const newNote = {
             id: this.generateId(),
             title,
             content,
-            createdAt: new Date().toISOString()
+            tags,
+            color,
+            type,
+            createdAt: now,
+            updatedAt: now
         };
 
+        if (reminder) {
+            newNote.reminder = reminder;
+        }
+
+        if (recurrence) {
+            newNote.recurrence = recurrence;
+        }
+
         this.state.dateNotes[dateKey].push(newNote);
-        this.saveToStorage();
+        const saved = await Storage.commit(() =>
+            Undo.record('ایجاد یادداشت تاریخ', [Storage.KEYS.DATE_NOTES], () => this.saveToStorage())
+        );
+
+        if (!saved) {
+            this.loadFromStorage();
+            return false;
+        }
+
         this.renderCalendar(); // Update calendar to show note indicator
         this.notifyCalendarUpdate(); // Notify calendar component
-        this.showToast('یادداشت تاریخ با موفقیت اضافه شد', 'success');
+        this.showToast('یادداشت تاریخ با موفقیت اضافه شد', 'success', Undo.getToastAction());
+        return true;
     }
 
-    deleteDateNote(dateKey, noteId) {
-        if (confirm('آیا از حذف این یادداشت اطمینان دارید؟')) {
-            if (this.state.dateNotes[dateKey]) {
-                this.state.dateNotes[dateKey] = this.state.dateNotes[dateKey].filter(n => n.id !== noteId);
-                
-                if (this.state.dateNotes[dateKey].length === 0) {
-                    delete this.state.dateNotes[dateKey];
+    /**
+     * Open the note form to change a date note, or one occurrence of a recurring note
+     * @param {string} dateKey - Date the note shows on
+     * @param {string} noteId - Note ID
+     */
+    editDateOccurrence(dateKey, noteId) {
+        const note = Recurrence.getNote(this.state.dateNotes, dateKey, noteId);
+        if (!note) return;
+
+        this.closeAllModals();
+        this.elements.noteForm.dataset.occurrence = dateKey;
+        this.showNoteModal(note);
+    }
+
+    /**
+     * Save changes to a date note, or to one occurrence of a recurring note
+     * @param {string} dateKey - Date the note shows on
+     * @param {string} noteId - Note ID
+     * @param {Object} fields - Changed fields
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveDateOccurrence(dateKey, noteId, fields) {
+        // Start from the stored notes so changes other tabs made meanwhile are kept
+        this.state.dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+
+        const previous = Recurrence.getNote(this.state.dateNotes, dateKey, noteId);
+        if (!previous) {
+            this.showToast('این یادداشت در زبانه دیگری حذف شده است', 'error');
+            return false;
+        }
+
+        const recurring = Recurrence.isRecurring(previous);
+        const changes = { ...fields, updatedAt: new Date().toISOString() };
+        if (!Recurrence.applyChanges(this.state.dateNotes, dateKey, noteId, changes)) return false;
+
+        const saved = await Storage.commit(() =>
+            Undo.record(recurring ? 'ویرایش یک تکرار' : 'ویرایش یادداشت تاریخ', [Storage.KEYS.DATE_NOTES, Storage.KEYS.REVISIONS], () => {
+                Storage.saveRevision(previous, Recurrence.getNote(this.state.dateNotes, dateKey, noteId), dateKey);
+                this.saveToStorage();
+            })
+        );
+
+        if (!saved) {
+            this.loadFromStorage();
+            return false;
+        }
+
+        this.notifyCalendarUpdate();
+        this.showToast(recurring ? 'این تکرار ویرایش شد' : 'یادداشت تاریخ ویرایش شد', 'success', Undo.getToastAction());
+        return true;
+    }
+
+    async deleteDateNote(dateKey, noteId) {
+        // An occurrence deletes the whole series, which is stored under its first date
+        const found = Recurrence.find(this.state.dateNotes, dateKey, noteId);
+        const recurring = found && Recurrence.isRecurring(found.note);
+        const message = recurring ?
+            'این یادداشت تکرارشونده است. همه تکرارهای آن حذف شود؟' :
+            'آیا از حذف این یادداشت اطمینان دارید؟';
+
+        if (found && confirm(message)) {
+            if (this.state.dateNotes[found.startKey]) {
+                const saved = await Storage.commit(() =>
+                    Undo.record('حذف یادداشت تاریخ', [Storage.KEYS.DATE_NOTES, Storage.KEYS.TRASH], () =>
+                        Storage.deleteDateNote(found.startKey, noteId)
+                    )
+                );
+
+                if (!saved) {
+                    this.loadFromStorage();
+                    return;
                 }
+
+                this.state.dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
                 
-                this.saveToStorage();
                 this.renderDateNotes(dateKey);
                 this.renderCalendar();
                 this.notifyCalendarUpdate();
-                this.showToast('یادداشت حذف شد', 'success');
+                this.showToast('یادداشت به سطل زباله منتقل شد', 'success', Undo.getToastAction());
             }
         }
     }
@@ -841,7 +1197,7 @@ class DastyarApp {
     renderDateNotes(dateKey) {
         if (!this.elements.dateNotesList) return;
 
-        const notes = this.state.dateNotes[dateKey] || [];
+        const notes = Recurrence.getNotes(this.state.dateNotes, dateKey);
 
         if (notes.length === 0) {
             this.elements.dateNotesList.innerHTML = `
@@ -852,21 +1208,52 @@ class DastyarApp {
             return;
         }
 
-        const notesHtml = notes.map(note => `
-            <div class="date-note-item">
+        const notesHtml = notes.map(note => {
+            const reminderTime = Reminders.formatTime(note);
+            const reminderActive = reminderTime && !note.reminder.dismissed;
+            const recurring = Recurrence.isRecurring(note);
+
+            return `
+            <div class="date-note-item"${NoteOrder.normalizeColor(note.color) ? ` data-color="${note.color}"` : ''}>
                 <div class="date-note-header">
                     <h4>${this.sanitizeHtml(note.title)}</h4>
-                    <button class="date-note-delete" data-id="${note.id}" title="حذف">
-                        <i class="fas fa-trash"></i>
-                    </button>
+                    ${reminderTime ? `<span class="date-note-reminder-time${reminderActive ? '' : ' dismissed'}">⏰ ${reminderTime}</span>` : ''}
+                    <button type="button" class="btn-icon date-note-reminder" data-id="${Utils.escapeHTML(note.id)}" title="یادآوری">⏰</button>
+                    <button type="button" class="btn-icon date-note-edit" data-id="${Utils.escapeHTML(note.id)}" title="${recurring ? 'ویرایش فقط همین تکرار' : 'ویرایش'}">✏️</button>
+                    ${recurring ? `
+                        <button type="button" class="btn-icon date-note-skip" data-id="${Utils.escapeHTML(note.id)}" title="حذف فقط همین تکرار">⏭️</button>
+                    ` : ''}
+                    <button type="button" class="btn-icon date-note-delete" data-id="${Utils.escapeHTML(note.id)}" title="${recurring ? 'حذف همه تکرارها' : 'حذف'}">🗑️</button>
                 </div>
-                <p class="date-note-content">${this.sanitizeHtml(note.content)}</p>
+                ${recurring ? `
+                    <p class="date-note-recurrence">
+                        🔁 ${Utils.escapeHTML(Recurrence.describe(note.recurrence, note.occurrenceOf))}${note.edited ? ' · <span class="date-note-edited">ویرایش‌شده برای این روز</span>' : ''}
+                    </p>
+                ` : ''}
+                ${NoteEditor.renderCollapsible(Checklist.isChecklist(note) ?
+                    Checklist.render(note, dateKey) :
+                    `<div class="date-note-content markdown-body">${Markdown.render(note.content)}</div>`, note, dateKey)}
+                ${Tags.renderNoteTags(note)}
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         this.elements.dateNotesList.innerHTML = notesHtml;
     }
 
+    /**
+     * Show the reminder field in the note form for date notes only
+     * @param {string|undefined} dateKey - Date the note is added to
+     */
+    setReminderField(dateKey) {
+        const field = document.getElementById('noteReminderField');
+        const input = document.getElementById('noteReminderTime');
+        if (!field || !input) return;
+
+        field.hidden = !dateKey;
+        input.value = '';
+    }
+
     /**
      * Notify other components about calendar updates (decoupled integration)
      */
@@ -881,6 +1268,49 @@ class DastyarApp {
     // UTILITY METHODS
     // ============================================
 
+    /**
+     * Show a modal
+     * @param {HTMLElement} modal - Modal element
+     */
+    openModal(modal) {
+        modal.hidden = false;
+        modal.classList.add('active');
+    }
+
+    /**
+     * Hide every modal opened with openModal()
+     */
+    closeAllModals() {
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            modal.classList.remove('active');
+            modal.hidden = true;
+        });
+
+        // A cancelled date note must not turn the next note into a date note
+        delete this.elements.noteForm?.dataset.dateContext;
+        delete this.elements.noteForm?.dataset.occurrence;
+    }
+
+    showToast(message, type = 'success', action = null) {
+        Utils.showToast(message, type, action);
+    }
+
+    generateId() {
+        return Utils.generateId();
+    }
+
+    sanitizeHtml(str) {
+        return Utils.escapeHTML(str);
+    }
+
+    toJalali(date) {
+        return new JalaliDate(date).toJalali();
+    }
+
+    isJalaliLeapYear(year) {
+        return JalaliDate.isLeapYear(year);
+    }
+
     updateDateTime() {
         const now = new Date();
         const timeString = now.toLocaleTimeString('fa-IR', { 
@@ -918,10 +1348,7 @@ class DastyarApp {
     }
 
     formatDateKey(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}${month}-${day}`;
+        return Utils.getDateKey(date);
     }
 
     isToday(date) {
@@ -0,0 +1,406 @@
+/**
+ * Backup Module
+ * Downloads JSON backups and restores them with validation,
+ * a preview of the changes and a replace/merge choice.
+ * Backups are encrypted with the passphrase while encryption is enabled.
+ * Notes can also be exported and restored as a zip of Markdown files.
+ */
+const Backup = {
+    // Parsed backup waiting for confirmation
+    pendingData: null,
+
+    // Encrypted backup waiting for its passphrase
+    pendingEncrypted: null,
+
+    /**
+     * Initialize Backup module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const downloadBtn = document.getElementById('backupDownloadBtn');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.download());
+        }
+
+        const markdownBtn = document.getElementById('markdownDownloadBtn');
+        if (markdownBtn) {
+            markdownBtn.addEventListener('click', () => this.downloadMarkdown());
+        }
+
+        const fileInput = document.getElementById('backupFileInput');
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadFile(file);
+                }
+            });
+        }
+
+        document.querySelectorAll('input[name="backupMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.renderPreview());
+        });
+
+        const restoreBtn = document.getElementById('backupRestoreBtn');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => this.restore());
+        }
+
+        const decryptBtn = document.getElementById('backupDecryptBtn');
+        if (decryptBtn) {
+            decryptBtn.addEventListener('click', () => this.decryptPending());
+        }
+
+        const passphraseInput = document.getElementById('backupPassphrase');
+        if (passphraseInput) {
+            passphraseInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.decryptPending();
+                }
+            });
+        }
+
+        document.addEventListener('settingsClosed', () => this.reset());
+    },
+
+    /**
+     * Download all data of a profile as a JSON file
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     */
+    async download(profileId = Storage.profile) {
+        let data;
+        try {
+            data = await Storage.exportEncryptedData(profileId);
+        } catch (error) {
+            console.error('Error encrypting backup:', error);
+            Utils.showToast('رمزگذاری فایل پشتیبان ناموفق بود', 'error');
+            return;
+        }
+
+        const profile = Storage.getProfiles().find(p => p.id === profileId);
+        const suffix = profileId === Storage.DEFAULT_PROFILE || !profile ?
+            '' :
+            `-${profile.name.trim().replace(/[\\/:*?"<>|\s]+/g, '-')}`;
+        const filename = `dastyar-backup${suffix}-${Utils.getDateKey(new Date())}.json`;
+
+        Utils.downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+        Utils.showToast(Encryption.isEncryptedExport(data) ? 'فایل پشتیبان رمزگذاری‌شده دانلود شد' : 'فایل پشتیبان دانلود شد');
+    },
+
+    /**
+     * Download notes of the active profile as a zip of Markdown files
+     */
+    downloadMarkdown() {
+        if (Storage.isEncrypted() &&
+            !confirm('فایل Markdown رمزگذاری نمی‌شود و یادداشت‌ها به صورت متن ساده در آن قرار می‌گیرند. ادامه می‌دهید؟')) {
+            return;
+        }
+
+        const { blob, count } = MarkdownArchive.create();
+        if (count === 0) {
+            Utils.showToast('یادداشتی برای خروجی وجود ندارد', 'info');
+            return;
+        }
+
+        Utils.downloadFile(`dastyar-notes-${Utils.getDateKey(new Date())}.zip`, blob, 'application/zip');
+        Utils.showToast(`${count} یادداشت به صورت Markdown دانلود شد`);
+    },
+
+    /**
+     * Read and validate a backup file
+     * @param {File} file - Selected file
+     */
+    async loadFile(file) {
+        this.pendingData = null;
+        this.pendingEncrypted = null;
+        this.togglePassphrase(false);
+
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        if (Zip.isZip(bytes)) {
+            this.loadArchive(bytes);
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch {
+            this.showErrors(['فایل انتخاب شده JSON معتبر نیست']);
+            return;
+        }
+
+        if (Encryption.isEncryptedExport(data)) {
+            if (!Encryption.isValidIterations(data.iterations) || typeof data.salt !== 'string') {
+                this.showErrors(['فایل پشتیبان رمزگذاری‌شده معتبر نیست']);
+                return;
+            }
+
+            const decrypted = await Storage.decryptExport(data);
+            if (!decrypted) {
+                // Made with another passphrase: ask for it
+                this.pendingEncrypted = data;
+                this.togglePassphrase(true);
+                return;
+            }
+            data = decrypted;
+        }
+
+        this.loadData(data);
+    },
+
+    /**
+     * Read notes from a zip of Markdown files
+     * @param {Uint8Array} bytes - Archive bytes
+     */
+    async loadArchive(bytes) {
+        let data;
+        try {
+            data = await MarkdownArchive.read(bytes);
+        } catch (error) {
+            console.error('Error reading Markdown archive:', error);
+            this.showErrors(['فایل zip انتخاب شده قابل خواندن نیست']);
+            return;
+        }
+
+        if (!data.notes && !data.dateNotes) {
+            this.showErrors(['هیچ فایل Markdown در فایل zip یافت نشد']);
+            return;
+        }
+
+        this.loadData(data);
+    },
+
+    /**
+     * Decrypt the pending encrypted backup with the entered passphrase
+     */
+    async decryptPending() {
+        const input = document.getElementById('backupPassphrase');
+        if (!this.pendingEncrypted || !input) return;
+
+        const data = await Storage.decryptExport(this.pendingEncrypted, input.value);
+        if (!data) {
+            this.showErrors(['رمز عبور فایل پشتیبان نادرست است']);
+            input.select();
+            return;
+        }
+
+        this.pendingEncrypted = null;
+        this.togglePassphrase(false);
+        this.loadData(data);
+    },
+
+    /**
+     * Show or hide the backup passphrase field
+     * @param {boolean} visible - True to show
+     */
+    togglePassphrase(visible) {
+        const field = document.getElementById('backupPassphraseField');
+        const input = document.getElementById('backupPassphrase');
+
+        if (field) field.hidden = !visible;
+        if (input) {
+            input.value = '';
+            if (visible) input.focus();
+        }
+    },
+
+    /**
+     * Validate parsed backup data and preview it
+     * @param {Object} data - Parsed backup
+     */
+    loadData(data) {
+        const errors = Storage.validateImport(data);
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return;
+        }
+
+        this.pendingData = data;
+        this.renderPreview();
+    },
+
+    /**
+     * Get selected restore mode
+     * @returns {string} 'replace' or 'merge'
+     */
+    getMode() {
+        const checked = document.querySelector('input[name="backupMode"]:checked');
+        return checked ? checked.value : 'replace';
+    },
+
+    /**
+     * Count added, changed and removed records between two lists
+     * @param {Array} current - Records before import
+     * @param {Array} next - Records after import
+     * @param {Function} keyOf - Record key function
+     * @returns {Object} { added, changed, removed }
+     */
+    diffRecords(current, next, keyOf = r => r.id) {
+        const before = new Map(current.map(r => [keyOf(r), JSON.stringify(r)]));
+        const after = new Map(next.map(r => [keyOf(r), JSON.stringify(r)]));
+        const diff = { added: 0, changed: 0, removed: 0 };
+
+        after.forEach((json, key) => {
+            if (!before.has(key)) {
+                diff.added++;
+            } else if (before.get(key) !== json) {
+                diff.changed++;
+            }
+        });
+
+        before.forEach((json, key) => {
+            if (!after.has(key)) {
+                diff.removed++;
+            }
+        });
+
+        return diff;
+    },
+
+    /**
+     * Flatten date notes into a list carrying their date key
+     * @param {Object} dateNotes - { dateKey: [notes] }
+     * @returns {Array} Flat list of { dateKey, ...note }
+     */
+    flattenDateNotes(dateNotes) {
+        return Object.entries(dateNotes).flatMap(([dateKey, notes]) =>
+            notes.map(note => ({ ...note, dateKey }))
+        );
+    },
+
+    /**
+     * Render preview of what the restore would change
+     */
+    renderPreview() {
+        const preview = document.getElementById('backupPreview');
+        const restoreBtn = document.getElementById('backupRestoreBtn');
+        if (!preview || !this.pendingData) return;
+
+        let next;
+        try {
+            next = Storage.buildImport(this.pendingData, this.getMode());
+        } catch (error) {
+            console.error('Error preparing backup preview:', error);
+            this.showErrors(['آماده‌سازی فایل پشتیبان با خطا مواجه شد']);
+            return;
+        }
+
+        const current = Storage.exportData();
+        const rows = [
+            ['یادداشت‌ها', this.diffRecords(current.notes, next.notes)],
+            ['دسترسی‌های سریع', this.diffRecords(current.quickAccess, next.quickAccess)],
+            ['یادداشت‌های تاریخ‌دار', this.diffRecords(
+                this.flattenDateNotes(current.dateNotes),
+                this.flattenDateNotes(next.dateNotes),
+                r => `${r.dateKey}/${r.id}`
+            )]
+        ];
+
+        preview.innerHTML = `
+            <table class="backup-preview-table">
+                <thead>
+                    <tr><th></th><th>جدید</th><th>تغییر</th><th>حذف</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, diff]) => `
+                        <tr>
+                            <th scope="row">${label}</th>
+                            <td class="diff-added">${diff.added}</td>
+                            <td class="diff-changed">${diff.changed}</td>
+                            <td class="diff-removed">${diff.removed}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        if (restoreBtn) {
+            restoreBtn.disabled = false;
+        }
+    },
+
+    /**
+     * Show validation errors
+     * @param {Array<string>} errors - Error messages
+     */
+    showErrors(errors) {
+        const preview = document.getElementById('backupPreview');
+        const restoreBtn = document.getElementById('backupRestoreBtn');
+
+        if (preview) {
+            const shown = errors.slice(0, 10);
+            const more = errors.length - shown.length;
+
+            preview.innerHTML = `
+                <ul class="settings-errors" role="alert">
+                    ${shown.map(error => `<li>${Utils.escapeHTML(error)}</li>`).join('')}
+                    ${more > 0 ? `<li>و ${more} خطای دیگر</li>` : ''}
+                </ul>
+            `;
+        }
+
+        if (restoreBtn) {
+            restoreBtn.disabled = true;
+        }
+    },
+
+    /**
+     * Apply the pending backup
+     */
+    async restore() {
+        const data = this.pendingData;
+        if (!data) return;
+
+        const mode = this.getMode();
+        const message = mode === 'replace' ?
+            'داده‌های فعلی در بخش‌هایی که فایل پشتیبان دارد با آن جایگزین می‌شوند. ادامه می‌دهید؟' :
+            'فایل پشتیبان با داده‌های فعلی ادغام می‌شود. ادامه می‌دهید؟';
+
+        if (!confirm(message)) return;
+
+        // Keep the current data restorable in case the import was a mistake
+        if (!await Storage.commit(() => Storage.takeSnapshot('import'))) {
+            Utils.showToast('ذخیره نسخه فعلی ممکن نشد؛ داده‌ها تغییری نکردند', 'error');
+            return;
+        }
+
+        const imported = await Storage.commit(() => Storage.importData(data, mode));
+        window.app?.refresh();
+
+        if (imported) {
+            this.reset();
+            Utils.showToast('بازیابی با موفقیت انجام شد');
+        } else {
+            Utils.showToast('بازیابی فایل پشتیبان ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Clear the pending backup and the restore form
+     */
+    reset() {
+        this.pendingData = null;
+        this.pendingEncrypted = null;
+        this.togglePassphrase(false);
+
+        const fileInput = document.getElementById('backupFileInput');
+        const preview = document.getElementById('backupPreview');
+        const restoreBtn = document.getElementById('backupRestoreBtn');
+
+        if (fileInput) fileInput.value = '';
+        if (preview) preview.innerHTML = '';
+        if (restoreBtn) restoreBtn.disabled = true;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backup;
+}
@@ -8,7 +8,7 @@
  * - Event Delegation for Performance
  * - Accessibility Support (ARIA, Keyboard Navigation)
  * - Clean Separation of Concerns
- * - Consistent Date Key Generation (Always Gregorian)
+ * - Consistent Date Key Generation (Always Gregorian YYYY-MM-DD)
  * 
  * Dependencies:
  * - window.JalaliDate from jalali.js (REQUIRED for Jalali mode)
@@ -26,6 +26,7 @@ class Calendar {
         // Calendar State
         this.currentDate = new Date();
         this.currentType = 'gregorian'; // 'gregorian' | 'jalali'
+        this.selectedDateKey = null; // Day marked by goToDate()
         
         // Month Names (Localized)
         this.gregorianMonths = [
@@ -225,6 +226,17 @@ class Calendar {
      */
     goToToday() {
         this.currentDate = new Date();
+        this.selectedDateKey = null;
+        this.render();
+    }
+
+    /**
+     * Navigate to the month of a date and mark that day
+     * @param {Date} date - Date to show
+     */
+    goToDate(date) {
+        this.currentDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        this.selectedDateKey = this.formatDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
         this.render();
     }
 
@@ -407,7 +419,7 @@ class Calendar {
     /**
      * Render a single day cell with proper classes and attributes
      * @param {number} day - Day number
-     * @param {string} dateStr - Gregorian date key (YYYY-M-D)
+     * @param {string} dateStr - Gregorian date key (YYYY-MM-DD)
      * @param {boolean} isOtherMonth - Is from adjacent month
      * @param {boolean} isToday - Is today
      * @param {boolean} isWeekend - Is weekend (Friday)
@@ -419,13 +431,22 @@ class Calendar {
         if (isOtherMonth) classes.push('other-month');
         if (isToday) classes.push('today');
         if (isWeekend) classes.push('weekend');
+        if (dateStr === this.selectedDateKey) classes.push('selected');
         
-        // Check if this date has notes (from app state)
-        const hasNote = window.app?.state?.dateNotes?.[dateStr]?.length > 0;
+        // Check if this date has notes (from app state), recurring notes included
+        const dateNotes = window.app?.state?.dateNotes;
+        const notes = dateNotes && typeof Recurrence !== 'undefined' ?
+            Recurrence.getNotes(dateNotes, dateStr) :
+            dateNotes?.[dateStr] || [];
+        const hasNote = notes.length > 0;
         if (hasNote) classes.push('has-note');
 
+        // Highlight days whose notes carry the tag selected in the notes panel
+        const tagMatch = hasNote && typeof Tags !== 'undefined' && Tags.dayMatches(notes);
+        if (tagMatch) classes.push('tag-match');
+
         // Accessibility attributes
-        const ariaLabel = `${day} ${isToday ? '(امروز)' : ''}`;
+        const ariaLabel = `${day} ${isToday ? '(امروز)' : ''}${tagMatch ? ` (برچسب #${Utils.escapeHTML(Tags.selected)})` : ''}`;
         const tabindex = isOtherMonth ? '-1' : '0';
 
         return `
@@ -456,7 +477,7 @@ class Calendar {
     }
 
     /**
-     * Format date key consistently (Gregorian YYYY-M-D)
+     * Format date key consistently (Gregorian YYYY-MM-DD)
      * ✅ Always generates Gregorian keys for data consistency
      * @param {number} year - Year
      * @param {number} month - Month (1-12)
@@ -464,7 +485,7 @@ class Calendar {
      * @returns {string} Formatted date key
      */
     formatDateKey(year, month, day) {
-        return `${year}-${parseInt(month)}-${parseInt(day)}`;
+        return Utils.getDateKey(new Date(year, parseInt(month) - 1, parseInt(day)));
     }
 
     /**
@@ -0,0 +1,268 @@
+/**
+ * Checklist Module
+ * Checklist notes: every line of the note is an item that can be checked,
+ * reordered and hidden once done, right in the notes list.
+ *
+ * Items are stored in the note content as Markdown task lines
+ * ("- [ ] item" / "- [x] item"), so search, tags, exports and the Markdown
+ * preview keep working. Only the note's `type` marks it as a checklist.
+ */
+const Checklist = {
+    TYPE: 'checklist',
+
+    // "- [x] text", "* [ ] text", "1. text" or plain "text"
+    ITEM_PATTERN: /^\s*(?:(?:[-*+]|\d+[.)])\s+)?(?:\[([ xX])\]\s+)?(.*)$/,
+
+    /**
+     * Initialize Checklist module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        // Checkboxes in note lists (Event Delegation)
+        document.addEventListener('change', (e) => {
+            const toggle = e.target.closest('.checklist-toggle');
+            if (toggle) {
+                const list = toggle.closest('.checklist[data-id]');
+                this.toggleItem(list.dataset.id, list.dataset.date || null, Number(toggle.dataset.index));
+            }
+        });
+
+        document.addEventListener('click', (e) => {
+            const moveBtn = e.target.closest('.checklist-move');
+            const hideBtn = e.target.closest('.checklist-hide-toggle');
+            const list = e.target.closest('.checklist[data-id]');
+            if (!list) return;
+
+            if (moveBtn) {
+                const index = Number(moveBtn.dataset.index);
+                this.moveItem(list.dataset.id, list.dataset.date || null, index, index + Number(moveBtn.dataset.direction));
+            } else if (hideBtn) {
+                this.toggleHideCompleted(list.dataset.id, list.dataset.date || null);
+            }
+        });
+
+        // Alt+Arrow moves the focused item
+        document.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+            const item = e.target.closest('.checklist-item[data-index]');
+            const list = item?.closest('.checklist[data-id]');
+            if (!list) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            const index = Number(item.dataset.index);
+            this.moveItem(list.dataset.id, list.dataset.date || null, index, index + (e.key === 'ArrowUp' ? -1 : 1));
+        }, true);
+
+        // Placeholder follows the chosen note type
+        document.querySelectorAll('input[name="noteType"]').forEach(input => {
+            input.addEventListener('change', () => this.updateEditorHint());
+        });
+    },
+
+    /**
+     * Check whether a note is a checklist
+     * @param {Object} note - Note
+     * @returns {boolean} True for checklist notes
+     */
+    isChecklist(note) {
+        return note?.type === this.TYPE;
+    },
+
+    /**
+     * Read checklist items from note content
+     * @param {string} content - Note content
+     * @returns {Array} [{ text, done }]
+     */
+    parse(content) {
+        return String(content || '')
+            .split(/\r?\n/)
+            .map(line => line.match(this.ITEM_PATTERN))
+            .filter(match => match && match[2].trim())
+            .map(match => ({ text: match[2].trim(), done: Boolean(match[1]) && match[1] !== ' ' }));
+    },
+
+    /**
+     * Write checklist items as note content
+     * @param {Array} items - [{ text, done }]
+     * @returns {string} Markdown task list
+     */
+    serialize(items) {
+        return items.map(item => `- [${item.done ? 'x' : ' '}] ${item.text}`).join('\n');
+    },
+
+    /**
+     * Rewrite typed content as a task list, keeping checked states
+     * @param {string} content - Content from the editor
+     * @returns {string} Markdown task list
+     */
+    normalize(content) {
+        return this.serialize(this.parse(content));
+    },
+
+    /**
+     * Count completed items
+     * @param {Array} items - Checklist items
+     * @returns {Object} { done, total }
+     */
+    getProgress(items) {
+        return { done: items.filter(item => item.done).length, total: items.length };
+    },
+
+    /**
+     * Render a checklist note's body for a notes list
+     * @param {Object} note - Checklist note
+     * @param {string|null} dateKey - Date key for date notes
+     * @returns {string} HTML
+     */
+    render(note, dateKey = null) {
+        const items = this.parse(note.content);
+        const { done, total } = this.getProgress(items);
+        const percent = total ? Math.round((done / total) * 100) : 0;
+        const hidden = note.hideCompleted ? done : 0;
+
+        const rows = items.map((item, index) => {
+            if (item.done && note.hideCompleted) return '';
+
+            return `
+                <li class="checklist-item${item.done ? ' done' : ''}" data-index="${index}"${Markdown.dirAttribute(item.text)}>
+                    <label class="checklist-label">
+                        <input type="checkbox" class="checklist-toggle" data-index="${index}"${item.done ? ' checked' : ''}>
+                        <span class="checklist-text">${Markdown.renderInline(item.text)}</span>
+                    </label>
+                    <span class="checklist-item-actions">
+                        <button type="button" class="btn-icon checklist-move" data-index="${index}" data-direction="-1" title="بالا" aria-label="انتقال به بالا"${index === 0 ? ' disabled' : ''}>▲</button>
+                        <button type="button" class="btn-icon checklist-move" data-index="${index}" data-direction="1" title="پایین" aria-label="انتقال به پایین"${index === items.length - 1 ? ' disabled' : ''}>▼</button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="checklist" data-id="${Utils.escapeHTML(note.id)}"${dateKey ? ` data-date="${dateKey}"` : ''}>
+                <div class="checklist-summary">
+                    <div class="checklist-progress" role="progressbar" aria-label="پیشرفت" aria-valuemin="0" aria-valuemax="${total}" aria-valuenow="${done}">
+                        <span class="checklist-progress-bar" style="width: ${percent}%"></span>
+                    </div>
+                    <span class="checklist-count">${done.toLocaleString('fa-IR')}/${total.toLocaleString('fa-IR')}</span>
+                    <button type="button" class="btn-icon checklist-hide-toggle" aria-pressed="${Boolean(note.hideCompleted)}" title="${note.hideCompleted ? 'نمایش موارد انجام‌شده' : 'پنهان کردن موارد انجام‌شده'}">
+                        ${note.hideCompleted ? '👁️' : '🙈'}
+                    </button>
+                </div>
+                <ul class="checklist-items">${rows}</ul>
+                ${hidden ? `<small class="checklist-hidden-count">${hidden.toLocaleString('fa-IR')} مورد انجام‌شده پنهان است</small>` : ''}
+            </div>
+        `;
+    },
+
+    /**
+     * Change a checklist note and save it
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Date key for date notes
+     * @param {string} label - Undo label
+     * @param {Function} change - Receives (items, note), returns the changed fields or false to cancel
+     */
+    async update(noteId, dateKey, label, change) {
+        const app = window.app;
+        if (!app) return;
+
+        // Date notes are looked up by the day they show on, so one occurrence of a recurring note changes alone
+        const note = dateKey ?
+            Recurrence.getNote(app.state.dateNotes, dateKey, noteId) :
+            app.state.notes.find(n => n.id === noteId);
+        if (!note) return;
+
+        const items = this.parse(note.content);
+        const fields = change(items, note);
+        if (fields === false) return;
+
+        if (dateKey) {
+            Recurrence.applyChanges(app.state.dateNotes, dateKey, noteId, fields);
+        } else {
+            app.state.notes = app.state.notes.map(n => n.id === noteId ? { ...n, ...fields } : n);
+        }
+
+        const key = dateKey ? Storage.KEYS.DATE_NOTES : Storage.KEYS.NOTES;
+        const saved = await Storage.commit(() => Undo.record(label, [key], () => app.saveToStorage()));
+
+        if (!saved) {
+            app.loadFromStorage();
+        }
+
+        if (dateKey) {
+            app.renderDateNotes(dateKey);
+        } else {
+            app.renderNotes();
+        }
+    },
+
+    /**
+     * Check or uncheck an item
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Date key for date notes
+     * @param {number} index - Item index
+     */
+    toggleItem(noteId, dateKey, index) {
+        this.update(noteId, dateKey, 'علامت‌گذاری مورد چک‌لیست', (items) => {
+            if (!items[index]) return false;
+
+            items[index].done = !items[index].done;
+            return { content: this.serialize(items), updatedAt: new Date().toISOString() };
+        });
+    },
+
+    /**
+     * Move an item to another position
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Date key for date notes
+     * @param {number} from - Current index
+     * @param {number} to - New index
+     */
+    async moveItem(noteId, dateKey, from, to) {
+        await this.update(noteId, dateKey, 'جابه‌جایی مورد چک‌لیست', (items) => {
+            if (!items[from] || to < 0 || to >= items.length) return false;
+
+            items.splice(to, 0, items.splice(from, 1)[0]);
+            return { content: this.serialize(items), updatedAt: new Date().toISOString() };
+        });
+
+        // Keep the keyboard focus on the moved item
+        document.querySelector(`.checklist[data-id="${CSS.escape(noteId)}"] .checklist-item[data-index="${to}"] .checklist-toggle`)?.focus();
+    },
+
+    /**
+     * Show or hide a checklist's completed items
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Date key for date notes
+     */
+    toggleHideCompleted(noteId, dateKey) {
+        this.update(noteId, dateKey, 'تغییر نمایش موارد انجام‌شده', (items, note) => ({
+            hideCompleted: !note.hideCompleted
+        }));
+    },
+
+    /**
+     * Update the editor placeholder for the selected note type
+     */
+    updateEditorHint() {
+        const textarea = document.getElementById('noteContent');
+        const checked = document.querySelector('input[name="noteType"]:checked');
+        if (!textarea) return;
+
+        textarea.placeholder = checked?.value === this.TYPE ?
+            'هر خط یک مورد... (موارد انجام‌شده: - [x] مورد)' :
+            'محتوای یادداشت...';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Checklist;
+}
@@ -0,0 +1,134 @@
+/**
+ * CSV Export Module
+ * Exports date notes as a CSV file for spreadsheets, one row per note
+ * (and per occurrence of a repeating note), optionally limited to a date
+ * range.
+ */
+const CsvExport = {
+    // Byte order mark so spreadsheet tools read the file as UTF-8
+    BOM: '\uFEFF',
+
+    COLUMNS: ['تاریخ میلادی', 'تاریخ شمسی', 'عنوان', 'متن', 'زمان ایجاد'],
+
+    /**
+     * Initialize CSV Export module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const form = document.getElementById('csvExportForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.download();
+            });
+        }
+    },
+
+    /**
+     * Escape a value as a CSV field
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    escapeField(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+
+        // Keep spreadsheets from running note text as a formula
+        if (/^(?:[=+@\t\r]|-(?!\s))/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+
+        return text;
+    },
+
+    /**
+     * Build the CSV rows for date notes within a range. Repeating notes get
+     * a row per occurrence; without an end date they are listed up to today
+     * or the last stored date, whichever is later.
+     * @param {Object} dateNotes - { dateKey: [notes] }
+     * @param {string} from - First date key, or '' for no lower bound
+     * @param {string} to - Last date key, or '' for no upper bound
+     * @returns {Array<Array>} Rows without the header
+     */
+    buildRows(dateNotes, from = '', to = '') {
+        const lastKey = to || [Utils.getDateKey(new Date()), ...Object.keys(dateNotes)].sort().pop();
+        const entries = [];
+
+        Object.keys(dateNotes).forEach(startKey => {
+            dateNotes[startKey].forEach(note => {
+                if (!Recurrence.isRecurring(note)) {
+                    if ((!from || startKey >= from) && (!to || startKey <= to)) {
+                        entries.push({ dateKey: startKey, note });
+                    }
+                    return;
+                }
+
+                Recurrence.getDates(note, startKey, from || startKey, lastKey).forEach(dateKey => {
+                    entries.push({ dateKey, note: Recurrence.getOccurrence(note, startKey, dateKey) });
+                });
+            });
+        });
+
+        return entries
+            .sort((a, b) => a.dateKey.localeCompare(b.dateKey) ||
+                String(a.note.createdAt).localeCompare(String(b.note.createdAt)))
+            .map(({ dateKey, note }) => {
+                const date = Utils.parseDateKey(dateKey);
+                const jalali = date ? new JalaliDate(date).format('YYYY/MM/DD') : '';
+                return [dateKey, jalali, note.title || '', note.content || '', note.createdAt || ''];
+            });
+    },
+
+    /**
+     * Build CSV text from rows
+     * @param {Array<Array>} rows - Rows without the header
+     * @returns {string} CSV with BOM and CRLF line endings
+     */
+    toCSV(rows) {
+        return this.BOM + [this.COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeField(value)).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Download date notes in the selected range as CSV
+     */
+    download() {
+        const from = document.getElementById('csvFromDate')?.value || '';
+        const to = document.getElementById('csvToDate')?.value || '';
+
+        if (from && to && from > to) {
+            Utils.showToast('تاریخ شروع نباید بعد از تاریخ پایان باشد', 'error');
+            return;
+        }
+
+        const rows = this.buildRows(Storage.get(Storage.KEYS.DATE_NOTES, {}), from, to);
+        if (rows.length === 0) {
+            Utils.showToast('یادداشت تاریخ‌داری در این بازه وجود ندارد', 'info');
+            return;
+        }
+
+        if (Storage.isEncrypted() &&
+            !confirm('فایل CSV رمزگذاری نمی‌شود و یادداشت‌ها به صورت متن ساده در آن قرار می‌گیرند. ادامه می‌دهید؟')) {
+            return;
+        }
+
+        const range = from || to ? `-${from || 'start'}_${to || 'end'}` : '';
+        Utils.downloadFile(`dastyar-date-notes${range}.csv`, this.toCSV(rows), 'text/csv;charset=utf-8');
+        Utils.showToast(`${rows.length} یادداشت در فایل CSV دانلود شد`);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvExport;
+}
@@ -0,0 +1,226 @@
+/**
+ * Drafts Module
+ * Autosaves what is typed in the note modal (general and date notes) as a
+ * draft, offers to restore it the next time the same note is opened, and
+ * asks before the modal is closed with unsaved changes.
+ *
+ * Each draft is keyed by the editor context: a new general note, a new
+ * note for a given day, or the note (and day) being edited.
+ */
+const Drafts = {
+    AUTOSAVE_DELAY: 1000,
+
+    // Drafts older than this are dropped on start
+    MAX_AGE_DAYS: 30,
+
+    // Context of the open editor and the form as it was opened
+    key: null,
+    base: null,
+
+    /**
+     * Initialize Drafts module
+     */
+    init() {
+        this.autosave = Utils.debounce(() => this.save(), this.AUTOSAVE_DELAY);
+        this.attachEventListeners();
+        this.purgeExpired();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        // Picking versions in the history panel is not an edit
+        const form = document.getElementById('noteForm');
+        if (form) {
+            ['input', 'change'].forEach(type => {
+                form.addEventListener(type, (e) => {
+                    if (!e.target.closest('#noteHistoryField')) this.autosave();
+                });
+            });
+        }
+
+        document.getElementById('noteDraftRestoreBtn')?.addEventListener('click', () => this.restore());
+        document.getElementById('noteDraftDiscardBtn')?.addEventListener('click', () => this.discard());
+
+        // Leaving the page keeps the draft and lets the browser ask first
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isOpen() && this.isDirty()) {
+                this.save();
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Check whether the note modal is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        const modal = document.getElementById('noteModal');
+        return Boolean(this.key && modal && !modal.hidden);
+    },
+
+    /**
+     * Name the editor context of the note form
+     * @returns {string} Draft ID
+     */
+    getKey() {
+        const data = document.getElementById('noteForm')?.dataset || {};
+
+        if (data.occurrence) return `date:${data.occurrence}:${data.editId}`;
+        if (data.dateContext) return `date:${data.dateContext}`;
+        return data.editId ? `note:${data.editId}` : 'note';
+    },
+
+    /**
+     * Read the note form
+     * @returns {Object} { title, content, type, color, tags }
+     */
+    read() {
+        const form = document.getElementById('noteForm');
+        const content = document.getElementById('noteContent')?.value || '';
+
+        return {
+            title: document.getElementById('noteTitle')?.value || '',
+            content,
+            type: form?.elements.noteType?.value === Checklist.TYPE ? Checklist.TYPE : 'note',
+            color: NoteOrder.normalizeColor(form?.elements.noteColor?.value),
+            tags: Tags.collect(content)
+        };
+    },
+
+    /**
+     * Check whether the form differs from how it was opened
+     * @returns {boolean} True with unsaved changes
+     */
+    isDirty() {
+        return this.base !== null && JSON.stringify(this.read()) !== this.base;
+    },
+
+    /**
+     * Start tracking the note form; called once it is filled for a note
+     */
+    open() {
+        this.key = this.getKey();
+        this.base = JSON.stringify(this.read());
+        this.renderNotice();
+    },
+
+    /**
+     * Store the form as the draft of its context, or drop the draft when
+     * nothing differs from the opened note
+     */
+    save() {
+        if (!this.isOpen()) return;
+
+        // Editing without restoring replaces the older draft
+        const notice = document.getElementById('noteDraftNotice');
+        if (notice) notice.hidden = true;
+
+        if (!this.isDirty()) {
+            Storage.deleteDraft(this.key);
+            return;
+        }
+
+        Storage.saveDraft({ id: this.key, ...this.read(), savedAt: new Date().toISOString() });
+    },
+
+    /**
+     * Forget the draft of a context once the note is saved
+     * @param {string} key - Draft ID from getKey()
+     */
+    clear(key) {
+        Storage.deleteDraft(key);
+        if (key === this.key) {
+            this.key = null;
+            this.base = null;
+        }
+    },
+
+    /**
+     * Ask before the note modal is closed with unsaved changes
+     * @returns {boolean} True if the modal may close
+     */
+    confirmClose() {
+        if (!this.isOpen() || !this.isDirty()) return true;
+
+        this.save();
+        return confirm('تغییرات این یادداشت ذخیره نشده است. پنجره بسته شود؟ (متن به‌صورت پیش‌نویس می‌ماند و دفعه بعد می‌توانید آن را بازیابی کنید)');
+    },
+
+    /**
+     * Get the draft saved for the open editor, if it differs from the form
+     * @returns {Object|null} Draft
+     */
+    getPending() {
+        const draft = Storage.getDrafts().find(d => d.id === this.key);
+        if (!draft) return null;
+
+        const { title, content, type, color, tags } = draft;
+        return JSON.stringify({ title, content, type, color, tags }) === this.base ? null : draft;
+    },
+
+    /**
+     * Show or hide the "restore draft" notice in the note modal
+     */
+    renderNotice() {
+        const notice = document.getElementById('noteDraftNotice');
+        const text = document.getElementById('noteDraftText');
+        if (!notice) return;
+
+        const draft = this.key ? this.getPending() : null;
+        notice.hidden = !draft;
+
+        if (draft && text) {
+            const date = new Date(draft.savedAt);
+            const time = date.toLocaleTimeString('fa-IR', { hour: '2-digit', minute: '2-digit' });
+            text.textContent = `پیش‌نویس ذخیره‌نشده‌ای از ${Utils.formatDate(date)} · ${time} دارید.`;
+        }
+    },
+
+    /**
+     * Fill the note form with the pending draft
+     */
+    restore() {
+        const app = window.app;
+        const draft = this.getPending();
+        if (!app || !draft) return;
+
+        app.elements.noteTitle.value = draft.title;
+        app.elements.noteContent.value = draft.content;
+        app.setNoteType(draft.type);
+        app.setNoteColor(draft.color);
+        Tags.setEditorTags(draft);
+        Checklist.updateEditorHint();
+        NoteEditor.updateCounter();
+
+        document.getElementById('noteDraftNotice').hidden = true;
+        app.elements.noteContent.focus();
+    },
+
+    /**
+     * Delete the pending draft
+     */
+    discard() {
+        Storage.deleteDraft(this.key);
+        this.renderNotice();
+    },
+
+    /**
+     * Drop drafts nobody came back to
+     */
+    purgeExpired() {
+        const cutoff = Date.now() - this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+
+        Storage.getDrafts()
+            .filter(d => !(Date.parse(d.savedAt) >= cutoff))
+            .forEach(d => Storage.deleteDraft(d.id));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Drafts;
+}
@@ -0,0 +1,177 @@
+/**
+ * Encryption Module
+ * Web Crypto helpers for passphrase-based at-rest encryption.
+ *
+ * A passphrase is stretched with PBKDF2 (SHA-256) into an AES-GCM key.
+ * The salt, iteration count and an encrypted verifier are kept unencrypted
+ * so the key can be re-derived and checked on unlock; the passphrase
+ * itself is never stored.
+ */
+const Encryption = {
+    ITERATIONS: 250000,
+
+    // Highest iteration count accepted from a file (larger counts freeze the tab)
+    MAX_ITERATIONS: 2000000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    // Known plaintext used to check a passphrase
+    VERIFIER: 'dastyar-encryption-check',
+
+    // Format marker for encrypted backup files
+    EXPORT_FORMAT: 'dastyar-encrypted',
+
+    /**
+     * Check if the Web Crypto API is available
+     * @returns {boolean} True if supported
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+    },
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 string
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} str - Base64 string
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(str) {
+        return Uint8Array.from(atob(str), char => char.charCodeAt(0));
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {string} salt - Base64 salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Derived key
+     */
+    async deriveKey(passphrase, salt, iterations = this.ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encrypt a JSON-serializable value
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} { iv, data } as base64
+     */
+    async encrypt(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    },
+
+    /**
+     * Decrypt a value produced by encrypt()
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} payload - { iv, data }
+     * @returns {Promise<*>} Decrypted value
+     */
+    async decrypt(key, payload) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+            key,
+            this.fromBase64(payload.data)
+        );
+
+        return JSON.parse(new TextDecoder().decode(data));
+    },
+
+    /**
+     * Create a new configuration and key for a passphrase
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<Object>} { config: { salt, iterations, verifier }, key }
+     */
+    async createConfig(passphrase) {
+        const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(this.SALT_BYTES)));
+        const key = await this.deriveKey(passphrase, salt);
+        const verifier = await this.encrypt(key, this.VERIFIER);
+
+        return {
+            config: { salt, iterations: this.ITERATIONS, verifier },
+            key
+        };
+    },
+
+    /**
+     * Derive the key for a configuration and check the passphrase
+     * @param {Object} config - { salt, iterations, verifier }
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<CryptoKey|null>} Key, or null if the passphrase is wrong
+     */
+    async unlockConfig(config, passphrase) {
+        const key = await this.deriveKey(passphrase, config.salt, config.iterations);
+
+        try {
+            return await this.decrypt(key, config.verifier) === this.VERIFIER ? key : null;
+        } catch {
+            // AES-GCM authentication fails for a wrong key
+            return null;
+        }
+    },
+
+    /**
+     * Check if a stored record is encrypted
+     * @param {*} record - Stored record
+     * @returns {boolean} True if encrypted
+     */
+    isEncryptedRecord(record) {
+        return Boolean(record && typeof record === 'object' && record.encrypted &&
+            typeof record.encrypted.iv === 'string' && typeof record.encrypted.data === 'string');
+    },
+
+    /**
+     * Check if parsed backup data is an encrypted export
+     * @param {Object} data - Parsed backup file
+     * @returns {boolean} True if encrypted
+     */
+    isEncryptedExport(data) {
+        return Boolean(data && data.format === this.EXPORT_FORMAT && this.isEncryptedRecord(data));
+    },
+
+    /**
+     * Check an iteration count read from a file
+     * @param {*} iterations - PBKDF2 iterations
+     * @returns {boolean} True if usable
+     */
+    isValidIterations(iterations) {
+        return Number.isInteger(iterations) && iterations > 0 && iterations <= this.MAX_ITERATIONS;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Encryption;
+}
@@ -0,0 +1,499 @@
+/**
+ * IndexedDB Storage Adapter
+ * Persists each record in its own object store so saving one note
+ * no longer rewrites every note, date note and tile.
+ *
+ * The adapter speaks the same key/value language as Storage: it receives
+ * whole collections keyed by Storage.KEYS and diffs them against the last
+ * persisted snapshot, issuing put/delete only for records that changed.
+ */
+
+const IDBStorage = {
+    DB_NAME: 'dastyar',
+    DB_VERSION: 1,
+
+    // Object store names
+    STORES: {
+        NOTES: 'notes',
+        DATE_NOTES: 'dateNotes',
+        QUICK_ACCESS: 'quickAccess',
+        SETTINGS: 'settings'
+    },
+
+    // Settings records used internally by the adapter
+    META_MIGRATED: '__migrated_from_local_storage__',
+    MIGRATED_PREFIX: '__migrated__:',
+    QUARANTINE_PREFIX: '__unreadable__:',
+    ORDER_PREFIX: '__order__:',
+
+    db: null,
+
+    // Last persisted state per storage key: Map(recordKey -> JSON string)
+    snapshot: {},
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} True if available
+     */
+    isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Get collection descriptor for a storage key.
+     * Only the default profile's collections have their own stores; other
+     * profiles' keys are stored whole in the settings store.
+     * @param {string} key - Backend key
+     * @returns {Object|null} { store, grouped } or null for plain settings
+     */
+    getCollection(key) {
+        const collections = {
+            [Storage.KEYS.NOTES]: { store: this.STORES.NOTES, grouped: false },
+            [Storage.KEYS.DATE_NOTES]: { store: this.STORES.DATE_NOTES, grouped: true },
+            [Storage.KEYS.QUICK_ACCESS]: { store: this.STORES.QUICK_ACCESS, grouped: false }
+        };
+
+        return collections[key] || null;
+    },
+
+    /**
+     * Wrap an IDBRequest in a Promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} Request result
+     */
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Wait for a transaction to finish
+     * @param {IDBTransaction} tx - Transaction
+     * @returns {Promise<void>}
+     */
+    complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Open the database, creating object stores on first run
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains(this.STORES.NOTES)) {
+                    db.createObjectStore(this.STORES.NOTES, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(this.STORES.DATE_NOTES)) {
+                    const dateNotes = db.createObjectStore(this.STORES.DATE_NOTES, { keyPath: ['dateKey', 'id'] });
+                    dateNotes.createIndex('dateKey', 'dateKey', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains(this.STORES.QUICK_ACCESS)) {
+                    db.createObjectStore(this.STORES.QUICK_ACCESS, { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains(this.STORES.SETTINGS)) {
+                    db.createObjectStore(this.STORES.SETTINGS, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+
+                // Another tab upgraded the schema: let it proceed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        });
+    },
+
+    /**
+     * Read every collection and setting
+     * @returns {Promise<Object>} Values keyed by storage key
+     */
+    async readAll() {
+        const db = await this.open();
+        const storeNames = Object.values(this.STORES);
+        const tx = db.transaction(storeNames, 'readonly');
+
+        const [notes, dateNotes, quickAccess, settings] = await Promise.all(
+            [this.STORES.NOTES, this.STORES.DATE_NOTES, this.STORES.QUICK_ACCESS, this.STORES.SETTINGS]
+                .map(name => this.promisify(tx.objectStore(name).getAll()))
+        );
+
+        const data = {};
+        const orders = {};
+
+        settings.forEach(({ key, value }) => {
+            if (key === this.META_MIGRATED || key.startsWith(this.MIGRATED_PREFIX) || key.startsWith(this.QUARANTINE_PREFIX)) {
+                return;
+            }
+
+            if (key.startsWith(this.ORDER_PREFIX)) {
+                orders[key.slice(this.ORDER_PREFIX.length)] = value;
+            } else {
+                data[key] = value;
+            }
+        });
+
+        const records = {
+            [Storage.KEYS.NOTES]: notes,
+            [Storage.KEYS.DATE_NOTES]: dateNotes,
+            [Storage.KEYS.QUICK_ACCESS]: quickAccess
+        };
+
+        Object.entries(records).forEach(([key, list]) => {
+            if (list.length === 0 && !orders[key]) return;
+
+            data[key] = this.getCollection(key).grouped ?
+                this.groupRecords(list, orders[key] || {}) :
+                this.sortByOrder(list, orders[key] || []);
+        });
+
+        // Seed the snapshot so the first write only touches real changes
+        this.snapshot = {};
+        Object.keys(data).forEach(key => {
+            this.snapshot[key] = this.toRecordMap(key, data[key]);
+        });
+
+        return data;
+    },
+
+    /**
+     * Read one stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Value, or undefined if missing
+     */
+    async read(key) {
+        const db = await this.open();
+        const collection = this.getCollection(key);
+        const storeNames = collection ? [collection.store, this.STORES.SETTINGS] : [this.STORES.SETTINGS];
+        const tx = db.transaction(storeNames, 'readonly');
+        const settings = tx.objectStore(this.STORES.SETTINGS);
+
+        if (!collection) {
+            const record = await this.promisify(settings.get(key));
+            return record ? record.value : undefined;
+        }
+
+        const [list, order] = await Promise.all([
+            this.promisify(tx.objectStore(collection.store).getAll()),
+            this.promisify(settings.get(this.ORDER_PREFIX + key))
+        ]);
+
+        if (list.length === 0 && !order) {
+            return undefined;
+        }
+
+        return collection.grouped ?
+            this.groupRecords(list, order ? order.value : {}) :
+            this.sortByOrder(list, order ? order.value : []);
+    },
+
+    /**
+     * Sort records by a stored id order, appending unknown ids at the end
+     * @param {Array} list - Records
+     * @param {Array} order - Ordered ids
+     * @returns {Array} Sorted records
+     */
+    sortByOrder(list, order) {
+        const position = new Map(order.map((id, index) => [id, index]));
+        return list.slice().sort((a, b) => {
+            const pa = position.has(a.id) ? position.get(a.id) : Infinity;
+            const pb = position.has(b.id) ? position.get(b.id) : Infinity;
+            return pa - pb;
+        });
+    },
+
+    /**
+     * Group date note records back into { dateKey: [notes] }
+     * @param {Array} list - Date note records
+     * @param {Object} order - Ordered ids per date key
+     * @returns {Object} Date notes map
+     */
+    groupRecords(list, order) {
+        const grouped = {};
+
+        list.forEach(record => {
+            const { dateKey, ...note } = record;
+            if (!grouped[dateKey]) {
+                grouped[dateKey] = [];
+            }
+            grouped[dateKey].push(note);
+        });
+
+        Object.keys(grouped).forEach(dateKey => {
+            grouped[dateKey] = this.sortByOrder(grouped[dateKey], order[dateKey] || []);
+        });
+
+        return grouped;
+    },
+
+    /**
+     * Flatten a stored value into individual records
+     * @param {string} key - Storage key
+     * @param {*} value - Collection value
+     * @returns {Map} recordKey -> JSON string
+     */
+    toRecordMap(key, value) {
+        const collection = this.getCollection(key);
+        const map = new Map();
+
+        if (!collection) {
+            map.set(key, JSON.stringify(value));
+            return map;
+        }
+
+        if (collection.grouped) {
+            Object.entries(value || {}).forEach(([dateKey, notes]) => {
+                (notes || []).forEach(note => {
+                    map.set(JSON.stringify([dateKey, note.id]), JSON.stringify({ ...note, dateKey }));
+                });
+            });
+        } else {
+            (value || []).forEach(item => {
+                map.set(item.id, JSON.stringify(item));
+            });
+        }
+
+        return map;
+    },
+
+    /**
+     * Build the id order record for a collection value
+     * @param {string} key - Storage key
+     * @param {*} value - Collection value
+     * @returns {Array|Object} Ordered ids
+     */
+    toOrder(key, value) {
+        if (this.getCollection(key).grouped) {
+            const order = {};
+            Object.entries(value || {}).forEach(([dateKey, notes]) => {
+                order[dateKey] = (notes || []).map(n => n.id);
+            });
+            return order;
+        }
+
+        return (value || []).map(item => item.id);
+    },
+
+    /**
+     * Persist a value, touching only records that changed
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    async write(key, value) {
+        const db = await this.open();
+        const collection = this.getCollection(key);
+        const previous = this.snapshot[key] || new Map();
+        const next = this.toRecordMap(key, value);
+
+        // Update the snapshot first so rapid successive writes diff correctly
+        this.snapshot[key] = next;
+
+        const storeName = collection ? collection.store : this.STORES.SETTINGS;
+        const tx = db.transaction([storeName, this.STORES.SETTINGS], 'readwrite');
+        const store = tx.objectStore(storeName);
+        const settings = tx.objectStore(this.STORES.SETTINGS);
+
+        if (collection) {
+            next.forEach((json, recordKey) => {
+                if (previous.get(recordKey) !== json) {
+                    store.put(JSON.parse(json));
+                }
+            });
+
+            previous.forEach((json, recordKey) => {
+                if (!next.has(recordKey)) {
+                    store.delete(collection.grouped ? JSON.parse(recordKey) : recordKey);
+                }
+            });
+
+            settings.put({ key: this.ORDER_PREFIX + key, value: this.toOrder(key, value) });
+        } else {
+            settings.put({ key, value });
+        }
+
+        return this.complete(tx).catch(error => {
+            // Nothing was written: diff the next write against what is really stored
+            if (this.snapshot[key] === next) {
+                this.snapshot[key] = previous;
+            }
+            throw error;
+        });
+    },
+
+    /**
+     * Estimate space used and available for this origin
+     * @returns {Promise<Object|null>} { used, total } in bytes, or null if unknown
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return { used: usage, total: quota };
+    },
+
+    /**
+     * Record a value as already persisted (written by another tab)
+     * so the next local write only diffs against it
+     * @param {string} key - Storage key
+     * @param {*} value - Persisted value (undefined if removed)
+     */
+    markPersisted(key, value) {
+        if (value === undefined) {
+            delete this.snapshot[key];
+        } else {
+            this.snapshot[key] = this.toRecordMap(key, value);
+        }
+    },
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        const db = await this.open();
+        const collection = this.getCollection(key);
+        delete this.snapshot[key];
+
+        const storeNames = collection ? [collection.store, this.STORES.SETTINGS] : [this.STORES.SETTINGS];
+        const tx = db.transaction(storeNames, 'readwrite');
+        const settings = tx.objectStore(this.STORES.SETTINGS);
+
+        if (collection) {
+            tx.objectStore(collection.store).clear();
+            settings.delete(this.ORDER_PREFIX + key);
+        } else {
+            settings.delete(key);
+        }
+
+        return this.complete(tx);
+    },
+
+    /**
+     * Write one record of the settings store
+     * @param {string} key - Settings key
+     * @param {*} value - Value
+     * @returns {Promise<void>}
+     */
+    async putSetting(key, value) {
+        const db = await this.open();
+        const tx = db.transaction(this.STORES.SETTINGS, 'readwrite');
+        tx.objectStore(this.STORES.SETTINGS).put({ key, value });
+        return this.complete(tx);
+    },
+
+    /**
+     * Read one record of the settings store
+     * @param {string} key - Settings key
+     * @returns {Promise<*>} Value, or undefined if missing
+     */
+    async getSetting(key) {
+        const db = await this.open();
+        const record = await this.promisify(
+            db.transaction(this.STORES.SETTINGS, 'readonly').objectStore(this.STORES.SETTINGS).get(key)
+        );
+        return record ? record.value : undefined;
+    },
+
+    /**
+     * One-time copy of the legacy localStorage keys into IndexedDB.
+     * Each key is marked as migrated once it is committed and only then
+     * removed from localStorage, so a later run never copies it over newer
+     * data. Text that is not valid JSON is kept aside under QUARANTINE_PREFIX
+     * instead of being retried on every start. Only a key that cannot be
+     * read at all leaves the migration unfinished.
+     * @param {Array<string>} keys - Storage keys to migrate
+     * @returns {Promise<boolean>} True if any data was copied
+     */
+    async migrateFromLocalStorage(keys) {
+        if (await this.getSetting(this.META_MIGRATED)) {
+            return false;
+        }
+
+        const failed = [];
+        let copied = 0;
+
+        for (const key of keys) {
+            if (!await this.getSetting(this.MIGRATED_PREFIX + key)) {
+                let item;
+                try {
+                    item = localStorage.getItem(key);
+                } catch (error) {
+                    failed.push(key);
+                    console.error(`Error reading legacy localStorage key "${key}":`, error);
+                    continue;
+                }
+
+                if (item === null) continue;
+
+                let value;
+                try {
+                    value = JSON.parse(item);
+                } catch (error) {
+                    console.error(`Legacy localStorage key "${key}" is not valid JSON, keeping it aside:`, error);
+                    await this.putSetting(this.QUARANTINE_PREFIX + key, item);
+                }
+
+                if (value !== undefined) {
+                    await this.write(key, value);
+                    copied++;
+                }
+
+                await this.putSetting(this.MIGRATED_PREFIX + key, new Date().toISOString());
+            }
+
+            try {
+                localStorage.removeItem(key);
+            } catch (error) {
+                console.warn(`Could not clean up legacy localStorage key "${key}":`, error);
+            }
+        }
+
+        if (failed.length > 0) {
+            console.error('Legacy localStorage keys left unmigrated:', failed);
+        } else {
+            await this.putSetting(this.META_MIGRATED, new Date().toISOString());
+        }
+
+        return copied > 0;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IDBStorage;
+}
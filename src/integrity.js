@@ -0,0 +1,593 @@
+/**
+ * Integrity Module
+ * Scans stored notes, date notes, quick access items and trash entries for
+ * records that would break rendering (missing fields, invalid dates,
+ * duplicate IDs, invalid date keys, data left without a profile) and
+ * repairs them. Repairs take a snapshot first and can be undone.
+ */
+const Integrity = {
+    // Issues listed in settings before "and N more"
+    DISPLAY_LIMIT: 50,
+
+    TYPE_LABELS: {
+        collection: 'ساختار',
+        malformed: 'نامعتبر',
+        field: 'ناقص',
+        duplicate: 'تکراری',
+        dateKey: 'تاریخ',
+        orphan: 'بی‌صاحب'
+    },
+
+    TRASH_TYPES: ['note', 'dateNote', 'quickAccess'],
+
+    /**
+     * Initialize Integrity module
+     */
+    init() {
+        this.attachEventListeners();
+        this.checkOnStartup();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const scanBtn = document.getElementById('integrityScanBtn');
+        if (scanBtn) {
+            scanBtn.addEventListener('click', () => this.render());
+        }
+
+        const repairAllBtn = document.getElementById('integrityRepairAllBtn');
+        if (repairAllBtn) {
+            repairAllBtn.addEventListener('click', () => {
+                this.repair(this.scan().issues.map(issue => issue.id));
+            });
+        }
+
+        // Single repairs (Event Delegation)
+        const list = document.getElementById('integrityList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-issue-id]');
+                if (button) {
+                    this.repair([button.dataset.issueId]);
+                }
+            });
+        }
+
+        document.addEventListener('settingsClosed', () => this.clear());
+    },
+
+    /**
+     * Tell the user about problems found at startup
+     */
+    checkOnStartup() {
+        const { issues } = this.scan();
+        if (issues.length === 0) return;
+
+        Utils.showToast(`${issues.length} مشکل در داده‌های ذخیره‌شده پیدا شد`, 'error', {
+            label: 'بررسی',
+            onClick: () => {
+                Settings.open();
+                this.render();
+                document.getElementById('integritySectionTitle')?.scrollIntoView({ block: 'start' });
+            }
+        });
+    },
+
+    /**
+     * Check if a value is a parseable date string
+     * @param {*} value - Value
+     * @returns {boolean} True if valid
+     */
+    isValidDate(value) {
+        return typeof value === 'string' && !isNaN(Date.parse(value));
+    },
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value - Value
+     * @returns {boolean} True if object
+     */
+    isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Turn a broken collection into a list where possible
+     * @param {*} value - Stored value
+     * @returns {Array} Records
+     */
+    toList(value) {
+        return this.isObject(value) ? Object.values(value) : [];
+    },
+
+    /**
+     * Name a record in issue messages
+     * @param {Object} record - Record
+     * @param {string} fallback - Description when it has no title
+     * @returns {string} Label
+     */
+    describe(record, fallback) {
+        return this.isObject(record) && typeof record.title === 'string' && record.title.trim() ?
+            `«${record.title.trim()}»` :
+            fallback;
+    },
+
+    /**
+     * List what is wrong with a note
+     * @param {*} note - Stored note
+     * @returns {Array<string>|null} Problems, or null if it cannot be repaired
+     */
+    getNoteProblems(note) {
+        if (!this.isObject(note) || (note.content !== null && typeof note.content === 'object')) {
+            return null;
+        }
+
+        const problems = [];
+        if (typeof note.id !== 'string' || !note.id) problems.push('شناسه ندارد');
+        if (typeof note.title !== 'string') problems.push('عنوان ندارد');
+        if (typeof note.content !== 'string') problems.push('متن ندارد');
+        if (!this.isValidDate(note.createdAt)) problems.push('زمان ایجاد نامعتبر است');
+        if (!this.isValidDate(note.updatedAt)) problems.push('زمان ویرایش نامعتبر است');
+        if (note.type !== undefined && note.type !== 'note' && !Checklist.isChecklist(note)) problems.push('نوع نامعتبر است');
+        if (note.color != null && !NoteOrder.normalizeColor(note.color)) problems.push('رنگ نامعتبر است');
+        if (note.tags !== undefined && !(Array.isArray(note.tags) && note.tags.every(tag => typeof tag === 'string'))) {
+            problems.push('برچسب‌ها نامعتبر است');
+        }
+        if (note.reminder !== undefined && !(this.isObject(note.reminder) && this.isValidDate(note.reminder.at))) {
+            problems.push('یادآوری نامعتبر است');
+        }
+        if (note.recurrence !== undefined && !Recurrence.normalize(note.recurrence)) {
+            problems.push('تکرار نامعتبر است');
+        }
+
+        return problems;
+    },
+
+    /**
+     * Fill in the missing fields of a note
+     * @param {Object} note - Note (changed in place)
+     */
+    fixNote(note) {
+        const now = new Date().toISOString();
+
+        if (typeof note.id !== 'string' || !note.id) note.id = Utils.generateId();
+        if (typeof note.title !== 'string') note.title = note.title == null ? '' : String(note.title);
+        if (typeof note.content !== 'string') note.content = note.content == null ? '' : String(note.content);
+
+        if (!this.isValidDate(note.createdAt)) {
+            note.createdAt = this.isValidDate(note.updatedAt) ? note.updatedAt : now;
+        }
+        if (!this.isValidDate(note.updatedAt)) {
+            note.updatedAt = note.createdAt;
+        }
+        if (note.type !== undefined && note.type !== 'note' && !Checklist.isChecklist(note)) {
+            note.type = 'note';
+        }
+        if (note.color != null && !NoteOrder.normalizeColor(note.color)) {
+            note.color = null;
+        }
+        if (note.tags !== undefined) {
+            note.tags = Array.isArray(note.tags) ? Tags.unique(note.tags.filter(tag => typeof tag === 'string')) : [];
+        }
+        if (note.reminder !== undefined && !(this.isObject(note.reminder) && this.isValidDate(note.reminder.at))) {
+            delete note.reminder;
+        }
+        if (note.recurrence !== undefined && !Recurrence.normalize(note.recurrence)) {
+            delete note.recurrence;
+        }
+    },
+
+    /**
+     * List what is wrong with a quick access item
+     * @param {*} item - Stored item
+     * @returns {Array<string>|null} Problems, or null if it cannot be repaired
+     */
+    getLinkProblems(item) {
+        if (!this.isObject(item) || typeof item.url !== 'string' || !Utils.isValidUrl(item.url)) {
+            return null;
+        }
+
+        const problems = [];
+        if (typeof item.id !== 'string' || !item.id) problems.push('شناسه ندارد');
+        if (typeof item.title !== 'string' || !item.title.trim()) problems.push('عنوان ندارد');
+        if (item.icon != null && typeof item.icon !== 'string') problems.push('آیکون نامعتبر است');
+        if (!this.isValidDate(item.createdAt)) problems.push('زمان ایجاد نامعتبر است');
+
+        return problems;
+    },
+
+    /**
+     * Fill in the missing fields of a quick access item
+     * @param {Object} item - Item (changed in place)
+     */
+    fixLink(item) {
+        if (typeof item.id !== 'string' || !item.id) item.id = Utils.generateId();
+        if (typeof item.title !== 'string' || !item.title.trim()) item.title = new URL(item.url).hostname;
+        if (item.icon != null && typeof item.icon !== 'string') item.icon = null;
+        if (!this.isValidDate(item.createdAt)) item.createdAt = new Date().toISOString();
+    },
+
+    /**
+     * Check the records of a list
+     * @param {Array} records - Records
+     * @param {Object} options - { prefix, kind, fallback(index), issues, data }
+     */
+    checkRecords(records, { prefix, kind, fallback, issues, data }) {
+        records.forEach((record, index) => {
+            const label = this.describe(record, fallback(index));
+            const problems = kind === 'link' ? this.getLinkProblems(record) : this.getNoteProblems(record);
+
+            if (problems === null) {
+                issues.push({
+                    id: `${prefix}:${index}:malformed`,
+                    type: 'malformed',
+                    message: `${label} قابل خواندن نیست`,
+                    action: 'حذف',
+                    fix: () => data.removed.add(record)
+                });
+            } else if (problems.length > 0) {
+                issues.push({
+                    id: `${prefix}:${index}:field`,
+                    type: 'field',
+                    message: `${label}: ${problems.join('، ')}`,
+                    action: 'تکمیل',
+                    fix: () => (kind === 'link' ? this.fixLink(record) : this.fixNote(record))
+                });
+            }
+        });
+    },
+
+    /**
+     * Report records sharing an ID (or, for links, a URL)
+     * @param {Array} entries - [{ record, prefix }] of readable records
+     * @param {Function} keyOf - Duplicate key of a record
+     * @param {string} what - 'id' or 'url'
+     * @param {Array} issues - Issue list
+     * @param {Object} data - Scanned data
+     * @returns {Set} Records reported for removal
+     */
+    checkDuplicates(entries, keyOf, what, issues, data) {
+        const seen = new Map();
+        const removed = new Set();
+
+        entries.forEach(({ record, prefix, fallback }) => {
+            const key = keyOf(record);
+            if (!key) return;
+
+            const first = seen.get(key);
+            if (!first) {
+                seen.set(key, record);
+                return;
+            }
+
+            const label = this.describe(record, fallback);
+            if (what === 'url' || JSON.stringify(first) === JSON.stringify(record)) {
+                removed.add(record);
+                issues.push({
+                    // Exact copies get their own ID so they never share one with a URL duplicate
+                    id: what === 'url' ? `${prefix}:duplicate-url` : `${prefix}:duplicate-copy`,
+                    type: 'duplicate',
+                    message: what === 'url' ?
+                        `${label} لینک تکراری است` :
+                        `${label} دو بار ذخیره شده است`,
+                    action: 'حذف نسخه تکراری',
+                    fix: () => data.removed.add(record)
+                });
+            } else {
+                issues.push({
+                    id: `${prefix}:duplicate-id`,
+                    type: 'duplicate',
+                    message: `${label} شناسه مشترک با یک مورد دیگر دارد`,
+                    action: 'شناسه جدید',
+                    fix: () => { record.id = Utils.generateId(); }
+                });
+            }
+        });
+
+        return removed;
+    },
+
+    /**
+     * Scan stored data for problems
+     * @returns {Object} { data, issues } - data is a copy the issue fixes change
+     */
+    scan() {
+        const data = {
+            notes: Storage.get(Storage.KEYS.NOTES, []),
+            dateNotes: Storage.get(Storage.KEYS.DATE_NOTES, {}),
+            quickAccess: Storage.get(Storage.KEYS.QUICK_ACCESS, []),
+            trash: Storage.get(Storage.KEYS.TRASH, []),
+            removed: new Set(),
+            profiles: []
+        };
+        const issues = [];
+
+        // Whole collections with the wrong shape; their records are checked after repair
+        [['notes', 'یادداشت‌ها'], ['quickAccess', 'دسترسی‌های سریع'], ['trash', 'سطل زباله']].forEach(([name, label]) => {
+            if (!Array.isArray(data[name])) {
+                issues.push({
+                    id: `${name}:collection`,
+                    type: 'collection',
+                    message: `بخش ${label} ساختار نامعتبری دارد`,
+                    action: 'بازسازی',
+                    fix: () => { data[name] = this.toList(data[name]); }
+                });
+            }
+        });
+
+        if (!this.isObject(data.dateNotes)) {
+            issues.push({
+                id: 'dateNotes:collection',
+                type: 'collection',
+                message: 'بخش یادداشت‌های تاریخ‌دار ساختار نامعتبری دارد و خالی می‌شود',
+                action: 'بازسازی',
+                fix: () => { data.dateNotes = {}; }
+            });
+        }
+
+        if (Array.isArray(data.notes)) {
+            this.checkRecords(data.notes, {
+                prefix: 'notes',
+                kind: 'note',
+                fallback: index => `یادداشت شماره ${index + 1}`,
+                issues,
+                data
+            });
+
+            this.checkDuplicates(
+                data.notes
+                    .map((record, index) => ({ record, prefix: `notes:${index}`, fallback: `یادداشت شماره ${index + 1}` }))
+                    .filter(({ record }) => this.getNoteProblems(record) !== null),
+                record => record.id,
+                'id',
+                issues,
+                data
+            );
+        }
+
+        if (this.isObject(data.dateNotes)) {
+            const dated = [];
+
+            Object.entries(data.dateNotes).forEach(([dateKey, notes]) => {
+                const prefix = `dateNotes:${dateKey}`;
+
+                if (!Array.isArray(notes)) {
+                    issues.push({
+                        id: `${prefix}:collection`,
+                        type: 'collection',
+                        message: `یادداشت‌های تاریخ ${dateKey} ساختار نامعتبری دارند`,
+                        action: 'بازسازی',
+                        fix: () => { data.dateNotes[dateKey] = this.toList(data.dateNotes[dateKey]); }
+                    });
+                    return;
+                }
+
+                if (notes.length === 0) {
+                    issues.push({
+                        id: `${prefix}:empty`,
+                        type: 'orphan',
+                        message: `تاریخ ${dateKey} بدون یادداشت ذخیره شده است`,
+                        action: 'حذف',
+                        fix: () => { delete data.dateNotes[dateKey]; }
+                    });
+                    return;
+                }
+
+                const canonical = Utils.normalizeDateKey(dateKey);
+                if (!canonical) {
+                    issues.push({
+                        id: `${prefix}:dateKey`,
+                        type: 'dateKey',
+                        message: `تاریخ «${dateKey}» نامعتبر است؛ ${notes.length} یادداشت آن به یادداشت‌ها منتقل می‌شود`,
+                        action: 'انتقال',
+                        fix: () => {
+                            if (!Array.isArray(data.notes)) data.notes = this.toList(data.notes);
+                            data.notes.push(...data.dateNotes[dateKey]);
+                            delete data.dateNotes[dateKey];
+                        }
+                    });
+                } else if (canonical !== dateKey) {
+                    issues.push({
+                        id: `${prefix}:dateKey`,
+                        type: 'dateKey',
+                        message: `تاریخ «${dateKey}» در قالب قدیمی ذخیره شده است`,
+                        action: 'اصلاح تاریخ',
+                        fix: () => {
+                            data.dateNotes[canonical] = [
+                                ...(data.dateNotes[canonical] || []),
+                                ...data.dateNotes[dateKey]
+                            ];
+                            delete data.dateNotes[dateKey];
+                        }
+                    });
+                }
+
+                this.checkRecords(notes, {
+                    prefix,
+                    kind: 'note',
+                    fallback: index => `یادداشت ${index + 1} تاریخ ${dateKey}`,
+                    issues,
+                    data
+                });
+
+                notes.forEach((record, index) => {
+                    if (this.getNoteProblems(record) !== null) {
+                        dated.push({ record, prefix: `${prefix}:${index}`, fallback: `یادداشت ${index + 1} تاریخ ${dateKey}` });
+                    }
+                });
+            });
+
+            this.checkDuplicates(dated, record => record.id, 'id', issues, data);
+        }
+
+        if (Array.isArray(data.quickAccess)) {
+            this.checkRecords(data.quickAccess, {
+                prefix: 'quickAccess',
+                kind: 'link',
+                fallback: index => `دسترسی سریع شماره ${index + 1}`,
+                issues,
+                data
+            });
+
+            const links = data.quickAccess
+                .map((record, index) => ({ record, prefix: `quickAccess:${index}`, fallback: `دسترسی سریع شماره ${index + 1}` }))
+                .filter(({ record }) => this.getLinkProblems(record) !== null);
+
+            // Copies the ID check already removes are not reported again as URL duplicates
+            const copies = this.checkDuplicates(links, record => record.id, 'id', issues, data);
+            this.checkDuplicates(
+                links.filter(({ record }) => !copies.has(record)),
+                record => record.url.trim().replace(/\/+$/, '').toLowerCase(),
+                'url',
+                issues,
+                data
+            );
+        }
+
+        if (Array.isArray(data.trash)) {
+            data.trash.forEach((entry, index) => {
+                const valid = this.isObject(entry) &&
+                    typeof entry.id === 'string' &&
+                    this.TRASH_TYPES.includes(entry.type) &&
+                    this.isObject(entry.item) &&
+                    this.isValidDate(entry.deletedAt);
+
+                if (!valid) {
+                    issues.push({
+                        id: `trash:${index}:malformed`,
+                        type: 'malformed',
+                        message: `مورد ${index + 1} سطل زباله قابل خواندن نیست`,
+                        action: 'حذف',
+                        fix: () => data.removed.add(entry)
+                    });
+                }
+            });
+        }
+
+        Storage.getOrphanedProfiles().forEach(profileId => {
+            issues.push({
+                id: `profile:${profileId}:orphan`,
+                type: 'orphan',
+                message: 'داده‌های یک پروفایل بدون پروفایل مانده‌اند',
+                action: 'ساخت پروفایل',
+                fix: () => data.profiles.push(profileId)
+            });
+        });
+
+        return { data, issues };
+    },
+
+    /**
+     * Apply repairs for some issues and save the result
+     * @param {Array<string>} issueIds - Issue IDs from the last scan
+     */
+    async repair(issueIds) {
+        // Scan again so repairs always apply to the current data
+        const { data, issues } = this.scan();
+        const selected = issues.filter(issue => issueIds.includes(issue.id));
+
+        if (selected.length === 0) {
+            this.render();
+            return;
+        }
+
+        selected.forEach(issue => issue.fix(data));
+
+        const keep = record => !data.removed.has(record);
+        const clean = list => (Array.isArray(list) ? list.filter(keep) : list);
+
+        const dateNotes = {};
+        Object.entries(data.dateNotes).forEach(([dateKey, notes]) => {
+            const kept = clean(notes);
+            // Drop dates whose only notes were removed
+            if (!Array.isArray(kept) || kept.length > 0 || notes.length === 0) {
+                dateNotes[dateKey] = kept;
+            }
+        });
+
+        const keys = [Storage.KEYS.NOTES, Storage.KEYS.DATE_NOTES, Storage.KEYS.QUICK_ACCESS, Storage.KEYS.TRASH];
+
+        // Never repair without a snapshot to go back to
+        if (!await Storage.commit(() => Storage.takeSnapshot('repair'))) {
+            Utils.showToast('ذخیره نسخه پشتیبان پیش از رفع مشکلات ممکن نشد؛ داده‌ها تغییری نکردند', 'error');
+            return;
+        }
+
+        const saved = await Storage.commit(() => {
+            const written = Undo.record('رفع مشکلات داده‌ها', keys, () =>
+                Storage.set(Storage.KEYS.NOTES, clean(data.notes)) &&
+                Storage.set(Storage.KEYS.DATE_NOTES, dateNotes) &&
+                Storage.set(Storage.KEYS.QUICK_ACCESS, clean(data.quickAccess)) &&
+                Storage.set(Storage.KEYS.TRASH, clean(data.trash))
+            );
+
+            return written && data.profiles.every((profileId, index) =>
+                Storage.createProfile(`پروفایل بازیابی‌شده ${index + 1}`, profileId)
+            );
+        });
+
+        window.app?.refresh();
+        this.render();
+
+        if (saved) {
+            Utils.showToast(`${selected.length} مشکل رفع شد`, 'success', Undo.getToastAction());
+        } else {
+            Utils.showToast('رفع مشکلات ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Scan and show the results in settings
+     */
+    render() {
+        const summary = document.getElementById('integritySummary');
+        const list = document.getElementById('integrityList');
+        const repairAllBtn = document.getElementById('integrityRepairAllBtn');
+        if (!list) return;
+
+        const { issues } = this.scan();
+
+        if (summary) {
+            summary.textContent = issues.length === 0 ?
+                'مشکلی در داده‌ها پیدا نشد' :
+                `${issues.length} مشکل پیدا شد`;
+        }
+
+        if (repairAllBtn) {
+            repairAllBtn.hidden = issues.length === 0;
+        }
+
+        const shown = issues.slice(0, this.DISPLAY_LIMIT);
+        const more = issues.length - shown.length;
+
+        list.innerHTML = shown.map(issue => `
+            <li class="integrity-item">
+                <span class="integrity-type integrity-${issue.type}">${this.TYPE_LABELS[issue.type]}</span>
+                <span class="integrity-message">${Utils.escapeHTML(issue.message)}</span>
+                <button type="button" class="btn btn-secondary integrity-fix" data-issue-id="${Utils.escapeHTML(issue.id)}">
+                    ${Utils.escapeHTML(issue.action)}
+                </button>
+            </li>
+        `).join('') + (more > 0 ? `<li class="integrity-more">و ${more} مشکل دیگر</li>` : '');
+    },
+
+    /**
+     * Clear the scan results
+     */
+    clear() {
+        const summary = document.getElementById('integritySummary');
+        const list = document.getElementById('integrityList');
+        const repairAllBtn = document.getElementById('integrityRepairAllBtn');
+
+        if (summary) summary.textContent = '';
+        if (list) list.innerHTML = '';
+        if (repairAllBtn) repairAllBtn.hidden = true;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Integrity;
+}
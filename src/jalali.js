@@ -76,48 +76,73 @@
      * ============================================
      */
 
+    // Years in which the 33-year leap cycle restarts (Borkowski)
+    const JALALI_BREAKS = [
+        -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
+        1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
+    ];
+
     /**
-     * Check if a Jalali year is a leap year
-     * Uses the 33-year cycle algorithm (2820-year grand cycle)
+     * Locate a Jalali year in the leap cycle
      * 
      * @param {number} jy - Jalali year
-     * @returns {boolean} True if leap year
+     * @returns {Object} {leap, gy, march} - years since last leap year (0 = leap),
+     *                   Gregorian year of Farvardin 1 and its day in March
      */
-    function isJalaliLeapYear(jy) {
-        // Validate input
-        if (!Number.isInteger(jy) || jy < 1) {
-            throw new Error('Invalid Jalali year: must be a positive integer');
-        }
-
-        // 128-year cycle algorithm (more accurate for modern years)
-        const breaks = [
-            -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
-            1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
-        ];
-
+    function jalaliCalendar(jy) {
         const gy = jy + 621;
-        let jp = breaks[0];
-
+        let leapJ = -14;
+        let jp = JALALI_BREAKS[0];
         let jump = 0;
-        for (let i = 1; i < breaks.length; i++) {
-            const jm = breaks[i];
+
+        if (jy < jp || jy >= JALALI_BREAKS[JALALI_BREAKS.length - 1]) {
+            throw new Error('Invalid Jalali year: out of supported range');
+        }
+
+        // Count leap years up to the cycle containing jy
+        for (let i = 1; i < JALALI_BREAKS.length; i++) {
+            const jm = JALALI_BREAKS[i];
             jump = jm - jp;
             if (jy < jm) break;
+            leapJ += Math.trunc(jump / 33) * 8 + Math.trunc((jump % 33) / 4);
             jp = jm;
         }
 
         let n = jy - jp;
+        leapJ += Math.trunc(n / 33) * 8 + Math.trunc(((n % 33) + 3) / 4);
+        if (jump % 33 === 4 && jump - n === 4) {
+            leapJ += 1;
+        }
+
+        const leapG = Math.trunc(gy / 4) - Math.trunc((Math.trunc(gy / 100) + 1) * 3 / 4) - 150;
+        const march = 20 + leapJ - leapG;
 
         if (jump - n < 6) {
-            n = n - jump + (Math.floor(jump / 33) * 33);
+            n = n - jump + Math.trunc((jump + 4) / 33) * 33;
         }
 
-        let leapFactor = (((n + 1) % 33) - 1) % 4;
-        if (leapFactor === -1) {
-            leapFactor = 4;
+        let leap = (((n + 1) % 33) - 1) % 4;
+        if (leap === -1) {
+            leap = 4;
         }
 
-        return leapFactor === 0;
+        return { leap, gy, march };
+    }
+
+    /**
+     * Check if a Jalali year is a leap year
+     * Uses the 33-year cycle algorithm (2820-year grand cycle)
+     * 
+     * @param {number} jy - Jalali year
+     * @returns {boolean} True if leap year
+     */
+    function isJalaliLeapYear(jy) {
+        // Validate input
+        if (!Number.isInteger(jy) || jy < 1) {
+            throw new Error('Invalid Jalali year: must be a positive integer');
+        }
+
+        return jalaliCalendar(jy).leap === 0;
     }
 
     /**
@@ -140,49 +165,11 @@
             throw new Error('Invalid Jalali day: must be 1-31');
         }
 
-        // Calculate Julian Day Number
-        const gy = jy + 621;
-        const breaks = [
-            -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
-            1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
-        ];
-
-        let jp = breaks[0];
-        let jump = 0;
+        // Count days from Farvardin 1 (first six months have 31 days, the rest 30)
+        const { gy, march } = jalaliCalendar(jy);
+        const dayOfYear = jm <= 6 ? (jm - 1) * 31 : 186 + (jm - 7) * 30;
 
-        for (let i = 1; i < breaks.length; i++) {
-            const jm_val = breaks[i];
-            jump = jm_val - jp;
-            if (jy < jm_val) break;
-            jp = jm_val;
-        }
-
-        let n = jy - jp;
-
-        if (jump - n < 6) {
-            n = n - jump + (Math.floor(jump / 33) * 33);
-        }
-
-        let leapJ = -14;
-        let leapG = 0;
-
-        if (((n + 1) % 33) - 1 === 0) {
-            leapJ = 0;
-        } else {
-            leapJ = (((n + 1) % 33) - 1) % 4;
-            if (leapJ === -1) leapJ = 4;
-        }
-
-        leapG = Math.floor((gy / 4)) - Math.floor(((gy / 100) + 1) * 0.75) - 150;
-
-        const jpd = JALALI_EPOCH + (365 * n) + Math.floor((n / 33) * 8) + 
-                    Math.floor(((n % 33) + 3) / 4) + jd;
-
-        if (jm < 7) {
-            return jpd + (jm - 1) * 31;
-        } else {
-            return jpd + (jm - 7) * 30 + 186;
-        }
+        return gregorianToJulian(gy, 3, march) + dayOfYear + jd - 1;
     }
 
     /**
@@ -197,65 +184,27 @@
             throw new Error('Invalid Julian Day Number');
         }
 
-        const gy = Math.floor((jdn - GREGORIAN_EPOCH + 0.5) / 365.25);
-        let jy = Math.floor((jdn - JALALI_EPOCH + 0.5) / 365.25);
-
-        const breaks = [
-            -61, 9, 38, 199, 426, 686, 756, 818, 1111, 1181, 1210,
-            1635, 2060, 2097, 2192, 2262, 2324, 2394, 2456, 3178
-        ];
-
-        let jp = breaks[0];
-        let jump = 0;
-
-        for (let i = 1; i < breaks.length; i++) {
-            const jm = breaks[i];
-            jump = jm - jp;
-            if (jy < jm) break;
-            jp = jm;
-        }
-
-        let n = jy - jp;
+        const gy = julianToGregorian(jdn).year;
+        let jy = gy - 621;
+        const calendar = jalaliCalendar(jy);
+        let k = jdn - gregorianToJulian(gy, 3, calendar.march);
 
-        if (jump - n < 6) {
-            n = n - jump + (Math.floor(jump / 33) * 33);
-        }
-
-        let leapJ = -14;
-        if (((n + 1) % 33) - 1 === 0) {
-            leapJ = 0;
-        } else {
-            leapJ = (((n + 1) % 33) - 1) % 4;
-            if (leapJ === -1) leapJ = 4;
-        }
-
-        const jpd = JALALI_EPOCH + (365 * n) + Math.floor((n / 33) * 8) + 
-                    Math.floor(((n % 33) + 3) / 4);
-
-        let jm, jd;
-
-        if (jdn >= jpd) {
-            jm = Math.floor((jdn - jpd) / 31);
-            jd = (jdn - jpd) - (jm * 31);
-            if (jm >= 6) {
-                jm = Math.floor((jdn - jpd - 186) / 30);
-                jd = (jdn - jpd - 186) - (jm * 30);
-                jm += 7;
-            } else {
-                jm += 1;
+        if (k >= 0) {
+            if (k <= 185) {
+                // First six months (31 days)
+                return { year: jy, month: 1 + Math.floor(k / 31), day: (k % 31) + 1 };
             }
-            jd += 1;
+            k -= 186;
         } else {
+            // Before Farvardin 1: last months of the previous Jalali year
             jy -= 1;
-            jm = 12;
-            jd = (jdn - jpd) + (isJalaliLeapYear(jy) ? 30 : 29) + 1;
+            k += 179;
+            if (calendar.leap === 1) {
+                k += 1;
+            }
         }
 
-        return {
-            year: jy,
-            month: jm,
-            day: jd
-        };
+        return { year: jy, month: 7 + Math.floor(k / 30), day: (k % 30) + 1 };
     }
 
     /**
@@ -382,7 +331,7 @@
             this._jDate = { year: jy, month: jm, day: jd };
 
             // Convert to Gregorian
-            const jdn = jalaliToJulali(jy, jm, jd);
+            const jdn = jalaliToJulian(jy, jm, jd);
             const greg = julianToGregorian(jdn);
             this._gDate = new Date(greg.year, greg.month - 1, greg.day, h, i, s, ms);
         } else {
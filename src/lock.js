@@ -0,0 +1,264 @@
+/**
+ * Lock Module
+ * Unlock screen for encrypted data, auto-lock after inactivity and the
+ * encryption section of the settings panel.
+ *
+ * Locking reloads the page so no decrypted data stays in memory or in the DOM.
+ */
+const Lock = {
+    MIN_PASSPHRASE_LENGTH: 8,
+    CHECK_INTERVAL: 30000,
+    ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'],
+
+    lastActivity: Date.now(),
+    locking: false,
+
+    /**
+     * Show the unlock screen until the right passphrase is entered
+     * @returns {Promise<void>} Resolves once storage is unlocked
+     */
+    prompt() {
+        return new Promise((resolve, reject) => {
+            const screen = document.getElementById('lockScreen');
+            const form = document.getElementById('unlockForm');
+            const input = document.getElementById('unlockPassphrase');
+            const error = document.getElementById('unlockError');
+            const submitBtn = document.getElementById('unlockBtn');
+
+            if (!screen || !form || !input) {
+                reject(new Error('Unlock screen is missing'));
+                return;
+            }
+
+            screen.hidden = false;
+            input.focus();
+
+            const handleSubmit = async (e) => {
+                e.preventDefault();
+                if (submitBtn) submitBtn.disabled = true;
+
+                let unlocked = false;
+                try {
+                    unlocked = await Storage.unlock(input.value);
+                    if (!unlocked && error) error.textContent = 'رمز عبور نادرست است';
+                } catch (err) {
+                    console.error('Error unlocking storage:', err);
+                    if (error) error.textContent = 'رمزگشایی داده‌ها ناموفق بود';
+                }
+
+                if (submitBtn) submitBtn.disabled = false;
+
+                if (unlocked) {
+                    form.removeEventListener('submit', handleSubmit);
+                    input.value = '';
+                    if (error) error.textContent = '';
+                    screen.hidden = true;
+                    resolve();
+                } else {
+                    input.select();
+                }
+            };
+
+            form.addEventListener('submit', handleSubmit);
+        });
+    },
+
+    /**
+     * Initialize Lock module
+     */
+    init() {
+        this.lastActivity = Date.now();
+        this.attachEventListeners();
+        setInterval(() => this.checkAutoLock(), this.CHECK_INTERVAL);
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const markActive = Utils.throttle(() => {
+            this.lastActivity = Date.now();
+        }, 1000);
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, markActive, { passive: true });
+        });
+
+        // Timers are throttled in background tabs, so check again when coming back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkAutoLock();
+        });
+
+        // Another tab changed the passphrase: our key is stale
+        Storage.subscribe(Storage.KEYS.ENCRYPTION, ({ remote }) => {
+            if (remote) location.reload();
+        });
+
+        const saveBtn = document.getElementById('encryptionSaveBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.savePassphrase());
+        }
+
+        const disableBtn = document.getElementById('encryptionDisableBtn');
+        if (disableBtn) {
+            disableBtn.addEventListener('click', () => this.disable());
+        }
+
+        const lockBtn = document.getElementById('lockNowBtn');
+        if (lockBtn) {
+            lockBtn.addEventListener('click', () => this.lock());
+        }
+
+        const autoLockSelect = document.getElementById('autoLockTimeout');
+        if (autoLockSelect) {
+            autoLockSelect.addEventListener('change', (e) => {
+                Storage.setAutoLock(Number(e.target.value));
+            });
+        }
+
+        document.addEventListener('settingsOpened', () => this.render());
+        document.addEventListener('settingsClosed', () => this.clearFields());
+    },
+
+    /**
+     * Lock if the dashboard has been idle longer than the timeout
+     */
+    checkAutoLock() {
+        const minutes = Storage.getAutoLock();
+        if (Storage.isEncrypted() && minutes > 0 && Date.now() - this.lastActivity >= minutes * 60000) {
+            this.lock();
+        }
+    },
+
+    /**
+     * Lock now: finish pending writes and reload to the unlock screen
+     */
+    async lock() {
+        if (this.locking || !Storage.isEncrypted()) return;
+
+        this.locking = true;
+        await Storage.flush();
+        location.reload();
+    },
+
+    /**
+     * Reflect the encryption state in the settings panel
+     */
+    render() {
+        const enabled = Storage.isEncrypted();
+        const supported = Encryption.isSupported();
+
+        const status = document.getElementById('encryptionStatus');
+        if (status) {
+            if (!supported) {
+                status.textContent = 'مرورگر شما از رمزگذاری پشتیبانی نمی‌کند';
+            } else {
+                status.textContent = enabled ?
+                    'یادداشت‌ها و دسترسی‌های سریع با رمز عبور شما رمزگذاری شده‌اند' :
+                    'داده‌ها بدون رمزگذاری ذخیره می‌شوند';
+            }
+        }
+
+        const currentField = document.getElementById('encryptionCurrentField');
+        if (currentField) currentField.hidden = !enabled;
+
+        const enabledControls = document.getElementById('encryptionEnabledControls');
+        if (enabledControls) enabledControls.hidden = !enabled;
+
+        const saveBtn = document.getElementById('encryptionSaveBtn');
+        if (saveBtn) {
+            saveBtn.textContent = enabled ? 'تغییر رمز عبور' : 'فعال‌سازی رمزگذاری';
+            saveBtn.disabled = !supported;
+        }
+
+        const autoLockSelect = document.getElementById('autoLockTimeout');
+        if (autoLockSelect) {
+            autoLockSelect.value = String(Storage.getAutoLock());
+        }
+    },
+
+    /**
+     * Empty the passphrase fields
+     */
+    clearFields() {
+        ['encryptionCurrent', 'encryptionPassphrase', 'encryptionConfirm'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+    },
+
+    /**
+     * Get a passphrase field value
+     * @param {string} id - Input ID
+     * @returns {string} Value
+     */
+    getField(id) {
+        const input = document.getElementById(id);
+        return input ? input.value : '';
+    },
+
+    /**
+     * Enable encryption or change the passphrase
+     */
+    async savePassphrase() {
+        const enabled = Storage.isEncrypted();
+        const passphrase = this.getField('encryptionPassphrase');
+
+        if (passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            Utils.showToast(`رمز عبور باید حداقل ${this.MIN_PASSPHRASE_LENGTH} کاراکتر باشد`, 'error');
+            return;
+        }
+
+        if (passphrase !== this.getField('encryptionConfirm')) {
+            Utils.showToast('تکرار رمز عبور یکسان نیست', 'error');
+            return;
+        }
+
+        if (enabled && !(await Storage.checkPassphrase(this.getField('encryptionCurrent')))) {
+            Utils.showToast('رمز عبور فعلی نادرست است', 'error');
+            return;
+        }
+
+        if (!enabled && !confirm('رمز عبور قابل بازیابی نیست و با فراموش کردن آن دسترسی به داده‌ها از دست می‌رود. ادامه می‌دهید؟')) {
+            return;
+        }
+
+        try {
+            await Storage.setPassphrase(passphrase, enabled ? this.getField('encryptionCurrent') : null);
+            Utils.showToast(enabled ? 'رمز عبور تغییر کرد' : 'رمزگذاری فعال شد');
+        } catch (error) {
+            console.error('Error enabling encryption:', error);
+            Utils.showToast('رمزگذاری داده‌ها ناموفق بود', 'error');
+        }
+
+        this.clearFields();
+        this.render();
+    },
+
+    /**
+     * Turn encryption off after checking the current passphrase
+     */
+    async disable() {
+        if (!(await Storage.checkPassphrase(this.getField('encryptionCurrent')))) {
+            Utils.showToast('برای غیرفعال کردن رمزگذاری، رمز عبور فعلی را وارد کنید', 'error');
+            return;
+        }
+
+        if (!confirm('داده‌ها بدون رمزگذاری ذخیره می‌شوند. ادامه می‌دهید؟')) return;
+
+        try {
+            await Storage.removePassphrase();
+            Utils.showToast('رمزگذاری غیرفعال شد');
+        } catch (error) {
+            console.error('Error disabling encryption:', error);
+            Utils.showToast('غیرفعال کردن رمزگذاری ناموفق بود', 'error');
+        }
+
+        this.clearFields();
+        this.render();
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lock;
+}
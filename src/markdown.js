@@ -0,0 +1,259 @@
+/**
+ * Markdown Module
+ * Small built-in Markdown renderer for note content and the edit/preview
+ * toggle of the note editor.
+ *
+ * Supported: headings, bold, italic, strikethrough, inline code, fenced code
+ * blocks, bullet/numbered lists, task checkboxes, block quotes and links.
+ * All text is escaped before any markup is added, so raw HTML in a note is
+ * shown as text and never reaches the page. Links are limited to http(s)
+ * and mailto. Every block gets its own direction so mixed Persian/English
+ * notes read correctly.
+ */
+const Markdown = {
+    SAFE_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+
+    // First strong character decides the direction of a block
+    RTL_CHARS: /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/,
+    LTR_CHARS: /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/,
+
+    /**
+     * Initialize Markdown module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        // Edit/preview tabs of any editor (Event Delegation)
+        document.addEventListener('click', (e) => {
+            const tab = e.target.closest('.editor-tab[data-editor]');
+            if (tab) {
+                this.setEditorMode(tab.dataset.editor, tab.dataset.editorMode);
+            }
+        });
+    },
+
+    /**
+     * Switch an editor between writing and previewing
+     * @param {string} textareaId - Editor textarea ID
+     * @param {string} mode - 'edit' or 'preview'
+     */
+    setEditorMode(textareaId, mode) {
+        const textarea = document.getElementById(textareaId);
+        const preview = document.getElementById(`${textareaId}Preview`);
+        if (!textarea || !preview) return;
+
+        const previewing = mode === 'preview';
+
+        if (previewing) {
+            preview.innerHTML = textarea.value.trim() ?
+                this.render(textarea.value) :
+                '<div class="empty-state">چیزی برای پیش‌نمایش وجود ندارد</div>';
+        }
+
+        textarea.hidden = previewing;
+        preview.hidden = !previewing;
+
+        document.querySelectorAll(`.editor-tab[data-editor="${textareaId}"]`).forEach(tab => {
+            const active = tab.dataset.editorMode === mode;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+
+        if (!previewing) {
+            textarea.focus();
+        }
+    },
+
+    /**
+     * Detect the direction of a piece of text
+     * @param {string} text - Text
+     * @returns {string|null} 'rtl', 'ltr', or null if there is no strong character
+     */
+    getDirection(text) {
+        // Ignore URLs and code, which are always Latin
+        const plain = String(text)
+            .replace(/`[^`]*`/g, '')
+            .replace(/\]\([^)]*\)/g, ']')
+            .replace(/(?:https?:\/\/|mailto:)\S+/g, '');
+
+        for (const char of plain) {
+            if (this.RTL_CHARS.test(char)) return 'rtl';
+            if (this.LTR_CHARS.test(char)) return 'ltr';
+        }
+
+        return null;
+    },
+
+    /**
+     * Direction attribute for a block
+     * @param {string} text - Block source
+     * @returns {string} ` dir="..."` or empty string
+     */
+    dirAttribute(text) {
+        const dir = this.getDirection(text);
+        return dir ? ` dir="${dir}"` : '';
+    },
+
+    /**
+     * Check a link target
+     * @param {string} url - Link URL as written
+     * @returns {string|null} URL if safe to link, otherwise null
+     */
+    safeUrl(url) {
+        try {
+            return this.SAFE_PROTOCOLS.includes(new URL(url).protocol) ? url : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Build a link element
+     * @param {string} href - Safe URL
+     * @param {string} html - Rendered link text
+     * @returns {string} HTML
+     */
+    link(href, html) {
+        return `<a href="${Utils.escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+    },
+
+    /**
+     * Render inline Markdown of a single block
+     * @param {string} text - Source text
+     * @returns {string} HTML
+     */
+    renderInline(text) {
+        const stash = [];
+        const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+        // Code spans and links are finished first so emphasis never reaches into them
+        let html = text
+            .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${Utils.escapeHTML(code)}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                const href = this.safeUrl(url);
+                return href ? keep(this.link(href, this.renderInline(label))) : match;
+            })
+            .replace(/(?:https?:\/\/|mailto:)[^\s<>"]+[^\s<>".,:;!?'")\]]/g, url => {
+                const href = this.safeUrl(url);
+                return href ? keep(this.link(href, Utils.escapeHTML(url))) : url;
+            });
+
+        html = Utils.escapeHTML(html)
+            .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+            .replace(/\*(?=[^\s*])(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\p{L}\p{N}])_(?=[^\s_])(.+?)_(?![\p{L}\p{N}])/gu, '$1<em>$2</em>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+    },
+
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} source - Markdown text
+     * @returns {string} HTML
+     */
+    render(source) {
+        const lines = String(source || '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let i = 0;
+
+        const listItem = line => line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            // Blank line
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^\s*(```|~~~)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                blocks.push(`<pre dir="ltr"><code>${Utils.escapeHTML(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Heading (note titles are already headings, so levels start lower)
+            const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                const level = Math.min(heading[1].length + 3, 6);
+                blocks.push(`<h${level}${this.dirAttribute(heading[2])}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            // Block quote
+            if (/^\s*>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${this.render(quote.join('\n'))}</blockquote>`);
+                continue;
+            }
+
+            // List (bullets, numbers and task checkboxes)
+            const first = listItem(line);
+            if (first) {
+                const ordered = Boolean(first[2]);
+                const items = [];
+
+                while (i < lines.length) {
+                    const item = listItem(lines[i]);
+                    if (!item || Boolean(item[2]) !== ordered) break;
+                    items.push(item[3]);
+                    i++;
+                }
+
+                const tag = ordered ? 'ol' : 'ul';
+                const start = ordered && first[2] !== '1' ? ` start="${Number(first[2])}"` : '';
+                const html = items.map(text => {
+                    const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+                    if (task) {
+                        const checked = task[1] !== ' ';
+                        return `<li class="md-task${checked ? ' done' : ''}"${this.dirAttribute(task[2])}>` +
+                            `<input type="checkbox" disabled${checked ? ' checked' : ''}> ${this.renderInline(task[2])}</li>`;
+                    }
+                    return `<li${this.dirAttribute(text)}>${this.renderInline(text)}</li>`;
+                }).join('');
+
+                blocks.push(`<${tag}${start}${this.dirAttribute(items.join(' '))}>${html}</${tag}>`);
+                continue;
+            }
+
+            // Paragraph: consecutive lines until a blank line or another block
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() &&
+                !/^\s*(```|~~~|#{1,6}\s|>)/.test(lines[i]) &&
+                (paragraph.length === 0 || !listItem(lines[i]))) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+
+            const text = paragraph.join('\n');
+            blocks.push(`<p${this.dirAttribute(text)}>${paragraph.map(l => this.renderInline(l)).join('<br>')}</p>`);
+        }
+
+        return blocks.join('');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Markdown;
+}
@@ -0,0 +1,335 @@
+/**
+ * Markdown Archive Module
+ * Converts notes to a zip of Markdown files with YAML front matter and back,
+ * so notes can be read and edited in other tools (Obsidian, editors, git).
+ *
+ * Layout:
+ *   notes/<title>.md                   general notes
+ *   date-notes/<YYYY-MM-DD>/<title>.md date notes
+ *
+ * Front matter carries id, title, createdAt, updatedAt, date, type, color,
+ * remindAt, recurrence (as JSON), pinned and tags.
+ * Only the small YAML subset written here (plus plain scalars and lists
+ * as other tools write them) is read back.
+ */
+const MarkdownArchive = {
+    NOTES_FOLDER: 'notes',
+    DATE_NOTES_FOLDER: 'date-notes',
+
+    MAX_FILENAME_LENGTH: 80,
+
+    /**
+     * Make a note title safe for use as a file name
+     * @param {string} title - Note title
+     * @returns {string} File name without extension
+     */
+    toFilename(title) {
+        const name = String(title || '')
+            .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '-')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            .slice(0, this.MAX_FILENAME_LENGTH)
+            .trim();
+
+        return name || 'بدون عنوان';
+    },
+
+    /**
+     * Serialize a note as Markdown with front matter
+     * @param {Object} note - Note
+     * @param {string|null} dateKey - Date key for date notes
+     * @returns {string} Markdown
+     */
+    toMarkdown(note, dateKey = null) {
+        const fields = [
+            ['id', note.id],
+            ['title', note.title || ''],
+            ['createdAt', note.createdAt],
+            ['updatedAt', note.updatedAt],
+            ['date', dateKey],
+            ['type', Checklist.isChecklist(note) ? note.type : null],
+            ['color', note.color],
+            ['remindAt', note.reminder && !note.reminder.dismissed ? note.reminder.at : null],
+            ['recurrence', note.recurrence ? JSON.stringify(note.recurrence) : null]
+        ];
+
+        // Double-quoted YAML scalars are JSON strings, which keeps escaping simple
+        const lines = fields
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}: ${JSON.stringify(String(value))}`);
+
+        if (note.pinned) {
+            lines.push('pinned: true');
+        }
+
+        const tags = Array.isArray(note.tags) ? note.tags : [];
+        lines.push(`tags: [${tags.map(tag => JSON.stringify(String(tag))).join(', ')}]`);
+
+        return `---\n${lines.join('\n')}\n---\n\n${note.content || ''}\n`;
+    },
+
+    /**
+     * Build the archive files for exported data
+     * @param {Object} data - Data as returned by Storage.exportData()
+     * @returns {Array} [{ name, content, date }]
+     */
+    buildFiles(data) {
+        const used = new Set();
+        const files = [];
+
+        const add = (folder, note, dateKey = null) => {
+            const base = `${folder}/${this.toFilename(note.title)}`;
+            let name = `${base}.md`;
+            for (let i = 2; used.has(name.toLowerCase()); i++) {
+                name = `${base} (${i}).md`;
+            }
+            used.add(name.toLowerCase());
+
+            const date = new Date(note.updatedAt || note.createdAt);
+            files.push({
+                name,
+                content: this.toMarkdown(note, dateKey),
+                date: isNaN(date) ? new Date() : date
+            });
+        };
+
+        (data.notes || []).forEach(note => add(this.NOTES_FOLDER, note));
+
+        Object.keys(data.dateNotes || {}).sort().forEach(dateKey => {
+            data.dateNotes[dateKey].forEach(note => add(`${this.DATE_NOTES_FOLDER}/${dateKey}`, note, dateKey));
+        });
+
+        return files;
+    },
+
+    /**
+     * Create the zip archive for a profile's notes
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {Object} { blob, count }
+     */
+    create(profileId = Storage.profile) {
+        const files = this.buildFiles(Storage.exportData(profileId));
+        return { blob: Zip.create(files), count: files.length };
+    },
+
+    /**
+     * Parse a YAML scalar
+     * @param {string} raw - Raw value
+     * @returns {string} Value
+     */
+    parseScalar(raw) {
+        const value = raw.trim();
+
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            try {
+                return String(JSON.parse(value));
+            } catch {
+                return value.slice(1, -1);
+            }
+        }
+
+        if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+
+        // Plain scalar: drop a trailing comment
+        return value.replace(/\s+#.*$/, '');
+    },
+
+    /**
+     * Split a flow list ([a, "b, c"]) into raw items
+     * @param {string} raw - List body without brackets
+     * @returns {Array<string>} Parsed items
+     */
+    parseFlowList(raw) {
+        const items = [];
+        let current = '';
+        let quote = null;
+
+        for (const char of raw) {
+            if (quote) {
+                if (char === quote) quote = null;
+                current += char;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current += char;
+            } else if (char === ',') {
+                items.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        items.push(current);
+
+        return items.map(item => this.parseScalar(item)).filter(Boolean);
+    },
+
+    /**
+     * Split a Markdown file into front matter and body
+     * @param {string} text - File content
+     * @returns {Object} { meta, body }
+     */
+    parseMarkdown(text) {
+        const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+        const meta = {};
+
+        if (lines[0].trim() !== '---') {
+            return { meta, body: lines.join('\n') };
+        }
+
+        const end = lines.findIndex((line, i) => i > 0 && (line.trim() === '---' || line.trim() === '...'));
+        if (end < 0) {
+            return { meta, body: lines.join('\n') };
+        }
+
+        let listKey = null;
+        lines.slice(1, end).forEach(line => {
+            const item = line.match(/^\s*-\s+(.*)$/);
+            if (item && listKey) {
+                meta[listKey].push(this.parseScalar(item[1]));
+                return;
+            }
+
+            const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+            if (!pair) return;
+
+            const [, key, raw] = pair;
+            const value = raw.trim();
+            listKey = null;
+
+            if (value === '') {
+                // A block list may follow
+                meta[key] = [];
+                listKey = key;
+            } else if (value.startsWith('[') && value.endsWith(']')) {
+                meta[key] = this.parseFlowList(value.slice(1, -1));
+            } else {
+                meta[key] = this.parseScalar(value);
+            }
+        });
+
+        // Drop the blank line written between front matter and content
+        const body = lines.slice(end + 1).join('\n').replace(/^\n/, '');
+        return { meta, body };
+    },
+
+    /**
+     * Find the date key of an archive file
+     * @param {Object} meta - Front matter
+     * @param {string} path - Path inside the archive
+     * @returns {string|null} Date key as written, or null for general notes
+     */
+    findDateKey(meta, path) {
+        if (typeof meta.date === 'string' && meta.date) {
+            return meta.date;
+        }
+
+        // date-notes/<key>/title.md, or a daily note named after its date
+        const parts = path.split('/');
+        const match = [...parts.slice(0, -1).reverse(), parts[parts.length - 1].replace(/\.md$/i, '')]
+            .find(part => /^\d{4}-\d{1,2}-\d{1,2}$/.test(part));
+
+        return match || null;
+    },
+
+    /**
+     * Read a recurrence rule written as JSON in front matter
+     * @param {*} value - Front matter value
+     * @returns {Object|null} Rule, or null if missing or invalid
+     */
+    parseRecurrence(value) {
+        if (typeof value !== 'string') return null;
+
+        try {
+            return Recurrence.normalize(JSON.parse(value));
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Read notes from a zip of Markdown files
+     * @param {Uint8Array} bytes - Archive bytes
+     * @returns {Promise<Object>} Import data ({ notes, dateNotes })
+     */
+    async read(bytes) {
+        const files = await Zip.read(bytes);
+        const decoder = new TextDecoder();
+        const now = new Date().toISOString();
+        const data = { notes: [], dateNotes: {} };
+
+        files
+            .filter(file => /\.(md|markdown)$/i.test(file.name))
+            // Skip macOS resource forks and hidden files
+            .filter(file => !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'))
+            .forEach(file => {
+                const { meta, body } = this.parseMarkdown(decoder.decode(file.data));
+                const filename = file.name.split('/').pop().replace(/\.(md|markdown)$/i, '');
+
+                const note = {
+                    id: Utils.isSafeId(meta.id) ? meta.id : Utils.generateId(),
+                    title: typeof meta.title === 'string' ? meta.title : filename,
+                    content: body.replace(/\n$/, ''),
+                    createdAt: typeof meta.createdAt === 'string' && meta.createdAt ? meta.createdAt : now
+                };
+
+                if (typeof meta.updatedAt === 'string' && meta.updatedAt) {
+                    note.updatedAt = meta.updatedAt;
+                }
+
+                if (meta.type === Checklist.TYPE) {
+                    note.type = Checklist.TYPE;
+                }
+
+                if (NoteOrder.normalizeColor(meta.color)) {
+                    note.color = meta.color;
+                }
+
+                if (meta.pinned === 'true') {
+                    note.pinned = true;
+                }
+
+                if (Array.isArray(meta.tags) && meta.tags.length > 0) {
+                    note.tags = meta.tags;
+                }
+
+                const rawKey = this.findDateKey(meta, file.name);
+                if (rawKey === null) {
+                    data.notes.push(note);
+                    return;
+                }
+
+                if (typeof meta.remindAt === 'string' && !isNaN(new Date(meta.remindAt).getTime())) {
+                    note.reminder = { at: meta.remindAt, dismissed: false };
+                }
+
+                const recurrence = this.parseRecurrence(meta.recurrence);
+                if (recurrence) {
+                    note.recurrence = recurrence;
+                }
+
+                // Invalid dates are kept as written so validation can report them
+                const dateKey = Utils.normalizeDateKey(rawKey) || rawKey;
+                (data.dateNotes[dateKey] = data.dateNotes[dateKey] || []).push(note);
+            });
+
+        // Date keys above are already in the current format
+        if (Object.keys(data.dateNotes).length > 0) {
+            data.schemaVersion = Storage.get(Storage.KEYS.SCHEMA_VERSION, 0);
+        } else {
+            delete data.dateNotes;
+        }
+
+        if (data.notes.length === 0) {
+            delete data.notes;
+        }
+
+        return data;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownArchive;
+}
@@ -0,0 +1,75 @@
+/**
+ * Memory Storage Adapter
+ * Keeps everything in memory for browsers where neither IndexedDB nor
+ * localStorage can be used (e.g. some private browsing modes).
+ *
+ * Nothing survives a reload; Storage uses it only as a last resort so the
+ * dashboard stays usable instead of silently dropping every change.
+ */
+
+const MemoryStorage = {
+    // Stored values keyed by storage key
+    data: {},
+
+    /**
+     * Memory is always available
+     * @returns {boolean} True
+     */
+    isAvailable() {
+        return true;
+    },
+
+    /**
+     * Read every stored key
+     * @returns {Promise<Object>} Values keyed by storage key
+     */
+    async readAll() {
+        return Utils.deepClone(this.data);
+    },
+
+    /**
+     * Read one stored value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Value, or undefined if missing
+     */
+    async read(key) {
+        return key in this.data ? Utils.deepClone(this.data[key]) : undefined;
+    },
+
+    /**
+     * Store a value
+     * @param {string} key - Storage key
+     * @param {*} value - Value
+     * @returns {Promise<void>}
+     */
+    async write(key, value) {
+        this.data[key] = Utils.deepClone(value);
+    },
+
+    /**
+     * Record a value as already persisted
+     * @param {string} key - Storage key
+     * @param {*} value - Value (undefined if removed)
+     */
+    markPersisted(key, value) {
+        if (value === undefined) {
+            delete this.data[key];
+        } else {
+            this.data[key] = Utils.deepClone(value);
+        }
+    },
+
+    /**
+     * Remove a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        delete this.data[key];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorage;
+}
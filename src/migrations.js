@@ -0,0 +1,205 @@
+/**
+ * Schema Migrations
+ * Versions the stored data and upgrades it step by step on startup.
+ *
+ * Each step receives a working copy of the stored data keyed by
+ * Storage.KEYS values and returns the upgraded copy. Steps run in order;
+ * if one throws, the data written is the result of the last successful
+ * step and the schema version stays at that step. Every profile keeps its
+ * own schema version and is migrated on startup.
+ */
+
+const Migrations = {
+    /**
+     * Ordered migration steps. Append new steps, never reorder or edit old ones.
+     */
+    steps: [
+        {
+            version: 1,
+            description: 'Normalize date note keys to YYYY-MM-DD',
+
+            /**
+             * Merge date notes stored under legacy keys (YYYYMM-DD, YYYY-M-D)
+             * into their canonical key. Unparseable keys are left untouched.
+             * @param {Object} data - Stored data
+             * @returns {Object} Upgraded data
+             */
+            up(data) {
+                const dateNotes = data[Storage.KEYS.DATE_NOTES];
+                if (!dateNotes || typeof dateNotes !== 'object') {
+                    return data;
+                }
+
+                const normalized = {};
+
+                Object.entries(dateNotes).forEach(([key, notes]) => {
+                    const canonical = Utils.normalizeDateKey(key) || key;
+                    const merged = normalized[canonical] || [];
+
+                    (Array.isArray(notes) ? notes : []).forEach(note => {
+                        if (!merged.some(n => n.id === note.id)) {
+                            merged.push(note);
+                        }
+                    });
+
+                    if (merged.length > 0) {
+                        normalized[canonical] = merged;
+                    }
+                });
+
+                data[Storage.KEYS.DATE_NOTES] = normalized;
+                return data;
+            }
+        }
+    ],
+
+    /**
+     * Latest schema version
+     * @returns {number} Version number
+     */
+    get latestVersion() {
+        return this.steps.length > 0 ? this.steps[this.steps.length - 1].version : 0;
+    },
+
+    /**
+     * Get stored schema version (0 for data written before versioning)
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {number} Version number
+     */
+    getVersion(profileId = Storage.profile) {
+        return Storage.getFromProfile(Storage.KEYS.SCHEMA_VERSION, profileId, 0);
+    },
+
+    /**
+     * Read every data key of a profile into a plain object
+     * @param {string} profileId - Profile ID
+     * @returns {Object} Stored data keyed by storage key
+     */
+    readAll(profileId) {
+        const data = {};
+
+        Storage.getProfileKeys().forEach(key => {
+            if (key === Storage.KEYS.SCHEMA_VERSION) return;
+
+            const value = Storage.getFromProfile(key, profileId, null);
+            if (value !== null) {
+                data[key] = value;
+            }
+        });
+
+        return data;
+    },
+
+    /**
+     * Write a data object back, removing keys that are no longer present
+     * @param {Object} data - Data keyed by storage key
+     * @param {Object} previous - Data before the write
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    writeAll(data, previous, profileId) {
+        let success = true;
+
+        Object.keys(previous).forEach(key => {
+            if (!(key in data)) {
+                success = Storage.removeFromProfile(key, profileId) && success;
+            }
+        });
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+                success = Storage.setInProfile(key, profileId, value) && success;
+            }
+        });
+
+        return success;
+    },
+
+    /**
+     * Apply pending steps to a data object without touching storage
+     * @param {Object} data - Data keyed by storage key
+     * @param {number} fromVersion - Version the data is at
+     * @returns {Object} { data, version, error }
+     */
+    apply(data, fromVersion) {
+        let current = Utils.deepClone(data);
+        let version = fromVersion;
+
+        for (const step of this.steps) {
+            if (step.version <= fromVersion) continue;
+
+            try {
+                current = step.up(Utils.deepClone(current)) || current;
+                version = step.version;
+            } catch (error) {
+                console.error(`Migration to v${step.version} (${step.description}) failed:`, error);
+                return { data: current, version, error };
+            }
+        }
+
+        return { data: current, version, error: null };
+    },
+
+    /**
+     * Run pending migrations against one profile's stored data. The
+     * version is stamped only once the migrated data is persisted.
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} { from, to, error }
+     */
+    async runProfile(profileId) {
+        const from = this.getVersion(profileId);
+
+        if (from >= this.latestVersion) {
+            return { from, to: from, error: null };
+        }
+
+        await Storage.commit(() => Storage.takeSnapshot('migration', profileId));
+
+        const original = this.readAll(profileId);
+        const result = this.apply(original, from);
+
+        if (result.version > from) {
+            const written = await Storage.commit(() => this.writeAll(result.data, original, profileId));
+            const stamped = written &&
+                await Storage.commit(() => Storage.setInProfile(Storage.KEYS.SCHEMA_VERSION, profileId, result.version));
+
+            if (!stamped) {
+                // Partial write: put the pre-migration data back
+                console.error('Writing migrated data failed, restoring previous data');
+                await Storage.commit(() => this.writeAll(original, result.data, profileId));
+                return { from, to: from, error: new Error('Migration write failed') };
+            }
+        }
+
+        return { from, to: result.version, error: result.error };
+    },
+
+    /**
+     * Run pending migrations against every profile
+     * @returns {Promise<Object>} { from, to, error } of the active profile
+     */
+    async run() {
+        let active = null;
+        let failed = false;
+
+        for (const profile of Storage.getProfiles()) {
+            const result = await this.runProfile(profile.id);
+            failed = failed || Boolean(result.error);
+
+            if (profile.id === Storage.profile) {
+                active = result;
+            }
+        }
+
+        if (failed) {
+            Utils.showToast('به‌روزرسانی داده‌ها کامل نشد', 'error');
+        }
+
+        return active;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Migrations;
+}
@@ -0,0 +1,262 @@
+/**
+ * Note Editor Module
+ * Long-form note support: the configurable length limit (including no
+ * limit), character/word/line counts under the editor, a full-screen
+ * editing mode, and "show more" for long notes in the lists.
+ */
+const NoteEditor = {
+    // 0 means no limit
+    LIMIT_OPTIONS: [500, 2000, 10000, 0],
+
+    // Notes longer than this are collapsed in lists
+    COLLAPSE_LENGTH: 600,
+    COLLAPSE_LINES: 12,
+
+    // Share of the limit after which the counter warns
+    WARNING_RATIO: 0.8,
+
+    // Notes the user expanded, as "id" or "dateKey/id"
+    expanded: new Set(),
+
+    /**
+     * Initialize Note Editor module
+     */
+    init() {
+        this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.NOTE_LENGTH_LIMIT, () => {
+            this.renderLimitSelect();
+            this.updateCounter();
+        });
+        this.renderLimitSelect();
+        this.updateCounter();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const limitSelect = document.getElementById('noteLengthLimit');
+        if (limitSelect) {
+            limitSelect.addEventListener('change', async (e) => {
+                const saved = await Storage.commit(() => Storage.setNoteLengthLimit(Number(e.target.value)));
+                if (!saved) {
+                    Utils.showToast('ذخیره محدودیت طول یادداشت ممکن نشد', 'error');
+                    this.renderLimitSelect();
+                    return;
+                }
+                Utils.showToast('محدودیت طول یادداشت ذخیره شد');
+            });
+        }
+
+        const textarea = document.getElementById('noteContent');
+        if (textarea) {
+            textarea.addEventListener('input', () => this.updateCounter());
+        }
+
+        const fullscreenBtn = document.getElementById('noteFullscreenBtn');
+        if (fullscreenBtn) {
+            fullscreenBtn.addEventListener('click', () => this.setFullscreen(!this.isFullscreen()));
+        }
+
+        // Escape leaves full screen before it closes the modal
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isFullscreen()) {
+                e.stopImmediatePropagation();
+                this.setFullscreen(false);
+            }
+        }, true);
+
+        // "Show more" in note lists (Event Delegation)
+        document.addEventListener('click', (e) => {
+            const expandBtn = e.target.closest('.note-expand[data-key]');
+            if (expandBtn) {
+                this.toggleExpanded(expandBtn);
+            }
+        });
+
+        document.addEventListener('settingsOpened', () => this.renderLimitSelect());
+    },
+
+    /**
+     * Get the maximum note length
+     * @returns {number} Characters, or 0 for no limit
+     */
+    getLimit() {
+        const limit = Number(Storage.getNoteLengthLimit());
+        return this.LIMIT_OPTIONS.includes(limit) ? limit : Storage.DEFAULT_NOTE_LENGTH_LIMIT;
+    },
+
+    /**
+     * Check content against the length limit. A note that was already
+     * longer (the limit was lowered later) may be saved as long as the
+     * edit does not make it longer.
+     * @param {string} content - Note content
+     * @param {string} previous - Content before the edit, '' for a new note
+     * @returns {boolean} True if the content is over the limit
+     */
+    isTooLong(content, previous = '') {
+        const limit = this.getLimit();
+        return limit > 0 && content.length > limit && content.length > String(previous || '').length;
+    },
+
+    /**
+     * Message shown when content is over the limit
+     * @returns {string} Error message
+     */
+    getLimitMessage() {
+        return `محتوا نباید بیشتر از ${this.getLimit().toLocaleString('fa-IR')} نویسه باشد`;
+    },
+
+    /**
+     * Count characters, words and lines
+     * @param {string} text - Text
+     * @returns {Object} { chars, words, lines }
+     */
+    getStats(text) {
+        const value = String(text || '');
+
+        // ZWNJ joins parts of one Persian word, so only whitespace separates words
+        return {
+            chars: value.length,
+            words: value.trim() ? value.trim().split(/\s+/).length : 0,
+            lines: value ? value.split(/\r?\n/).length : 0
+        };
+    },
+
+    /**
+     * Render the counter under a note editor
+     * @param {HTMLTextAreaElement} textarea - Editor (defaults to the note modal's)
+     * @param {HTMLElement} counter - Character counter
+     * @param {HTMLElement} stats - Word and line counts
+     */
+    updateCounter(
+        textarea = document.getElementById('noteContent'),
+        counter = document.getElementById('charCount'),
+        stats = document.getElementById('noteStats')
+    ) {
+        if (!textarea) return;
+
+        const limit = this.getLimit();
+        const { chars, words, lines } = this.getStats(textarea.value);
+
+        // The limit blocks typing but never cuts an existing longer note
+        if (limit > 0) {
+            textarea.maxLength = Math.max(limit, textarea.value.length);
+        } else {
+            textarea.removeAttribute('maxlength');
+        }
+
+        if (counter) {
+            counter.textContent = limit > 0 ?
+                `${chars.toLocaleString('fa-IR')} / ${limit.toLocaleString('fa-IR')}` :
+                `${chars.toLocaleString('fa-IR')} / ∞`;
+            counter.classList.toggle('near-limit', limit > 0 && chars > limit * this.WARNING_RATIO && chars <= limit);
+            counter.classList.toggle('over-limit', limit > 0 && chars > limit);
+            counter.title = limit > 0 && chars > limit ?
+                'این یادداشت از محدودیت طول بلندتر است؛ می‌توانید آن را ویرایش کنید ولی نه طولانی‌تر' : '';
+        }
+
+        if (stats) {
+            stats.textContent = `${words.toLocaleString('fa-IR')} واژه · ${lines.toLocaleString('fa-IR')} خط`;
+        }
+    },
+
+    /**
+     * Check whether the note editor is full screen
+     * @returns {boolean} True if full screen
+     */
+    isFullscreen() {
+        return Boolean(document.querySelector('#noteModal .modal-content.editor-fullscreen'));
+    },
+
+    /**
+     * Switch the note editor in or out of full screen
+     * @param {boolean} on - True for full screen
+     */
+    setFullscreen(on) {
+        const content = document.querySelector('#noteModal .modal-content');
+        const button = document.getElementById('noteFullscreenBtn');
+        if (!content) return;
+
+        content.classList.toggle('editor-fullscreen', on);
+        if (button) {
+            button.setAttribute('aria-pressed', String(on));
+            button.title = on ? 'خروج از تمام‌صفحه (Esc)' : 'تمام‌صفحه';
+        }
+
+        document.getElementById('noteContent')?.focus();
+    },
+
+    /**
+     * Reset the editor when the note modal opens
+     */
+    reset() {
+        this.setFullscreen(false);
+        this.updateCounter();
+    },
+
+    /**
+     * Check whether a note is long enough to collapse in lists
+     * @param {string} content - Note content
+     * @returns {boolean} True for long notes
+     */
+    isLong(content) {
+        const { chars, lines } = this.getStats(content);
+        return chars > this.COLLAPSE_LENGTH || lines > this.COLLAPSE_LINES;
+    },
+
+    /**
+     * Wrap a long note's body so it shows collapsed with "show more"
+     * @param {string} html - Rendered note body
+     * @param {Object} note - Note
+     * @param {string|null} dateKey - Date key for date notes
+     * @returns {string} HTML
+     */
+    renderCollapsible(html, note, dateKey = null) {
+        if (!this.isLong(note.content)) return html;
+
+        const key = dateKey ? `${dateKey}/${note.id}` : note.id;
+        const expanded = this.expanded.has(key);
+
+        return `
+            <div class="note-collapsible${expanded ? '' : ' collapsed'}">${html}</div>
+            <button type="button" class="note-expand" data-key="${Utils.escapeHTML(key)}" aria-expanded="${expanded}">
+                ${expanded ? 'نمایش کمتر' : 'نمایش بیشتر'}
+            </button>
+        `;
+    },
+
+    /**
+     * Expand or collapse a long note in a list
+     * @param {HTMLElement} button - The note's "show more" button
+     */
+    toggleExpanded(button) {
+        const key = button.dataset.key;
+        const expanded = !this.expanded.has(key);
+
+        if (expanded) {
+            this.expanded.add(key);
+        } else {
+            this.expanded.delete(key);
+        }
+
+        button.previousElementSibling?.classList.toggle('collapsed', !expanded);
+        button.setAttribute('aria-expanded', String(expanded));
+        button.textContent = expanded ? 'نمایش کمتر' : 'نمایش بیشتر';
+    },
+
+    /**
+     * Show the saved limit in settings
+     */
+    renderLimitSelect() {
+        const limitSelect = document.getElementById('noteLengthLimit');
+        if (limitSelect) {
+            limitSelect.value = String(this.getLimit());
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteEditor;
+}
@@ -0,0 +1,211 @@
+/**
+ * Note Order Module
+ * Sorting of the notes list (pinned notes first), color labels, and manual
+ * ordering by drag and drop or Alt+Arrow keys.
+ *
+ * Manual order is the order of the stored notes array, so it survives
+ * reloads and travels with backups. Reordering while another sort is
+ * active switches to manual order, starting from what was on screen.
+ */
+const NoteOrder = {
+    SORT_MODES: ['manual', 'updated', 'created', 'title', 'color'],
+
+    // Color labels in the order used by the color sort
+    COLORS: {
+        red: 'قرمز',
+        orange: 'نارنجی',
+        yellow: 'زرد',
+        green: 'سبز',
+        blue: 'آبی',
+        purple: 'بنفش'
+    },
+
+    draggedId: null,
+
+    /**
+     * Initialize Note Order module
+     */
+    init() {
+        this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.NOTES_SORT, () => {
+            this.renderSortSelect();
+            if (window.app) window.app.renderNotes();
+        });
+        this.renderSortSelect();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const sortSelect = document.getElementById('notesSort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => Storage.setNotesSort(e.target.value));
+        }
+
+        const list = document.getElementById('notesList');
+        if (!list) return;
+
+        // Drag and drop (Event Delegation)
+        list.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.note-card[data-id]');
+            if (!card) return;
+
+            this.draggedId = card.dataset.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.id);
+            card.classList.add('dragging');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const card = e.target.closest('.note-card[data-id]');
+            if (!this.draggedId || !card || card.dataset.id === this.draggedId) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            const after = this.isAfter(card, e.clientY);
+            this.clearDropMarkers(list);
+            card.classList.add(after ? 'drop-after' : 'drop-before');
+        });
+
+        list.addEventListener('drop', (e) => {
+            const card = e.target.closest('.note-card[data-id]');
+            if (!this.draggedId || !card) return;
+
+            e.preventDefault();
+            this.move(this.draggedId, card.dataset.id, this.isAfter(card, e.clientY));
+        });
+
+        list.addEventListener('dragend', () => {
+            this.draggedId = null;
+            list.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+            this.clearDropMarkers(list);
+        });
+
+        // Keyboard reordering
+        list.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+
+            const card = e.target.closest('.note-card[data-id]');
+            const neighbor = e.key === 'ArrowUp' ? card?.previousElementSibling : card?.nextElementSibling;
+            if (!card || !neighbor?.dataset.id) return;
+
+            e.preventDefault();
+            this.move(card.dataset.id, neighbor.dataset.id, e.key === 'ArrowDown');
+        });
+    },
+
+    /**
+     * Check whether a pointer position is in the lower half of a card
+     * @param {HTMLElement} card - Note card
+     * @param {number} clientY - Pointer position
+     * @returns {boolean} True to drop after the card
+     */
+    isAfter(card, clientY) {
+        const rect = card.getBoundingClientRect();
+        return clientY > rect.top + rect.height / 2;
+    },
+
+    /**
+     * Remove drop position markers
+     * @param {HTMLElement} list - Notes list
+     */
+    clearDropMarkers(list) {
+        list.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+            card.classList.remove('drop-before', 'drop-after');
+        });
+    },
+
+    /**
+     * Get the current sort mode
+     * @returns {string} Sort mode
+     */
+    getSort() {
+        const mode = Storage.getNotesSort();
+        return this.SORT_MODES.includes(mode) ? mode : 'manual';
+    },
+
+    /**
+     * Get a valid color label
+     * @param {*} color - Stored or submitted color
+     * @returns {string|null} Color key, or null for none
+     */
+    normalizeColor(color) {
+        return Object.prototype.hasOwnProperty.call(this.COLORS, color) ? color : null;
+    },
+
+    /**
+     * Sort notes for display, pinned notes first
+     * @param {Array} notes - Notes in stored (manual) order
+     * @param {string} mode - Sort mode (defaults to the saved one)
+     * @returns {Array} Sorted copy
+     */
+    sort(notes, mode = this.getSort()) {
+        const colors = Object.keys(this.COLORS);
+        const time = (note, field) => String(note[field] || note.createdAt || '');
+        const colorRank = note => {
+            const index = colors.indexOf(note.color);
+            return index === -1 ? colors.length : index;
+        };
+
+        const compare = {
+            manual: () => 0,
+            updated: (a, b) => time(b, 'updatedAt').localeCompare(time(a, 'updatedAt')),
+            created: (a, b) => time(b, 'createdAt').localeCompare(time(a, 'createdAt')),
+            title: (a, b) => String(a.title || '').localeCompare(String(b.title || ''), 'fa'),
+            color: (a, b) => colorRank(a) - colorRank(b)
+        }[mode] || (() => 0);
+
+        // Array.prototype.sort is stable, so equal notes keep their manual order
+        return [...notes].sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || compare(a, b));
+    },
+
+    /**
+     * Move a note before or after another one and switch to manual order
+     * @param {string} noteId - Note being moved
+     * @param {string} targetId - Note it is dropped on
+     * @param {boolean} after - True to place it after the target
+     */
+    async move(noteId, targetId, after) {
+        const app = window.app;
+        if (!app || noteId === targetId) return;
+
+        const ordered = this.sort(app.state.notes);
+        const moving = ordered.find(n => n.id === noteId);
+        const rest = ordered.filter(n => n.id !== noteId);
+        const index = rest.findIndex(n => n.id === targetId);
+        if (!moving || index === -1) return;
+
+        rest.splice(after ? index + 1 : index, 0, moving);
+        app.state.notes = rest;
+
+        const saved = await Storage.commit(() =>
+            Undo.record('تغییر ترتیب یادداشت‌ها', [Storage.KEYS.NOTES, Storage.KEYS.NOTES_SORT], () =>
+                Storage.set(Storage.KEYS.NOTES, rest) && Storage.setNotesSort('manual')
+            )
+        );
+
+        if (!saved) {
+            app.loadFromStorage();
+        }
+
+        app.renderNotes();
+        document.querySelector(`.note-card[data-id="${CSS.escape(noteId)}"]`)?.focus();
+    },
+
+    /**
+     * Show the saved sort mode in the sort menu
+     */
+    renderSortSelect() {
+        const sortSelect = document.getElementById('notesSort');
+        if (sortSelect) {
+            sortSelect.value = this.getSort();
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteOrder;
+}
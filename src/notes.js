@@ -63,6 +63,38 @@ const Notes = {
             noteInput.addEventListener('input', () => this.updateCharCounter());
         }
 
+        // Notes list: Event Delegation for Edit/Delete
+        const notesList = document.getElementById('notesList');
+        if (notesList) {
+            notesList.addEventListener('click', (e) => {
+                const editBtn = e.target.closest('.note-edit');
+                const deleteBtn = e.target.closest('.note-delete');
+
+                if (editBtn) {
+                    this.editNote(editBtn.dataset.id);
+                } else if (deleteBtn) {
+                    this.deleteNote(deleteBtn.dataset.id);
+                }
+            });
+        }
+
+        // Date notes list: Event Delegation for Edit/Delete
+        const dateNotesList = document.getElementById('dateNotesList');
+        if (dateNotesList) {
+            dateNotesList.addEventListener('click', (e) => {
+                const editBtn = e.target.closest('.date-note-edit');
+                const deleteBtn = e.target.closest('.date-note-delete');
+                if (!this.currentEditingDate) return;
+
+                const dateKey = Utils.getDateKey(this.currentEditingDate);
+                if (editBtn) {
+                    this.editDateNote(dateKey, editBtn.dataset.id);
+                } else if (deleteBtn) {
+                    this.deleteDateNote(dateKey, deleteBtn.dataset.id);
+                }
+            });
+        }
+
         // Date note modal close buttons
         const dateNoteModalCloseBtn = document.querySelector('#dateNoteModal .modal-close');
         if (dateNoteModalCloseBtn) {
@@ -254,8 +286,8 @@ const Notes = {
                     <small class="note-date">${new Date(note.updatedAt).toLocaleDateString('fa-IR')}</small>
                 </div>
                 <div class="note-item-actions">
-                    <button class="btn-icon" title="ویرایش" onclick="Notes.editNote('${note.id}')">✏️</button>
-                    <button class="btn-icon" title="حذف" onclick="Notes.deleteNote('${note.id}')">🗑️</button>
+                    <button class="btn-icon note-edit" title="ویرایش" data-id="${Utils.escapeHTML(note.id)}">✏️</button>
+                    <button class="btn-icon note-delete" title="حذف" data-id="${Utils.escapeHTML(note.id)}">🗑️</button>
                 </div>
             `;
             container.appendChild(noteEl);
@@ -432,8 +464,8 @@ const Notes = {
                     <small class="note-date">${new Date(note.updatedAt).toLocaleDateString('fa-IR')}</small>
                 </div>
                 <div class="note-item-actions">
-                    <button class="btn-icon" title="ویرایش" onclick="Notes.editDateNote('${dateKey}', '${note.id}')">✏️</button>
-                    <button class="btn-icon" title="حذف" onclick="Notes.deleteDateNote('${dateKey}', '${note.id}')">🗑️</button>
+                    <button class="btn-icon date-note-edit" title="ویرایش" data-id="${Utils.escapeHTML(note.id)}">✏️</button>
+                    <button class="btn-icon date-note-delete" title="حذف" data-id="${Utils.escapeHTML(note.id)}">🗑️</button>
                 </div>
             `;
             container.appendChild(noteEl);
@@ -0,0 +1,339 @@
+/**
+ * Note Search Module
+ * Full-text search over general notes and every date note, shown in the
+ * notes panel with ranked results and highlighted matches.
+ *
+ * Text and query are normalized before matching so Persian spelling
+ * variants find each other: Arabic Yeh/Kaf match Persian Yeh/Keheh, ZWNJ,
+ * tatweel and diacritics are ignored, and Persian/Arabic digits match Latin
+ * digits. Matches are mapped back to the original text for highlighting.
+ */
+const NoteSearch = {
+    MAX_RESULTS: 50,
+    SNIPPET_LENGTH: 140,
+    SNIPPET_CONTEXT: 40,
+
+    CHAR_MAP: {
+        '\u064A': '\u06CC', // Arabic Yeh -> Persian Yeh
+        '\u0649': '\u06CC', // Alef Maksura -> Persian Yeh
+        '\u0643': '\u06A9'  // Arabic Kaf -> Keheh
+    },
+
+    // ZWNJ, ZWJ, tatweel and Arabic diacritics
+    IGNORED_CHARS: /[\u200C\u200D\u0640\u064B-\u065F\u0670]/,
+
+    query: '',
+
+    /**
+     * Initialize Note Search module
+     */
+    init() {
+        this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.NOTES, () => this.refresh());
+        Storage.subscribe(Storage.KEYS.DATE_NOTES, () => this.refresh());
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const input = document.getElementById('noteSearchInput');
+        if (input) {
+            input.addEventListener('input', Utils.debounce(() => this.setQuery(input.value), 200));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && input.value) {
+                    e.stopPropagation();
+                    input.value = '';
+                    this.setQuery('');
+                }
+            });
+        }
+
+        // Result clicks (Event Delegation)
+        const results = document.getElementById('noteSearchResults');
+        if (results) {
+            results.addEventListener('click', (e) => {
+                const result = e.target.closest('.search-result[data-id]');
+                if (result) {
+                    this.open(result.dataset.id, result.dataset.date || null);
+                }
+            });
+        }
+    },
+
+    /**
+     * Normalize one character for matching
+     * @param {string} char - Character
+     * @returns {string} Normalized text ('' for ignored characters)
+     */
+    normalizeChar(char) {
+        if (this.IGNORED_CHARS.test(char)) return '';
+
+        const code = char.charCodeAt(0);
+        if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0);
+        if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+
+        return (this.CHAR_MAP[char] || char).toLowerCase();
+    },
+
+    /**
+     * Normalize text and keep where each normalized character came from
+     * @param {string} text - Original text
+     * @returns {Object} { text, map } where map[i] is the original index of text[i]
+     */
+    normalize(text) {
+        const source = String(text || '');
+        const map = [];
+        let normalized = '';
+
+        for (let i = 0; i < source.length; i++) {
+            const chars = this.normalizeChar(source[i]);
+            for (let j = 0; j < chars.length; j++) {
+                map.push(i);
+            }
+            normalized += chars;
+        }
+
+        return { text: normalized, map };
+    },
+
+    /**
+     * Split a query into normalized search terms
+     * @param {string} query - Query as typed
+     * @returns {Array<string>} Unique terms
+     */
+    getTerms(query) {
+        return [...new Set(this.normalize(query).text.split(/\s+/).filter(Boolean))];
+    },
+
+    /**
+     * Find every occurrence of the terms in normalized text
+     * @param {Object} normalized - Result of normalize()
+     * @param {Array<string>} terms - Search terms
+     * @returns {Array} [[start, end]] ranges in the original text
+     */
+    findRanges(normalized, terms) {
+        const ranges = [];
+
+        terms.forEach(term => {
+            let index = normalized.text.indexOf(term);
+            while (index !== -1) {
+                const end = index + term.length;
+                ranges.push([normalized.map[index], normalized.map[end - 1] + 1]);
+                index = normalized.text.indexOf(term, end);
+            }
+        });
+
+        return ranges.sort((a, b) => a[0] - b[0]);
+    },
+
+    /**
+     * Score a note against the search terms
+     * @param {Object} title - Normalized title
+     * @param {Object} content - Normalized content
+     * @param {Array<string>} terms - Search terms
+     * @returns {number} Score, or 0 if a term is missing
+     */
+    score(title, content, terms) {
+        const count = (text, term) => text.split(term).length - 1;
+        const startsWord = (text, term) => new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegExp(term)}`, 'u').test(text);
+        let score = 0;
+
+        for (const term of terms) {
+            const inTitle = count(title.text, term);
+            const inContent = count(content.text, term);
+            if (inTitle + inContent === 0) return 0;
+
+            score += inTitle * 10 + Math.min(inContent, 5) * 2;
+            if (startsWord(title.text, term)) score += 5;
+            if (startsWord(content.text, term)) score += 1;
+        }
+
+        // The whole query as written ranks above scattered words
+        if (terms.length > 1) {
+            const phrase = terms.join(' ');
+            if (title.text.includes(phrase)) score += 15;
+            if (content.text.includes(phrase)) score += 5;
+        }
+
+        return score;
+    },
+
+    /**
+     * Escape a string for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    /**
+     * Search general notes and date notes
+     * @param {string} query - Query as typed
+     * @returns {Array} [{ note, dateKey, score, titleRanges, contentRanges }] best first
+     */
+    search(query) {
+        const terms = this.getTerms(query);
+        if (terms.length === 0) return [];
+
+        const dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+        const candidates = [
+            ...Storage.getNotes().map(note => ({ note, dateKey: null })),
+            ...Object.keys(dateNotes).flatMap(dateKey => dateNotes[dateKey].map(note => ({ note, dateKey })))
+        ];
+
+        return candidates
+            .map(({ note, dateKey }) => {
+                const title = this.normalize(note.title);
+                const content = this.normalize(note.content);
+                return {
+                    note,
+                    dateKey,
+                    score: this.score(title, content, terms),
+                    titleRanges: this.findRanges(title, terms),
+                    contentRanges: this.findRanges(content, terms)
+                };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score ||
+                String(b.note.updatedAt || b.note.createdAt).localeCompare(String(a.note.updatedAt || a.note.createdAt)));
+    },
+
+    /**
+     * Wrap ranges of text in <mark>
+     * @param {string} text - Original text
+     * @param {Array} ranges - [[start, end]] sorted by start
+     * @returns {string} Escaped HTML
+     */
+    highlight(text, ranges) {
+        let html = '';
+        let position = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (end <= position) return;
+            const from = Math.max(start, position);
+            html += Utils.escapeHTML(text.slice(position, from));
+            html += `<mark>${Utils.escapeHTML(text.slice(from, end))}</mark>`;
+            position = end;
+        });
+
+        return html + Utils.escapeHTML(text.slice(position));
+    },
+
+    /**
+     * Build a highlighted excerpt around the first match in the content
+     * @param {string} content - Note content
+     * @param {Array} ranges - Matches in the content
+     * @returns {string} HTML
+     */
+    snippet(content, ranges) {
+        const text = String(content || '');
+        const first = ranges.length > 0 ? ranges[0][0] : 0;
+        const start = Math.max(0, Math.min(first - this.SNIPPET_CONTEXT, text.length - this.SNIPPET_LENGTH));
+        const end = Math.min(text.length, start + this.SNIPPET_LENGTH);
+
+        const inside = ranges
+            .filter(([from, to]) => to > start && from < end)
+            .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, end) - start]);
+
+        const html = this.highlight(text.slice(start, end), inside).replace(/\s*\n\s*/g, ' ');
+        return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+    },
+
+    /**
+     * Change the search query and show its results
+     * @param {string} query - Query as typed
+     */
+    setQuery(query) {
+        this.query = query.trim();
+        this.render();
+    },
+
+    /**
+     * Re-run the current search after notes changed
+     */
+    refresh() {
+        if (this.query) {
+            this.render();
+        }
+    },
+
+    /**
+     * Render search results in place of the notes list
+     */
+    render() {
+        const container = document.getElementById('noteSearchResults');
+        const notesList = document.getElementById('notesList');
+        if (!container) return;
+
+        const searching = Boolean(this.query);
+        container.hidden = !searching;
+        if (notesList) notesList.hidden = searching;
+
+        if (!searching) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const results = this.search(this.query);
+        if (results.length === 0) {
+            container.innerHTML = `<div class="empty-state">نتیجه‌ای برای «${Utils.escapeHTML(this.query)}» پیدا نشد</div>`;
+            return;
+        }
+
+        const shown = results.slice(0, this.MAX_RESULTS);
+        const more = results.length > shown.length ? ` (${shown.length.toLocaleString('fa-IR')} نتیجه اول)` : '';
+
+        container.innerHTML = `
+            <p class="search-result-count">${results.length.toLocaleString('fa-IR')} نتیجه${more}</p>
+            ${shown.map(result => this.renderResult(result)).join('')}
+        `;
+    },
+
+    /**
+     * Render one search result
+     * @param {Object} result - Search result
+     * @returns {string} HTML
+     */
+    renderResult({ note, dateKey, titleRanges, contentRanges }) {
+        const date = dateKey ? Utils.parseDateKey(dateKey) : null;
+        const meta = date ?
+            `📅 ${date.toLocaleDateString('fa-IR', { year: 'numeric', month: 'long', day: 'numeric' })}` :
+            '📝 یادداشت';
+
+        return `
+            <button type="button" class="search-result" role="listitem" data-id="${Utils.escapeHTML(note.id)}"${dateKey ? ` data-date="${dateKey}"` : ''}>
+                <span class="search-result-title">${this.highlight(String(note.title || 'بدون عنوان'), note.title ? titleRanges : [])}</span>
+                <span class="search-result-meta">${meta}</span>
+                <span class="search-result-snippet">${this.snippet(note.content, contentRanges)}</span>
+            </button>
+        `;
+    },
+
+    /**
+     * Open a search result
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Date key for date notes
+     */
+    open(noteId, dateKey = null) {
+        if (!window.app) return;
+
+        if (!dateKey) {
+            window.app.editNote(noteId);
+            return;
+        }
+
+        // Show the note's month in the calendar, then its day
+        const date = Utils.parseDateKey(dateKey);
+        if (date && window.calendar) {
+            window.calendar.goToDate(date);
+        }
+        window.app.showDateNoteModal(dateKey);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteSearch;
+}
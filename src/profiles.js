@@ -0,0 +1,263 @@
+/**
+ * Profiles Module
+ * Header switcher and settings section for separate data sets
+ * (e.g. work and personal). Storage keeps each profile's keys apart;
+ * this module only drives the UI.
+ */
+const Profiles = {
+    MAX_NAME_LENGTH: 30,
+
+    /**
+     * Initialize Profiles module
+     */
+    init() {
+        this.attachEventListeners();
+        this.renderSwitcher();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const select = document.getElementById('profileSelect');
+        if (select) {
+            select.addEventListener('change', (e) => this.switchTo(e.target.value));
+        }
+
+        const createForm = document.getElementById('profileCreateForm');
+        if (createForm) {
+            createForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.create();
+            });
+        }
+
+        // Profile actions (Event Delegation)
+        const list = document.getElementById('profileList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-profile-action]');
+                if (button) {
+                    this.runAction(button.dataset.profileAction, button.dataset.id);
+                }
+            });
+        }
+
+        document.addEventListener('settingsOpened', () => this.render());
+
+        Storage.subscribe(Storage.KEYS.PROFILES, () => {
+            this.renderSwitcher();
+            if (Settings.isOpen()) this.render();
+        });
+    },
+
+    /**
+     * Fill the header profile switcher
+     */
+    renderSwitcher() {
+        const select = document.getElementById('profileSelect');
+        if (!select) return;
+
+        select.innerHTML = Storage.getProfiles().map(profile => `
+            <option value="${Utils.escapeHTML(profile.id)}">${Utils.escapeHTML(profile.name)}</option>
+        `).join('');
+        select.value = Storage.profile;
+    },
+
+    /**
+     * Render the profile list in settings
+     */
+    render() {
+        const list = document.getElementById('profileList');
+        if (!list) return;
+
+        list.innerHTML = Storage.getProfiles().map(profile => {
+            const isActive = profile.id === Storage.profile;
+            const canDelete = !isActive && profile.id !== Storage.DEFAULT_PROFILE;
+            const id = Utils.escapeHTML(profile.id);
+
+            return `
+                <div class="profile-item${isActive ? ' active' : ''}" role="listitem">
+                    <span class="profile-item-name">
+                        ${Utils.escapeHTML(profile.name)}
+                        ${isActive ? '<small class="profile-item-badge">فعال</small>' : ''}
+                    </span>
+                    <div class="profile-item-actions">
+                        ${isActive ? '' : `<button type="button" class="btn-icon" data-profile-action="switch" data-id="${id}" title="رفتن به این پروفایل">↪️</button>`}
+                        <button type="button" class="btn-icon" data-profile-action="rename" data-id="${id}" title="تغییر نام">✏️</button>
+                        <button type="button" class="btn-icon" data-profile-action="duplicate" data-id="${id}" title="ساخت نسخه مشابه">📄</button>
+                        <button type="button" class="btn-icon" data-profile-action="export" data-id="${id}" title="دانلود پشتیبان این پروفایل">⬇️</button>
+                        ${canDelete ? `<button type="button" class="btn-icon" data-profile-action="delete" data-id="${id}" title="حذف">🗑️</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Run a profile list action
+     * @param {string} action - switch, rename, duplicate, export or delete
+     * @param {string} profileId - Profile ID
+     */
+    runAction(action, profileId) {
+        switch (action) {
+            case 'switch':
+                this.switchTo(profileId);
+                break;
+            case 'rename':
+                this.rename(profileId);
+                break;
+            case 'duplicate':
+                this.duplicate(profileId);
+                break;
+            case 'export':
+                Backup.download(profileId);
+                break;
+            case 'delete':
+                this.delete(profileId);
+                break;
+        }
+    },
+
+    /**
+     * Get a profile's name
+     * @param {string} profileId - Profile ID
+     * @returns {string} Name
+     */
+    getName(profileId) {
+        const profile = Storage.getProfiles().find(p => p.id === profileId);
+        return profile ? profile.name : '';
+    },
+
+    /**
+     * Validate a profile name
+     * @param {string} name - Trimmed name
+     * @param {string|null} exceptId - Profile being renamed
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateName(name, exceptId = null) {
+        if (!name) {
+            return 'نام پروفایل نمی‌تواند خالی باشد';
+        }
+
+        if (name.length > this.MAX_NAME_LENGTH) {
+            return `نام پروفایل حداکثر ${this.MAX_NAME_LENGTH} کاراکتر است`;
+        }
+
+        if (Storage.getProfiles().some(p => p.id !== exceptId && p.name === name)) {
+            return 'پروفایلی با این نام وجود دارد';
+        }
+
+        return null;
+    },
+
+    /**
+     * Make another profile active and re-render everything
+     * @param {string} profileId - Profile ID
+     */
+    async switchTo(profileId) {
+        if (!Storage.switchProfile(profileId)) {
+            this.renderSwitcher();
+            return;
+        }
+
+        // Undo entries refer to the previous profile's data
+        Undo.clear();
+        await Migrations.run();
+        Sync.refreshViews();
+
+        this.renderSwitcher();
+
+        // Every settings section shows the active profile's data
+        if (Settings.isOpen()) {
+            document.dispatchEvent(new CustomEvent('settingsOpened'));
+        }
+
+        Utils.showToast(`پروفایل «${this.getName(profileId)}» فعال شد`);
+    },
+
+    /**
+     * Create an empty profile from the settings form
+     */
+    async create() {
+        const input = document.getElementById('profileNameInput');
+        if (!input) return;
+
+        const name = input.value.trim();
+        const error = this.validateName(name);
+        if (error) {
+            Utils.showToast(error, 'error');
+            return;
+        }
+
+        if (!await Storage.commit(() => Storage.createProfile(name))) {
+            Utils.showToast('ساخت پروفایل ناموفق بود', 'error');
+            return;
+        }
+
+        input.value = '';
+        Utils.showToast(`پروفایل «${name}» ساخته شد`);
+    },
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile ID
+     */
+    async rename(profileId) {
+        const input = prompt('نام جدید پروفایل:', this.getName(profileId));
+        if (input === null) return;
+
+        const name = input.trim();
+        const error = this.validateName(name, profileId);
+        if (error) {
+            Utils.showToast(error, 'error');
+            return;
+        }
+
+        if (await Storage.commit(() => Storage.renameProfile(profileId, name))) {
+            Utils.showToast('نام پروفایل تغییر کرد');
+        } else {
+            Utils.showToast('تغییر نام پروفایل ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Copy a profile with all its data
+     * @param {string} profileId - Profile ID
+     */
+    async duplicate(profileId) {
+        const base = `${this.getName(profileId)} (کپی)`.slice(0, this.MAX_NAME_LENGTH);
+        let name = base;
+        for (let i = 2; this.validateName(name); i++) {
+            name = `${base.slice(0, this.MAX_NAME_LENGTH - String(i).length - 1)} ${i}`;
+        }
+
+        if (await Storage.commit(() => Storage.duplicateProfile(profileId, name))) {
+            Utils.showToast(`پروفایل «${name}» ساخته شد`);
+        } else {
+            Utils.showToast('ساخت نسخه مشابه ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Permanently delete a profile and its data
+     * @param {string} profileId - Profile ID
+     */
+    async delete(profileId) {
+        const name = this.getName(profileId);
+        if (!confirm(`پروفایل «${name}» و همه داده‌های آن برای همیشه حذف می‌شوند (سطل زباله هم نگهشان نمی‌دارد). پیش از حذف می‌توانید از آن پشتیبان بگیرید. ادامه می‌دهید؟`)) {
+            return;
+        }
+
+        if (await Storage.commit(() => Storage.deleteProfile(profileId))) {
+            Utils.showToast(`پروفایل «${name}» حذف شد`);
+        } else {
+            Utils.showToast('حذف پروفایل ناموفق بود', 'error');
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Profiles;
+}
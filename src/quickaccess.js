@@ -11,6 +11,7 @@ const QuickAccess = {
      */
     init() {
         this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.QUICK_ACCESS, () => this.render());
         this.render();
     },
 
@@ -24,6 +25,26 @@ const QuickAccess = {
             addQaBtn.addEventListener('click', () => this.openModal());
         }
 
+        // QA grid: Event Delegation for Edit/Delete
+        const qaGrid = document.getElementById('quickAccessGrid');
+        if (qaGrid) {
+            qaGrid.addEventListener('click', (e) => {
+                const editBtn = e.target.closest('.qa-tile-edit');
+                const deleteBtn = e.target.closest('.qa-tile-delete');
+                if (!editBtn && !deleteBtn) return;
+
+                // Keep the tile link from opening
+                e.preventDefault();
+                e.stopPropagation();
+
+                if (editBtn) {
+                    this.editItem(editBtn.dataset.id);
+                } else {
+                    this.deleteItem(deleteBtn.dataset.id);
+                }
+            });
+        }
+
         // QA modal close buttons
         const qaModalCloseBtn = document.querySelector('#quickAccessModal .modal-close');
         if (qaModalCloseBtn) {
@@ -109,7 +130,7 @@ const QuickAccess = {
     /**
      * Save quick access item
      */
-    saveItem() {
+    async saveItem() {
         const titleInput = document.getElementById('qaTitle');
         const urlInput = document.getElementById('qaUrl');
         const iconInput = document.getElementById('qaIcon');
@@ -147,21 +168,38 @@ const QuickAccess = {
                 new Date().toISOString()
         };
 
-        Storage.saveQuickAccessItem(item);
+        const isEdit = Boolean(this.currentEditingId);
+        const saved = await Storage.commit(() =>
+            Undo.record(isEdit ? 'ویرایش دسترسی' : 'ایجاد دسترسی', [Storage.KEYS.QUICK_ACCESS], () =>
+                Storage.saveQuickAccessItem(item)
+            )
+        );
+
+        // Keep the modal open so nothing typed is lost
+        if (!saved) return;
+
         this.closeModal();
-        this.render();
-        Utils.showToast(this.currentEditingId ? 'دسترسی بروزرسانی شد' : 'دسترسی اضافه شد');
+        Utils.showToast(isEdit ? 'دسترسی بروزرسانی شد' : 'دسترسی اضافه شد', 'success', Undo.getToastAction());
     },
 
     /**
      * Delete quick access item
      * @param {string} itemId - Item ID
      */
-    deleteItem(itemId) {
+    async deleteItem(itemId) {
         if (confirm('آیا مطمئن هستید؟')) {
-            Storage.deleteQuickAccessItem(itemId);
-            this.render();
-            Utils.showToast('دسترسی حذف شد');
+            const saved = await Storage.commit(() =>
+                Undo.record('حذف دسترسی', [Storage.KEYS.QUICK_ACCESS, Storage.KEYS.TRASH], () =>
+                    Storage.deleteQuickAccessItem(itemId)
+                )
+            );
+
+            if (!saved) {
+                Utils.showToast('حذف دسترسی ناموفق بود', 'error');
+                return;
+            }
+
+            Utils.showToast('دسترسی به سطل زباله منتقل شد', 'success', Undo.getToastAction());
         }
     },
 
@@ -217,7 +255,7 @@ const QuickAccess = {
 
             let iconHTML = '';
             if (isEmoji) {
-                iconHTML = `<span class="qa-icon-emoji">${item.icon}</span>`;
+                iconHTML = `<span class="qa-icon-emoji">${Utils.escapeHTML(item.icon)}</span>`;
             } else {
                 iconHTML = `<img src="${Utils.escapeHTML(item.icon)}" alt="${Utils.escapeHTML(item.title)}" class="qa-icon" onerror="this.src='🔗'">`;
             }
@@ -228,8 +266,8 @@ const QuickAccess = {
                     <span class="qa-title">${Utils.escapeHTML(item.title)}</span>
                 </a>
                 <div class="qa-tile-actions">
-                    <button class="qa-tile-btn" title="ویرایش" onclick="event.preventDefault(); event.stopPropagation(); QuickAccess.editItem('${item.id}')">✏️</button>
-                    <button class="qa-tile-btn" title="حذف" onclick="event.preventDefault(); event.stopPropagation(); QuickAccess.deleteItem('${item.id}')">🗑️</button>
+                    <button class="qa-tile-btn qa-tile-edit" title="ویرایش" data-id="${Utils.escapeHTML(item.id)}">✏️</button>
+                    <button class="qa-tile-btn qa-tile-delete" title="حذف" data-id="${Utils.escapeHTML(item.id)}">🗑️</button>
                 </div>
             `;
 
@@ -0,0 +1,360 @@
+/**
+ * Quota Module
+ * Shows a blocking dialog when a write fails (most often because storage
+ * is full), a storage usage meter in settings, and one-click suggestions
+ * for freeing space.
+ */
+const Quota = {
+    // Date notes older than this are offered for archiving
+    ARCHIVE_AGE_DAYS: 365,
+
+    /**
+     * Initialize Quota module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        window.addEventListener('storageError', (e) => this.showError(e.detail));
+
+        const closeBtn = document.getElementById('storageErrorCloseBtn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeError());
+        }
+
+        // Suggestion buttons (Event Delegation)
+        ['storageErrorSuggestions', 'storageSuggestions'].forEach(id => {
+            const container = document.getElementById(id);
+            if (container) {
+                container.addEventListener('click', (e) => {
+                    const button = e.target.closest('.quota-action');
+                    if (button) {
+                        this.runAction(button.dataset.action);
+                    }
+                });
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isErrorOpen()) {
+                e.stopImmediatePropagation();
+                this.closeError();
+            }
+        }, true);
+
+        document.addEventListener('settingsOpened', () => this.renderUsage());
+    },
+
+    /**
+     * Human-readable size
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatBytes(bytes) {
+        const format = n => n.toLocaleString('fa-IR', { maximumFractionDigits: 1 });
+
+        if (bytes < 1024) return `${format(bytes)} بایت`;
+        if (bytes < 1024 * 1024) return `${format(bytes / 1024)} کیلوبایت`;
+        if (bytes < 1024 * 1024 * 1024) return `${format(bytes / (1024 * 1024))} مگابایت`;
+        return `${format(bytes / (1024 * 1024 * 1024))} گیگابایت`;
+    },
+
+    /**
+     * Label for a storage key
+     * @param {string} key - Storage key
+     * @returns {string|null} Collection label, or null for settings keys
+     */
+    getLabel(key) {
+        const labels = {
+            [Storage.KEYS.NOTES]: 'یادداشت‌ها',
+            [Storage.KEYS.DATE_NOTES]: 'یادداشت‌های تاریخ‌دار',
+            [Storage.KEYS.QUICK_ACCESS]: 'دسترسی‌های سریع',
+            [Storage.KEYS.TRASH]: 'سطل زباله',
+            [Storage.KEYS.SNAPSHOTS]: 'نسخه‌های خودکار',
+            [Storage.KEYS.REVISIONS]: 'تاریخچه یادداشت‌ها',
+            [Storage.KEYS.DRAFTS]: 'پیش‌نویس‌ها'
+        };
+
+        return labels[key] || null;
+    },
+
+    /**
+     * Byte size of a value as JSON
+     * @param {*} value - Value
+     * @returns {number} Bytes
+     */
+    sizeOf(value) {
+        return new TextEncoder().encode(JSON.stringify(value)).length;
+    },
+
+    /**
+     * Get the cutoff date key for archiving old date notes
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getArchiveCutoff() {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.ARCHIVE_AGE_DAYS);
+        return Utils.getDateKey(cutoff);
+    },
+
+    /**
+     * Build the list of ways to free space, largest saving first
+     * @returns {Array} [{ action, label, bytes }]
+     */
+    getSuggestions() {
+        const suggestions = [];
+
+        const trash = Storage.getTrash();
+        if (trash.length > 0) {
+            suggestions.push({
+                action: 'emptyTrash',
+                label: `خالی کردن سطل زباله (${trash.length} مورد)`,
+                bytes: this.sizeOf(trash)
+            });
+        }
+
+        const snapshots = Storage.getSnapshots();
+        if (snapshots.length > 1) {
+            suggestions.push({
+                action: 'trimSnapshots',
+                label: `حذف ${snapshots.length - 1} نسخه خودکار قدیمی`,
+                bytes: this.sizeOf(snapshots.slice(1))
+            });
+        }
+
+        const oldDateNotes = Storage.getDateNotesBefore(this.getArchiveCutoff());
+        const oldCount = Object.values(oldDateNotes).reduce((sum, notes) => sum + notes.length, 0);
+        if (oldCount > 0) {
+            suggestions.push({
+                action: 'archiveDateNotes',
+                label: `بایگانی ${oldCount} یادداشت تاریخ‌دار قدیمی‌تر از یک سال در یک فایل`,
+                bytes: this.sizeOf(oldDateNotes)
+            });
+        }
+
+        return suggestions.sort((a, b) => b.bytes - a.bytes);
+    },
+
+    /**
+     * Render suggestions into a container
+     * @param {HTMLElement} container - Target element
+     */
+    renderSuggestions(container) {
+        if (!container) return;
+
+        const suggestions = this.getSuggestions();
+
+        if (suggestions.length === 0) {
+            container.innerHTML = '<div class="empty-state">پیشنهادی برای آزادسازی فضا وجود ندارد</div>';
+            return;
+        }
+
+        container.innerHTML = suggestions.map(suggestion => `
+            <button type="button" class="btn btn-secondary btn-block quota-action" data-action="${suggestion.action}">
+                ${Utils.escapeHTML(suggestion.label)}
+                <small class="quota-saving">${this.formatBytes(suggestion.bytes)}</small>
+            </button>
+        `).join('');
+    },
+
+    /**
+     * Render the usage meter in settings
+     */
+    async renderUsage() {
+        const list = document.getElementById('storageUsageList');
+        const total = document.getElementById('storageUsageTotal');
+        const bar = document.getElementById('storageUsageBar');
+
+        const usage = Storage.getUsage();
+        const ownBytes = usage.reduce((sum, entry) => sum + entry.bytes, 0);
+
+        // Group settings keys into one row
+        const rows = [];
+        let settingsBytes = 0;
+        usage.forEach(entry => {
+            const label = this.getLabel(entry.key);
+            if (label) {
+                rows.push({ label, bytes: entry.bytes });
+            } else {
+                settingsBytes += entry.bytes;
+            }
+        });
+        if (settingsBytes > 0) {
+            rows.push({ label: 'تنظیمات', bytes: settingsBytes });
+        }
+
+        if (list) {
+            list.innerHTML = rows.map(row => `
+                <li class="usage-row">
+                    <span class="usage-label">${row.label}</span>
+                    <span class="usage-value">${this.formatBytes(row.bytes)}</span>
+                    <span class="usage-bar" aria-hidden="true">
+                        <span class="usage-bar-fill" style="width: ${ownBytes ? (row.bytes / ownBytes) * 100 : 0}%"></span>
+                    </span>
+                </li>
+            `).join('');
+        }
+
+        this.renderSuggestions(document.getElementById('storageSuggestions'));
+
+        let estimate = null;
+        try {
+            estimate = await Storage.estimateQuota();
+        } catch (error) {
+            console.error('Error estimating storage quota:', error);
+        }
+
+        if (total) {
+            total.textContent = estimate ?
+                `${this.formatBytes(estimate.used)} از ${this.formatBytes(estimate.total)} استفاده شده` :
+                `${this.formatBytes(ownBytes)} استفاده شده`;
+        }
+
+        if (bar) {
+            const ratio = estimate && estimate.total ? Math.min(estimate.used / estimate.total, 1) : 0;
+            bar.value = Math.round(ratio * 100);
+            bar.hidden = !estimate;
+            bar.classList.toggle('usage-high', ratio >= 0.9);
+        }
+    },
+
+    /**
+     * Download old date notes as a file, then remove them. Removal goes
+     * through the undo history rather than the trash, so the space is
+     * really freed but the notes can still be brought back.
+     * @returns {Promise<boolean|null>} Success status, null if cancelled
+     */
+    async archiveDateNotes() {
+        if (!confirm('یادداشت‌های تاریخ‌دار قدیمی در یک فایل دانلود و از داشبورد حذف می‌شوند. ادامه می‌دهید؟')) {
+            return null;
+        }
+
+        if (Storage.isEncrypted() &&
+            !confirm('فایل بایگانی رمزگذاری نمی‌شود و یادداشت‌ها به صورت متن ساده در آن قرار می‌گیرند. ادامه می‌دهید؟')) {
+            return null;
+        }
+
+        const cutoff = this.getArchiveCutoff();
+        const archive = {
+            dateNotes: Storage.getDateNotesBefore(cutoff),
+            schemaVersion: Storage.get(Storage.KEYS.SCHEMA_VERSION, 0),
+            exportDate: new Date().toISOString()
+        };
+
+        // The archive restores like a backup (merge mode brings the notes back)
+        try {
+            Utils.downloadFile(
+                `dastyar-archive-${Utils.getDateKey(new Date())}.json`,
+                JSON.stringify(archive, null, 2),
+                'application/json'
+            );
+        } catch (error) {
+            console.error('Error downloading archive:', error);
+            Utils.showToast('دانلود فایل بایگانی ناموفق بود؛ یادداشتی حذف نشد', 'error');
+            return null;
+        }
+
+        return Storage.commit(() =>
+            Undo.record('بایگانی یادداشت‌های قدیمی', [Storage.KEYS.DATE_NOTES, Storage.KEYS.REVISIONS], () =>
+                Storage.removeDateNotesBefore(cutoff)
+            )
+        );
+    },
+
+    /**
+     * Free space with a suggestion
+     * @param {string} action - Suggestion action
+     */
+    async runAction(action) {
+        let freed;
+
+        switch (action) {
+            case 'emptyTrash':
+                if (!confirm('همه موارد سطل زباله برای همیشه حذف می‌شوند. ادامه می‌دهید؟')) return;
+                freed = await Storage.commit(() => Storage.emptyTrash());
+                break;
+
+            case 'trimSnapshots':
+                if (!confirm('همه نسخه‌های خودکار به جز جدیدترین حذف می‌شوند. ادامه می‌دهید؟')) return;
+                freed = await Storage.commit(() => Storage.trimSnapshots(1));
+                break;
+
+            case 'archiveDateNotes':
+                freed = await this.archiveDateNotes();
+                if (freed === null) return;
+                break;
+
+            default:
+                return;
+        }
+
+        window.app?.refresh();
+        this.renderUsage();
+        this.renderSuggestions(document.getElementById('storageErrorSuggestions'));
+
+        if (!freed) {
+            Utils.showToast('آزادسازی فضا ناموفق بود', 'error');
+            return;
+        }
+
+        Utils.showToast('فضای ذخیره‌سازی آزاد شد', 'success',
+            action === 'archiveDateNotes' ? Undo.getToastAction() : null);
+    },
+
+    /**
+     * Check if the storage error dialog is open
+     * @returns {boolean} True if open
+     */
+    isErrorOpen() {
+        const modal = document.getElementById('storageErrorModal');
+        return Boolean(modal && !modal.hidden);
+    },
+
+    /**
+     * Show the blocking storage error dialog
+     * @param {Object} detail - { key, error, quota }
+     */
+    showError(detail) {
+        const modal = document.getElementById('storageErrorModal');
+        const message = document.getElementById('storageErrorMessage');
+        if (!modal) return;
+
+        if (message) {
+            message.textContent = detail.quota ?
+                'فضای ذخیره‌سازی پر است و آخرین تغییر ذخیره نشد. متن شما در فرم باقی مانده است؛ پس از آزاد کردن فضا دوباره ذخیره کنید.' :
+                'ذخیره‌سازی با خطا مواجه شد و آخرین تغییر ذخیره نشد. متن شما در فرم باقی مانده است.';
+        }
+
+        const suggestions = document.getElementById('storageErrorSuggestions');
+        if (suggestions) {
+            suggestions.hidden = !detail.quota;
+            if (detail.quota) {
+                this.renderSuggestions(suggestions);
+            }
+        }
+
+        modal.hidden = false;
+        modal.classList.add('active');
+        document.getElementById('storageErrorCloseBtn')?.focus();
+    },
+
+    /**
+     * Close the storage error dialog
+     */
+    closeError() {
+        const modal = document.getElementById('storageErrorModal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.hidden = true;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Quota;
+}
@@ -0,0 +1,438 @@
+/**
+ * Recurrence Module
+ * Repeating date notes: every N days, every N weeks on the same weekday,
+ * the same day of every N months, or the same date every N years, counted
+ * in either the Jalali or the Gregorian calendar.
+ *
+ * A recurring note is stored once, under its first date, with a
+ * `recurrence` rule. Occurrences are expanded on the fly for the calendar
+ * and the day view. Skipped dates and per-date edits live in the rule
+ * (`skipped`, `overrides`), so one occurrence can change without touching
+ * the rest of the series.
+ */
+const Recurrence = {
+    FREQUENCIES: {
+        daily: 'روز',
+        weekly: 'هفته',
+        monthly: 'ماه',
+        yearly: 'سال'
+    },
+
+    MAX_INTERVAL: 365,
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    /**
+     * Initialize Recurrence module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        ['noteRecurrence', 'noteRecurrenceInterval', 'noteRecurrenceCalendar'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateEditorField());
+                input.addEventListener('change', () => this.updateEditorField());
+            }
+        });
+    },
+
+    /**
+     * Get a valid recurrence rule
+     * @param {*} rule - Stored or submitted rule
+     * @returns {Object|null} { freq, interval, calendar, skipped, overrides }, or null if invalid
+     */
+    normalize(rule) {
+        if (!rule || typeof rule !== 'object' || !Object.prototype.hasOwnProperty.call(this.FREQUENCIES, rule.freq)) {
+            return null;
+        }
+
+        const interval = Math.floor(Number(rule.interval));
+        const overrides = rule.overrides && typeof rule.overrides === 'object' && !Array.isArray(rule.overrides) ?
+            rule.overrides :
+            {};
+
+        return {
+            freq: rule.freq,
+            interval: interval >= 1 ? Math.min(interval, this.MAX_INTERVAL) : 1,
+            calendar: rule.calendar === 'jalali' ? 'jalali' : 'gregorian',
+            skipped: Array.isArray(rule.skipped) ? rule.skipped.filter(key => typeof key === 'string') : [],
+            overrides: Object.fromEntries(
+                Object.entries(overrides).filter(([, fields]) => fields && typeof fields === 'object')
+            )
+        };
+    },
+
+    /**
+     * Check whether a date note repeats
+     * @param {Object} note - Date note
+     * @returns {boolean} True if the note has a recurrence rule
+     */
+    isRecurring(note) {
+        return Boolean(note?.recurrence?.freq);
+    },
+
+    /**
+     * Days since the epoch, ignoring time zones and DST
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} Day number
+     */
+    getDayNumber(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / this.DAY_MS);
+    },
+
+    /**
+     * Move a date key by a number of days
+     * @param {string} dateKey - Date key
+     * @param {number} days - Days to add (negative to go back)
+     * @returns {string} Date key
+     */
+    addDays(dateKey, days) {
+        const date = Utils.parseDateKey(dateKey);
+        date.setDate(date.getDate() + days);
+        return Utils.getDateKey(date);
+    },
+
+    /**
+     * Year, month and day of a date in a calendar
+     * @param {string} dateKey - Gregorian date key
+     * @param {string} calendar - 'jalali' or 'gregorian'
+     * @returns {Object} { year, month (1-12), day }
+     */
+    getParts(dateKey, calendar) {
+        if (calendar === 'jalali') {
+            return new JalaliDate(Utils.parseDateKey(dateKey)).toJalali();
+        }
+
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return { year, month, day };
+    },
+
+    /**
+     * Number of days in a month
+     * @param {number} year - Year in the calendar
+     * @param {number} month - Month (1-12)
+     * @param {string} calendar - 'jalali' or 'gregorian'
+     * @returns {number} Days
+     */
+    getDaysInMonth(year, month, calendar) {
+        return calendar === 'jalali' ?
+            JalaliDate.getDaysInMonth(year, month) :
+            new Date(year, month, 0).getDate();
+    },
+
+    /**
+     * Check whether a rule produces an occurrence on a date
+     * @param {Object} rule - Normalized rule
+     * @param {string} startKey - First date of the series
+     * @param {string} dateKey - Date to check
+     * @returns {boolean} True on an occurrence (skipped dates included)
+     */
+    matches(rule, startKey, dateKey) {
+        const days = this.getDayNumber(dateKey) - this.getDayNumber(startKey);
+        if (days < 0) return false;
+
+        if (rule.freq === 'daily') return days % rule.interval === 0;
+        if (rule.freq === 'weekly') return days % (7 * rule.interval) === 0;
+
+        const start = this.getParts(startKey, rule.calendar);
+        const date = this.getParts(dateKey, rule.calendar);
+
+        // The 31st falls on the last day of shorter months, 30 Esfand on 29 Esfand
+        const day = Math.min(start.day, this.getDaysInMonth(date.year, date.month, rule.calendar));
+        if (date.day !== day) return false;
+
+        if (rule.freq === 'monthly') {
+            return ((date.year - start.year) * 12 + date.month - start.month) % rule.interval === 0;
+        }
+
+        return date.month === start.month && (date.year - start.year) % rule.interval === 0;
+    },
+
+    /**
+     * Check whether a recurring note shows on a date
+     * @param {Object} note - Recurring note
+     * @param {string} startKey - Date key it is stored under
+     * @param {string} dateKey - Date to check
+     * @returns {boolean} True if it occurs and was not skipped
+     */
+    occursOn(note, startKey, dateKey) {
+        const rule = this.normalize(note.recurrence);
+        return Boolean(rule) && !rule.skipped.includes(dateKey) && this.matches(rule, startKey, dateKey);
+    },
+
+    /**
+     * List the dates a recurring note shows on within a range
+     * @param {Object} note - Recurring note
+     * @param {string} startKey - Date key it is stored under
+     * @param {string} fromKey - First date of the range
+     * @param {string} toKey - Last date of the range
+     * @param {number} limit - Stop after this many dates
+     * @returns {Array<string>} Date keys
+     */
+    getDates(note, startKey, fromKey, toKey, limit = Infinity) {
+        const dates = [];
+        let dateKey = fromKey < startKey ? startKey : fromKey;
+
+        while (dateKey <= toKey && dates.length < limit) {
+            if (this.occursOn(note, startKey, dateKey)) dates.push(dateKey);
+            dateKey = this.addDays(dateKey, 1);
+        }
+
+        return dates;
+    },
+
+    /**
+     * Build one occurrence of a recurring note
+     * @param {Object} note - Recurring note
+     * @param {string} startKey - Date key it is stored under
+     * @param {string} dateKey - Date of the occurrence
+     * @returns {Object} The note as it shows on that date
+     */
+    getOccurrence(note, startKey, dateKey) {
+        const rule = this.normalize(note.recurrence);
+        const overrides = rule.overrides[dateKey] || {};
+        const occurrence = {
+            ...note,
+            ...overrides,
+            occurrenceOf: startKey,
+            // Snoozing or dismissing a reminder is not an edit of the note
+            edited: Object.keys(overrides).some(key => key !== 'reminder')
+        };
+
+        // A series reminder rings at the same time on every date
+        if (!('reminder' in overrides) && note.reminder?.at && dateKey !== startKey) {
+            const at = new Date(note.reminder.at);
+            const date = Utils.parseDateKey(dateKey);
+            date.setHours(at.getHours(), at.getMinutes(), 0, 0);
+            occurrence.reminder = { at: date.toISOString(), dismissed: false };
+        }
+
+        return occurrence;
+    },
+
+    /**
+     * Get every note that shows on a date, recurring ones expanded
+     * @param {Object} dateNotes - Date notes by date key
+     * @param {string} dateKey - Date key
+     * @returns {Array} Notes of the day
+     */
+    getNotes(dateNotes, dateKey) {
+        const expand = (note, startKey) => {
+            if (!this.isRecurring(note)) return startKey === dateKey ? [note] : [];
+            return this.occursOn(note, startKey, dateKey) ? [this.getOccurrence(note, startKey, dateKey)] : [];
+        };
+
+        const own = (dateNotes[dateKey] || []).flatMap(note => expand(note, dateKey));
+        const series = Object.keys(dateNotes)
+            .filter(startKey => startKey < dateKey)
+            .sort()
+            .flatMap(startKey => dateNotes[startKey].flatMap(note => expand(note, startKey)));
+
+        return [...own, ...series];
+    },
+
+    /**
+     * Find the stored note behind a note shown on a date
+     * @param {Object} dateNotes - Date notes by date key
+     * @param {string} dateKey - Date it is shown on
+     * @param {string} noteId - Note ID
+     * @returns {Object|null} { startKey, index, note } or null if it does not show there
+     */
+    find(dateNotes, dateKey, noteId) {
+        for (const startKey of Object.keys(dateNotes)) {
+            if (startKey > dateKey) continue;
+
+            const index = dateNotes[startKey].findIndex(n => n.id === noteId);
+            const note = dateNotes[startKey][index];
+            if (!note) continue;
+
+            const shows = this.isRecurring(note) ? this.occursOn(note, startKey, dateKey) : startKey === dateKey;
+            if (shows) return { startKey, index, note };
+        }
+
+        return null;
+    },
+
+    /**
+     * Get a note as it shows on a date
+     * @param {Object} dateNotes - Date notes by date key
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     * @returns {Object|null} Note or occurrence
+     */
+    getNote(dateNotes, dateKey, noteId) {
+        const found = this.find(dateNotes, dateKey, noteId);
+        if (!found) return null;
+
+        return this.isRecurring(found.note) ? this.getOccurrence(found.note, found.startKey, dateKey) : found.note;
+    },
+
+    /**
+     * Change a note on one date only
+     * Plain date notes are changed in place (null removes a field); for a
+     * recurring note the fields are saved as that date's exception.
+     * @param {Object} dateNotes - Date notes by date key (changed in place)
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     * @param {Object} fields - Changed fields
+     * @returns {boolean} True if the note was found
+     */
+    applyChanges(dateNotes, dateKey, noteId, fields) {
+        const found = this.find(dateNotes, dateKey, noteId);
+        if (!found) return false;
+
+        const notes = dateNotes[found.startKey];
+
+        if (!this.isRecurring(found.note)) {
+            const note = { ...found.note, ...fields };
+            Object.keys(fields).forEach(key => {
+                if (fields[key] === null) delete note[key];
+            });
+            notes[found.index] = note;
+            return true;
+        }
+
+        const rule = this.normalize(found.note.recurrence);
+        rule.overrides = { ...rule.overrides, [dateKey]: { ...rule.overrides[dateKey], ...fields } };
+        notes[found.index] = { ...found.note, recurrence: rule };
+        return true;
+    },
+
+    /**
+     * Hide one occurrence of a recurring note
+     * @param {string} dateKey - Date of the occurrence
+     * @param {string} noteId - Note ID
+     */
+    async skip(dateKey, noteId) {
+        const app = window.app;
+        const found = app && this.find(app.state.dateNotes, dateKey, noteId);
+        if (!found || !this.isRecurring(found.note)) return;
+
+        if (!confirm('این تکرار یادداشت از این روز حذف شود؟ تکرارهای دیگر باقی می‌مانند.')) return;
+
+        const rule = this.normalize(found.note.recurrence);
+        rule.skipped = [...rule.skipped, dateKey];
+        delete rule.overrides[dateKey];
+        app.state.dateNotes[found.startKey][found.index] = { ...found.note, recurrence: rule };
+
+        const saved = await Storage.commit(() =>
+            Undo.record('حذف یک تکرار', [Storage.KEYS.DATE_NOTES], () => app.saveToStorage())
+        );
+
+        if (!saved) {
+            app.loadFromStorage();
+            return;
+        }
+
+        app.renderDateNotes(dateKey);
+        window.dispatchEvent(new CustomEvent('notesUpdated'));
+        Utils.showToast('این تکرار حذف شد', 'success', Undo.getToastAction());
+    },
+
+    /**
+     * Describe a rule in words
+     * @param {Object} rule - Recurrence rule
+     * @param {string} startKey - First date of the series
+     * @returns {string} Description, e.g. "هر سال ۱ فروردین"
+     */
+    describe(rule, startKey) {
+        const normalized = this.normalize(rule);
+        if (!normalized) return '';
+
+        const { freq, interval, calendar } = normalized;
+        const every = interval === 1 ? `هر ${this.FREQUENCIES[freq]}` : `هر ${interval.toLocaleString('fa-IR')} ${this.FREQUENCIES[freq]}`;
+        const start = Utils.parseDateKey(startKey);
+        const parts = this.getParts(startKey, calendar);
+        const calendarName = calendar === 'jalali' ? 'شمسی' : 'میلادی';
+
+        if (freq === 'daily') {
+            return every;
+        }
+
+        if (freq === 'weekly') {
+            return `${every}، ${JalaliDate.getWeekdayName((start.getDay() + 1) % 7)}`;
+        }
+
+        if (freq === 'monthly') {
+            return `${every}، روز ${parts.day.toLocaleString('fa-IR')} (${calendarName})`;
+        }
+
+        const monthName = calendar === 'jalali' ?
+            JalaliDate.getMonthName(parts.month) :
+            start.toLocaleDateString('fa-IR-u-ca-gregory', { month: 'long' });
+
+        return `${every}، ${parts.day.toLocaleString('fa-IR')} ${monthName}`;
+    },
+
+    /**
+     * Show the recurrence field in the note form for new date notes only
+     * @param {string|undefined} dateKey - Date the note is added to
+     */
+    setEditorField(dateKey) {
+        const field = document.getElementById('noteRecurrenceField');
+        if (!field) return;
+
+        field.hidden = !dateKey;
+        field.dataset.date = dateKey || '';
+
+        const freq = document.getElementById('noteRecurrence');
+        const interval = document.getElementById('noteRecurrenceInterval');
+        const calendar = document.getElementById('noteRecurrenceCalendar');
+        if (freq) freq.value = '';
+        if (interval) interval.value = '1';
+        if (calendar) calendar.value = Storage.getCalendarType() === 'jalali' ? 'jalali' : 'gregorian';
+
+        this.updateEditorField();
+    },
+
+    /**
+     * Read the rule chosen in the note form
+     * @returns {Object|null} Recurrence rule, or null for a one-off note
+     */
+    readEditorField() {
+        const field = document.getElementById('noteRecurrenceField');
+        if (!field || field.hidden) return null;
+
+        return this.normalize({
+            freq: document.getElementById('noteRecurrence')?.value,
+            interval: document.getElementById('noteRecurrenceInterval')?.value,
+            calendar: document.getElementById('noteRecurrenceCalendar')?.value
+        });
+    },
+
+    /**
+     * Show the options that apply to the chosen frequency and describe the rule
+     */
+    updateEditorField() {
+        const field = document.getElementById('noteRecurrenceField');
+        const freq = document.getElementById('noteRecurrence')?.value;
+        if (!field) return;
+
+        const options = field.querySelector('.recurrence-details');
+        const calendar = document.getElementById('noteRecurrenceCalendar');
+        const unit = document.getElementById('noteRecurrenceUnit');
+        const help = document.getElementById('noteRecurrenceHelp');
+
+        if (options) options.hidden = !freq;
+        if (calendar) calendar.hidden = freq !== 'monthly' && freq !== 'yearly';
+        if (unit) unit.textContent = this.FREQUENCIES[freq] || '';
+
+        const rule = this.readEditorField();
+        if (help) {
+            help.textContent = rule && field.dataset.date ?
+                this.describe(rule, field.dataset.date) :
+                'یادداشت فقط در همین روز نمایش داده می‌شود';
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Recurrence;
+}
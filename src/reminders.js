@@ -0,0 +1,467 @@
+/**
+ * Reminders Module
+ * Optional reminder times on date notes, desktop notifications when they
+ * come due, snooze/dismiss actions, and a list of reminders missed while the
+ * browser was closed.
+ *
+ * A reminder is stored on its date note as { at, dismissed }. Snoozing moves
+ * `at`; dismissing keeps the reminder so the time still shows on the note.
+ * Timers only run while a page is open, so every due reminder that was not
+ * dismissed is listed in the reminders dialog until the user acts on it.
+ * Inside a browser extension chrome.alarms wakes the page as well.
+ *
+ * A recurring note's reminder rings on every occurrence; snoozing or
+ * dismissing one occurrence is saved as that date's exception.
+ */
+const Reminders = {
+    // Browsers throttle long timers, so the next reminder is re-checked at least hourly
+    MAX_TIMER_DELAY: 60 * 60 * 1000,
+    ALARM_PREFIX: 'dastyar-reminder:',
+
+    // Missed occurrences of recurring reminders older than this are dropped
+    CATCH_UP_DAYS: 7,
+    LOOKAHEAD_DAYS: 366,
+
+    SNOOZE_OPTIONS: [
+        { minutes: 10, label: '۱۰ دقیقه' },
+        { minutes: 60, label: '۱ ساعت' },
+        { minutes: 24 * 60, label: 'فردا' }
+    ],
+
+    timer: null,
+
+    // Reminders already announced in this page, as "dateKey/id/at"
+    notified: new Set(),
+
+    /**
+     * Initialize Reminders module
+     */
+    init() {
+        this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.DATE_NOTES, () => {
+            this.schedule();
+            this.render();
+        });
+
+        // Reminders that came due while no page was open are listed, not announced one by one
+        const missed = this.getDue();
+        missed.forEach(reminder => this.notified.add(this.keyOf(reminder)));
+        if (missed.length > 0) {
+            Utils.showToast(`${missed.length.toLocaleString('fa-IR')} یادآوری از دست رفته`, 'info', {
+                label: 'مشاهده',
+                onClick: () => this.open()
+            });
+        }
+
+        this.schedule();
+        this.render();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const openBtn = document.getElementById('remindersBtn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = document.getElementById('closeRemindersModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => window.app?.closeAllModals());
+        }
+
+        // Reminder actions (Event Delegation)
+        const list = document.getElementById('remindersList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                const item = e.target.closest('.reminder-item[data-id]');
+                if (!button || !item) return;
+
+                const { id, date } = item.dataset;
+                if (button.dataset.action === 'snooze') {
+                    this.snooze(date, id, Number(button.dataset.minutes));
+                } else if (button.dataset.action === 'dismiss') {
+                    this.dismiss(date, id);
+                } else if (button.dataset.action === 'open') {
+                    this.openDay(date);
+                }
+            });
+        }
+
+        // Timers in background tabs may fire late; check as soon as the page is seen again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+
+        if (this.hasAlarms()) {
+            chrome.alarms.onAlarm.addListener((alarm) => {
+                if (alarm.name.startsWith(this.ALARM_PREFIX)) this.check();
+            });
+        }
+    },
+
+    /**
+     * Check whether the page runs as an extension with the alarms permission
+     * @returns {boolean} True if chrome.alarms can be used
+     */
+    hasAlarms() {
+        return typeof chrome !== 'undefined' && Boolean(chrome.alarms?.create);
+    },
+
+    /**
+     * Identify one announcement of a reminder
+     * @param {Object} reminder - Entry from getAll()
+     * @returns {string} Key that changes when the reminder is snoozed
+     */
+    keyOf({ dateKey, note }) {
+        return `${dateKey}/${note.id}/${note.reminder.at}`;
+    },
+
+    /**
+     * Get a date note's reminder time
+     * @param {Object} note - Date note
+     * @returns {Date|null} Reminder time, or null if it has none
+     */
+    getTime(note) {
+        const at = note?.reminder?.at ? new Date(note.reminder.at) : null;
+        return at && !isNaN(at.getTime()) ? at : null;
+    },
+
+    /**
+     * Build a reminder at a time of the note's day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} time - Time as HH:MM
+     * @returns {Object|null} Reminder, or null if the time is empty or invalid
+     */
+    create(dateKey, time) {
+        const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        const date = Utils.parseDateKey(dateKey);
+        if (!match || !date || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+
+        date.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        return { at: date.toISOString(), dismissed: false };
+    },
+
+    /**
+     * Format a reminder's time of day
+     * @param {Object} note - Date note
+     * @returns {string} HH:MM, or '' if the note has no reminder
+     */
+    formatTime(note) {
+        const at = this.getTime(note);
+        if (!at) return '';
+
+        return `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+    },
+
+    /**
+     * List every active (not dismissed) reminder
+     * @returns {Array} [{ dateKey, note, at }] soonest first
+     */
+    getAll() {
+        const dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+        const today = Utils.getDateKey(new Date());
+        const from = Recurrence.addDays(today, -this.CATCH_UP_DAYS);
+        const tomorrow = Recurrence.addDays(today, 1);
+        const horizon = Recurrence.addDays(today, this.LOOKAHEAD_DAYS);
+
+        // Recent occurrences of recurring notes, plus the next one to come
+        const expand = (note, startKey) => {
+            if (!Recurrence.isRecurring(note)) return [{ dateKey: startKey, note }];
+
+            const overrides = Object.values(Recurrence.normalize(note.recurrence).overrides);
+            if (!note.reminder && !overrides.some(fields => fields.reminder)) return [];
+
+            return [
+                ...Recurrence.getDates(note, startKey, from, today),
+                ...Recurrence.getDates(note, startKey, tomorrow, horizon, 1)
+            ].map(dateKey => ({ dateKey, note: Recurrence.getOccurrence(note, startKey, dateKey) }));
+        };
+
+        return Object.keys(dateNotes)
+            .flatMap(dateKey => dateNotes[dateKey].flatMap(note => expand(note, dateKey)))
+            .map(({ dateKey, note }) => ({ dateKey, note, at: this.getTime(note) }))
+            .filter(({ note, at }) => at && !note.reminder.dismissed)
+            .sort((a, b) => a.at - b.at);
+    },
+
+    /**
+     * List reminders whose time has come
+     * @param {Date} now - Current time
+     * @returns {Array} Entries as returned by getAll()
+     */
+    getDue(now = new Date()) {
+        return this.getAll().filter(({ at }) => at <= now);
+    },
+
+    /**
+     * Wait for the next reminder
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const upcoming = this.getAll().filter(({ at }) => at.getTime() > now);
+
+        if (this.hasAlarms()) {
+            chrome.alarms.getAll((alarms) => {
+                alarms
+                    .filter(alarm => alarm.name.startsWith(this.ALARM_PREFIX))
+                    .forEach(alarm => chrome.alarms.clear(alarm.name));
+                upcoming.forEach(reminder => {
+                    chrome.alarms.create(this.ALARM_PREFIX + this.keyOf(reminder), { when: reminder.at.getTime() });
+                });
+            });
+        }
+
+        if (upcoming.length > 0) {
+            const delay = Math.min(upcoming[0].at.getTime() - now, this.MAX_TIMER_DELAY);
+            this.timer = setTimeout(() => this.check(), delay);
+        }
+    },
+
+    /**
+     * Announce reminders that came due and wait for the next one
+     */
+    check() {
+        this.getDue()
+            .filter(reminder => !this.notified.has(this.keyOf(reminder)))
+            .forEach(reminder => {
+                this.notified.add(this.keyOf(reminder));
+                this.notify(reminder);
+            });
+
+        this.render();
+        this.schedule();
+    },
+
+    /**
+     * Ask for permission to show desktop notifications
+     * @returns {Promise<boolean>} True if notifications may be shown
+     */
+    async requestPermission() {
+        if (typeof Notification === 'undefined') return false;
+        if (Notification.permission === 'granted') return true;
+
+        if (Notification.permission !== 'denied' && (await Notification.requestPermission()) === 'granted') {
+            return true;
+        }
+
+        Utils.showToast('اعلان‌ها مسدود است؛ یادآوری فقط در همین صفحه نمایش داده می‌شود', 'info');
+        return false;
+    },
+
+    /**
+     * Show a due reminder as a desktop notification and in the page
+     * @param {Object} reminder - Entry from getAll()
+     */
+    notify({ dateKey, note }) {
+        const title = `⏰ ${note.title || 'یادآوری'}`;
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            const notification = new Notification(title, {
+                body: Utils.truncateText(note.content, 120),
+                tag: `${dateKey}/${note.id}`,
+                requireInteraction: true
+            });
+
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.open();
+            };
+        }
+
+        Utils.showToast(title, 'info', {
+            label: `تعویق ${this.SNOOZE_OPTIONS[0].label}`,
+            onClick: () => this.snooze(dateKey, note.id, this.SNOOZE_OPTIONS[0].minutes)
+        });
+    },
+
+    /**
+     * Change a date note's reminder and save it
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     * @param {string} label - Undo label
+     * @param {Object|null} reminder - New reminder, or null to remove it
+     * @returns {Promise<boolean>} True if saved
+     */
+    async update(dateKey, noteId, label, reminder) {
+        const app = window.app;
+        if (!app || !Recurrence.applyChanges(app.state.dateNotes, dateKey, noteId, { reminder })) return false;
+
+        const saved = await Storage.commit(() =>
+            Undo.record(label, [Storage.KEYS.DATE_NOTES], () => app.saveToStorage())
+        );
+
+        if (!saved) {
+            app.loadFromStorage();
+        }
+
+        app.renderDateNotes(dateKey);
+        return saved;
+    },
+
+    /**
+     * Set, change or remove a date note's reminder by asking for a time
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     */
+    async edit(dateKey, noteId) {
+        const note = window.app && Recurrence.getNote(window.app.state.dateNotes, dateKey, noteId);
+        if (!note) return;
+
+        const time = prompt('ساعت یادآوری (مثلاً 14:30)؛ برای حذف خالی بگذارید:', this.formatTime(note));
+        if (time === null) return;
+
+        if (!time.trim()) {
+            if (note.reminder && await this.update(dateKey, noteId, 'حذف یادآوری', null)) {
+                Utils.showToast('یادآوری حذف شد', 'success', Undo.getToastAction());
+            }
+            return;
+        }
+
+        const reminder = this.create(dateKey, time);
+        if (!reminder) {
+            Utils.showToast('ساعت نامعتبر است', 'error');
+            return;
+        }
+
+        if (await this.update(dateKey, noteId, 'تنظیم یادآوری', reminder)) {
+            Utils.showToast(`یادآوری برای ساعت ${this.formatTime({ reminder })} تنظیم شد`, 'success', Undo.getToastAction());
+            this.requestPermission();
+        }
+    },
+
+    /**
+     * Remind again later
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     * @param {number} minutes - Minutes from now
+     */
+    async snooze(dateKey, noteId, minutes) {
+        const at = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+        if (await this.update(dateKey, noteId, 'تعویق یادآوری', { at, dismissed: false })) {
+            Utils.showToast('یادآوری به تعویق افتاد', 'success', Undo.getToastAction());
+        }
+    },
+
+    /**
+     * Stop reminding
+     * @param {string} dateKey - Date key
+     * @param {string} noteId - Note ID
+     */
+    async dismiss(dateKey, noteId) {
+        const note = window.app && Recurrence.getNote(window.app.state.dateNotes, dateKey, noteId);
+        if (!note?.reminder) return;
+
+        await this.update(dateKey, noteId, 'رد کردن یادآوری', { ...note.reminder, dismissed: true });
+    },
+
+    /**
+     * Show the day of a reminder in the calendar
+     * @param {string} dateKey - Date key
+     */
+    openDay(dateKey) {
+        const app = window.app;
+        if (!app) return;
+
+        app.closeAllModals();
+        const date = Utils.parseDateKey(dateKey);
+        if (date && window.calendar) {
+            window.calendar.goToDate(date);
+        }
+        app.showDateNoteModal(dateKey);
+    },
+
+    /**
+     * Open the reminders dialog
+     */
+    open() {
+        const modal = document.getElementById('remindersModal');
+        if (!modal || !window.app) return;
+
+        window.app.closeAllModals();
+        this.render();
+        window.app.openModal(modal);
+    },
+
+    /**
+     * Render the header badge and the reminders dialog
+     */
+    render() {
+        const due = this.getDue();
+
+        const badge = document.getElementById('remindersBadge');
+        if (badge) {
+            badge.hidden = due.length === 0;
+            badge.textContent = due.length.toLocaleString('fa-IR');
+        }
+
+        const list = document.getElementById('remindersList');
+        if (!list) return;
+
+        const upcoming = this.getAll().filter(reminder => !due.includes(reminder));
+
+        if (due.length === 0 && upcoming.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <p>یادآوری فعالی ندارید. برای یادداشت‌های تقویم می‌توانید ساعت یادآوری تنظیم کنید.</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = `
+            ${due.length > 0 ? `
+                <h4 class="reminders-heading">سررسیده</h4>
+                <ul class="reminders-group">${due.map(reminder => this.renderItem(reminder, true)).join('')}</ul>
+            ` : ''}
+            ${upcoming.length > 0 ? `
+                <h4 class="reminders-heading">پیش رو</h4>
+                <ul class="reminders-group">${upcoming.map(reminder => this.renderItem(reminder, false)).join('')}</ul>
+            ` : ''}
+        `;
+    },
+
+    /**
+     * Render one reminder in the dialog
+     * @param {Object} reminder - Entry from getAll()
+     * @param {boolean} due - True if its time has come
+     * @returns {string} HTML
+     */
+    renderItem({ dateKey, note, at }, due) {
+        const when = at.toLocaleString('fa-IR', {
+            year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        const snoozeButtons = this.SNOOZE_OPTIONS.map(option => `
+            <button type="button" class="reminder-action" data-action="snooze" data-minutes="${option.minutes}">
+                ${option.label}
+            </button>
+        `).join('');
+
+        return `
+            <li class="reminder-item${due ? ' due' : ''}" data-id="${Utils.escapeHTML(note.id)}" data-date="${dateKey}">
+                <div class="reminder-info">
+                    <span class="reminder-title">${Utils.escapeHTML(note.title || 'بدون عنوان')}</span>
+                    <time class="reminder-time" datetime="${at.toISOString()}">⏰ ${when}</time>
+                </div>
+                <div class="reminder-actions">
+                    ${due ? `<span class="reminder-snooze-label">تعویق:</span>${snoozeButtons}` : ''}
+                    <button type="button" class="reminder-action" data-action="open">نمایش روز</button>
+                    <button type="button" class="reminder-action" data-action="dismiss">${due ? 'رد کردن' : 'لغو'}</button>
+                </div>
+            </li>
+        `;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Reminders;
+}
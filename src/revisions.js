@@ -0,0 +1,370 @@
+/**
+ * Revisions Module
+ * Revision history for notes: Storage keeps the previous version every
+ * time a note is edited (see Storage.saveRevision). The history panel in
+ * the note modal lists the versions by time, shows a line diff between
+ * any two of them and restores an earlier version.
+ */
+const Revisions = {
+    // Unchanged lines shown around each change
+    CONTEXT_LINES: 2,
+
+    // Larger diffs skip line matching and show old and new text whole
+    MAX_DIFF_CELLS: 1000000,
+
+    // Note shown in the panel
+    noteId: null,
+    dateKey: null,
+
+    // Versions being compared ('current' is the saved note)
+    from: null,
+    to: 'current',
+
+    /**
+     * Initialize Revisions module
+     */
+    init() {
+        this.attachEventListeners();
+        [Storage.KEYS.REVISIONS, Storage.KEYS.NOTES, Storage.KEYS.DATE_NOTES].forEach(key => {
+            Storage.subscribe(key, () => {
+                if (this.isOpen()) this.render();
+            });
+        });
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const list = document.getElementById('noteHistoryList');
+        if (!list) return;
+
+        list.addEventListener('change', (e) => {
+            if (e.target.name === 'revisionFrom') {
+                this.from = e.target.value;
+                this.renderDiff();
+            } else if (e.target.name === 'revisionTo') {
+                this.to = e.target.value;
+                this.renderDiff();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const restoreBtn = e.target.closest('.revision-restore');
+            if (restoreBtn) {
+                this.restore(restoreBtn.dataset.id);
+            }
+        });
+    },
+
+    /**
+     * Check whether the history panel is showing a note
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        const field = document.getElementById('noteHistoryField');
+        return Boolean(this.noteId && field && !field.hidden);
+    },
+
+    /**
+     * Show the history of the note being edited in the note modal
+     * @param {Object|null} note - Edited note, null for a new note
+     * @param {string|null} dateKey - Day a date note shows on, null for general notes
+     */
+    setEditorPanel(note, dateKey = null) {
+        const field = document.getElementById('noteHistoryField');
+        if (!field) return;
+
+        this.noteId = note ? note.id : null;
+        this.dateKey = note ? dateKey : null;
+        this.from = null;
+        this.to = 'current';
+
+        field.open = false;
+        this.render();
+    },
+
+    /**
+     * Get the saved version of the note in the panel
+     * @returns {Object|null} Note, or null if it no longer exists
+     */
+    getCurrent() {
+        const app = window.app;
+        if (!app || !this.noteId) return null;
+
+        return this.dateKey ?
+            Recurrence.getNote(app.state.dateNotes, this.dateKey, this.noteId) :
+            app.state.notes.find(n => n.id === this.noteId) || null;
+    },
+
+    /**
+     * List the note's versions, newest first
+     * @returns {Array} The saved note as { id: 'current', ... } followed by its revisions
+     */
+    getVersions() {
+        const current = this.getCurrent();
+        if (!current) return [];
+
+        return [
+            { ...current, id: 'current', savedAt: current.updatedAt || current.createdAt },
+            ...Storage.getNoteRevisions(this.noteId, this.dateKey)
+        ];
+    },
+
+    /**
+     * Compare two texts line by line
+     * @param {string} before - Old text
+     * @param {string} after - New text
+     * @returns {Array} [{ type: 'same'|'removed'|'added', text }]
+     */
+    diffLines(before, after) {
+        const split = text => text ? String(text).split(/\r?\n/) : [];
+        const a = split(before);
+        const b = split(after);
+        const line = type => text => ({ type, text });
+
+        // Lines shared at the start and end need no matching
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let end = 0;
+        while (end < a.length - start && end < b.length - start &&
+            a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+        const oldLines = a.slice(start, a.length - end);
+        const newLines = b.slice(start, b.length - end);
+        let middle = [];
+
+        if (oldLines.length * newLines.length > this.MAX_DIFF_CELLS) {
+            middle = [...oldLines.map(line('removed')), ...newLines.map(line('added'))];
+        } else {
+            // common[i * width + j]: longest common subsequence of oldLines[i..] and newLines[j..]
+            const width = newLines.length + 1;
+            const common = new Uint32Array((oldLines.length + 1) * width);
+
+            for (let i = oldLines.length - 1; i >= 0; i--) {
+                for (let j = newLines.length - 1; j >= 0; j--) {
+                    common[i * width + j] = oldLines[i] === newLines[j] ?
+                        common[(i + 1) * width + j + 1] + 1 :
+                        Math.max(common[(i + 1) * width + j], common[i * width + j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < oldLines.length && j < newLines.length) {
+                if (oldLines[i] === newLines[j]) {
+                    middle.push(line('same')(oldLines[i]));
+                    i++;
+                    j++;
+                } else if (common[(i + 1) * width + j] >= common[i * width + j + 1]) {
+                    middle.push(line('removed')(oldLines[i++]));
+                } else {
+                    middle.push(line('added')(newLines[j++]));
+                }
+            }
+
+            middle.push(...oldLines.slice(i).map(line('removed')), ...newLines.slice(j).map(line('added')));
+        }
+
+        return [
+            ...a.slice(0, start).map(line('same')),
+            ...middle,
+            ...a.slice(a.length - end).map(line('same'))
+        ];
+    },
+
+    /**
+     * Format the time a version was saved
+     * @param {string} savedAt - ISO date
+     * @returns {string} Date and time
+     */
+    formatTime(savedAt) {
+        const date = new Date(savedAt);
+        if (isNaN(date.getTime())) return 'زمان نامشخص';
+
+        return `${Utils.formatDate(date)} · ${date.toLocaleTimeString('fa-IR', { hour: '2-digit', minute: '2-digit' })}`;
+    },
+
+    /**
+     * Render the history panel
+     */
+    render() {
+        const field = document.getElementById('noteHistoryField');
+        const summary = document.getElementById('noteHistorySummary');
+        const list = document.getElementById('noteHistoryList');
+        if (!field || !list) return;
+
+        const versions = this.getVersions();
+
+        // A new note, or one that was never edited, has no history
+        if (versions.length < 2) {
+            field.hidden = true;
+            list.innerHTML = '';
+            this.renderDiff();
+            return;
+        }
+
+        const ids = versions.map(v => v.id);
+        if (!ids.includes(this.from)) this.from = ids[1];
+        if (!ids.includes(this.to)) this.to = 'current';
+
+        field.hidden = false;
+        if (summary) {
+            summary.textContent = `تاریخچه نسخه‌ها (${(versions.length - 1).toLocaleString('fa-IR')})`;
+        }
+
+        list.innerHTML = versions.map(version => {
+            const isCurrent = version.id === 'current';
+
+            return `
+                <li class="revision-item${isCurrent ? ' current' : ''}">
+                    <input type="radio" name="revisionFrom" value="${version.id}" aria-label="مقایسه از این نسخه"${version.id === this.from ? ' checked' : ''}>
+                    <input type="radio" name="revisionTo" value="${version.id}" aria-label="مقایسه تا این نسخه"${version.id === this.to ? ' checked' : ''}>
+                    <span class="revision-info">
+                        <span class="revision-time">${isCurrent ? 'نسخه فعلی · ' : ''}${this.formatTime(version.savedAt)}</span>
+                        <small class="revision-meta">
+                            ${Utils.escapeHTML(Utils.truncateText(version.title || '', 40))} ·
+                            ${String(version.content || '').length.toLocaleString('fa-IR')} نویسه
+                        </small>
+                    </span>
+                    ${isCurrent ? '' : `<button type="button" class="btn-icon revision-restore" data-id="${Utils.escapeHTML(version.id)}" title="بازگردانی این نسخه">↩️</button>`}
+                </li>
+            `;
+        }).join('');
+
+        this.renderDiff();
+    },
+
+    /**
+     * Render the differences between the two chosen versions
+     */
+    renderDiff() {
+        const container = document.getElementById('noteHistoryDiff');
+        if (!container) return;
+
+        const versions = this.getVersions();
+        const from = versions.find(v => v.id === this.from);
+        const to = versions.find(v => v.id === this.to);
+
+        if (!from || !to) {
+            container.innerHTML = '';
+            return;
+        }
+
+        if (from.id === to.id) {
+            container.innerHTML = '<div class="empty-state">دو نسخه متفاوت را برای مقایسه انتخاب کنید</div>';
+            return;
+        }
+
+        const lines = this.diffLines(from.content, to.content);
+        const added = lines.filter(l => l.type === 'added').length;
+        const removed = lines.filter(l => l.type === 'removed').length;
+        const titleChanged = from.title !== to.title;
+
+        if (!added && !removed && !titleChanged) {
+            container.innerHTML = '<div class="empty-state">متن این دو نسخه یکسان است</div>';
+            return;
+        }
+
+        // Keep unchanged lines only near a change
+        const near = lines.map(() => false);
+        lines.forEach((l, index) => {
+            if (l.type === 'same') return;
+            for (let k = Math.max(0, index - this.CONTEXT_LINES); k <= Math.min(lines.length - 1, index + this.CONTEXT_LINES); k++) {
+                near[k] = true;
+            }
+        });
+
+        const signs = { same: ' ', removed: '−', added: '+' };
+        let hidden = 0;
+        let rows = '';
+
+        lines.forEach((l, index) => {
+            if (!near[index]) {
+                hidden++;
+                return;
+            }
+
+            if (hidden) {
+                rows += `<div class="diff-line diff-skipped">⋯ ${hidden.toLocaleString('fa-IR')} خط بدون تغییر</div>`;
+                hidden = 0;
+            }
+
+            rows += `<div class="diff-line diff-${l.type}"${Markdown.dirAttribute(l.text)}><span class="diff-sign" aria-hidden="true">${signs[l.type]}</span>${Utils.escapeHTML(l.text) || '&nbsp;'}</div>`;
+        });
+
+        if (hidden) {
+            rows += `<div class="diff-line diff-skipped">⋯ ${hidden.toLocaleString('fa-IR')} خط بدون تغییر</div>`;
+        }
+
+        container.innerHTML = `
+            <p class="revision-diff-summary">
+                ${titleChanged ? `عنوان: <del>${Utils.escapeHTML(from.title)}</del> ← <ins>${Utils.escapeHTML(to.title)}</ins> · ` : ''}
+                <span class="diff-count-added">+${added.toLocaleString('fa-IR')}</span>
+                <span class="diff-count-removed">−${removed.toLocaleString('fa-IR')}</span> خط
+            </p>
+            <div class="revision-diff-lines">${rows}</div>
+        `;
+    },
+
+    /**
+     * Bring the note back to an earlier version
+     * (the version it replaces is kept in the history)
+     * @param {string} revisionId - Revision ID
+     */
+    async restore(revisionId) {
+        const app = window.app;
+        const revision = Storage.getRevisions().find(r => r.id === revisionId);
+        const current = this.getCurrent();
+        if (!app || !revision || !current) return;
+
+        if (!confirm('یادداشت به این نسخه بازگردانده می‌شود و تغییرات ذخیره‌نشده ویرایشگر از بین می‌رود (نسخه فعلی در تاریخچه می‌ماند). ادامه می‌دهید؟')) {
+            return;
+        }
+
+        const { noteId, dateKey } = this;
+        const fields = {
+            title: revision.title,
+            content: revision.content,
+            type: revision.type,
+            tags: revision.tags,
+            color: revision.color,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (dateKey) {
+            Recurrence.applyChanges(app.state.dateNotes, dateKey, noteId, fields);
+        } else {
+            app.state.notes = app.state.notes.map(n => n.id === noteId ? { ...n, ...fields } : n);
+        }
+
+        const key = dateKey ? Storage.KEYS.DATE_NOTES : Storage.KEYS.NOTES;
+        const saved = await Storage.commit(() =>
+            Undo.record('بازگردانی نسخه یادداشت', [key, Storage.KEYS.REVISIONS], () => {
+                Storage.saveRevision(current, this.getCurrent(), dateKey);
+                app.saveToStorage();
+            })
+        );
+
+        if (!saved) {
+            app.loadFromStorage();
+            return;
+        }
+
+        if (dateKey) {
+            app.notifyCalendarUpdate();
+        } else {
+            app.renderNotes();
+        }
+
+        // Reload the editor with the restored text
+        app.showNoteModal(this.getCurrent());
+        Utils.showToast('نسخه انتخاب‌شده بازگردانی شد', 'success', Undo.getToastAction());
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Revisions;
+}
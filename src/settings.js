@@ -0,0 +1,124 @@
+/**
+ * Settings Module
+ * Opens and closes the settings panel that hosts data-management tools
+ */
+const Settings = {
+    /**
+     * Initialize Settings module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const settingsBtn = document.getElementById('settingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.open());
+        }
+
+        const closeBtn = document.getElementById('closeSettingsModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        // Modal backdrop click
+        const modal = document.getElementById('settingsModal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target.classList.contains('modal-overlay')) {
+                    this.close();
+                }
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+
+        // Storage backend choice
+        document.querySelectorAll('input[name="storageBackend"]').forEach(radio => {
+            radio.addEventListener('change', (e) => this.changeBackend(e.target.value));
+        });
+
+        document.addEventListener('settingsOpened', () => this.renderBackend());
+    },
+
+    /**
+     * Reflect the active storage backend in the settings panel
+     */
+    renderBackend() {
+        document.querySelectorAll('input[name="storageBackend"]').forEach(radio => {
+            radio.checked = radio.value === Storage.backend;
+            radio.disabled = !Storage.getAdapter(radio.value);
+        });
+
+        const hint = document.getElementById('storageBackendHint');
+        if (hint && Storage.isVolatile()) {
+            hint.textContent = 'مرورگر اجازه ذخیره‌سازی نمی‌دهد (مثلاً در حالت خصوصی)؛ تغییرات با بستن صفحه از بین می‌روند';
+        } else if (hint && typeof SyncStorage !== 'undefined') {
+            hint.textContent = SyncStorage.isNative() ?
+                'همگام‌سازی از طریق حساب مرورگر انجام می‌شود' :
+                'خارج از افزونه، همگام‌سازی با یک شبیه‌ساز محلی انجام می‌شود';
+        }
+    },
+
+    /**
+     * Switch storage backend
+     * @param {string} name - Backend name
+     */
+    async changeBackend(name) {
+        if (name === Storage.backend) return;
+
+        if (await Storage.switchBackend(name)) {
+            window.app?.refresh();
+            Utils.showToast('محل ذخیره‌سازی تغییر کرد');
+        } else {
+            Utils.showToast('تغییر محل ذخیره‌سازی ناموفق بود', 'error');
+        }
+
+        this.renderBackend();
+    },
+
+    /**
+     * Check if the settings panel is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        const modal = document.getElementById('settingsModal');
+        return Boolean(modal && !modal.hidden);
+    },
+
+    /**
+     * Open settings panel
+     */
+    open() {
+        const modal = document.getElementById('settingsModal');
+        if (!modal) return;
+
+        modal.hidden = false;
+        modal.classList.add('active');
+        document.dispatchEvent(new CustomEvent('settingsOpened'));
+    },
+
+    /**
+     * Close settings panel
+     */
+    close() {
+        const modal = document.getElementById('settingsModal');
+        if (!modal) return;
+
+        modal.classList.remove('active');
+        modal.hidden = true;
+        document.dispatchEvent(new CustomEvent('settingsClosed'));
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Settings;
+}
@@ -0,0 +1,199 @@
+/**
+ * Snapshots Module
+ * Takes a daily snapshot of all dashboard data (one is also taken before
+ * every import, repair and migration) and lets the user browse and
+ * restore them from the settings panel.
+ */
+const Snapshots = {
+    DAILY_CHECK_INTERVAL: 60 * 60 * 1000,
+    PREVIEW_LIMIT: 20,
+
+    REASON_LABELS: {
+        daily: 'روزانه',
+        import: 'پیش از بازیابی',
+        migration: 'پیش از به‌روزرسانی داده‌ها',
+        repair: 'پیش از رفع مشکلات داده‌ها'
+    },
+
+    /**
+     * Initialize Snapshots module
+     */
+    init() {
+        this.takeDaily();
+        setInterval(() => this.takeDaily(), this.DAILY_CHECK_INTERVAL);
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const limitSelect = document.getElementById('snapshotLimit');
+        if (limitSelect) {
+            limitSelect.addEventListener('change', (e) => {
+                Storage.setSnapshotLimit(Number(e.target.value));
+                this.render();
+            });
+        }
+
+        // Restore / delete buttons (Event Delegation)
+        const list = document.getElementById('snapshotList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const restoreBtn = e.target.closest('.snapshot-restore');
+                const deleteBtn = e.target.closest('.snapshot-delete');
+
+                if (restoreBtn) {
+                    this.restore(restoreBtn.dataset.id);
+                } else if (deleteBtn) {
+                    this.delete(deleteBtn.dataset.id);
+                }
+            });
+        }
+
+        document.addEventListener('settingsOpened', () => this.render());
+
+        Storage.subscribe(Storage.KEYS.SNAPSHOTS, () => {
+            if (Settings.isOpen()) this.render();
+        });
+    },
+
+    /**
+     * Take today's snapshot unless one exists already
+     */
+    takeDaily() {
+        const today = Utils.getDateKey(new Date());
+        const lastDaily = Storage.getSnapshots().find(s => s.reason === 'daily');
+
+        if (!lastDaily || Utils.getDateKey(new Date(lastDaily.createdAt)) !== today) {
+            Storage.takeSnapshot('daily');
+        }
+    },
+
+    /**
+     * Count the records in a snapshot
+     * @param {Object} data - Snapshot data
+     * @returns {string} Summary text
+     */
+    summarize(data) {
+        const dateNoteCount = Object.values(data.dateNotes || {}).reduce((sum, notes) => sum + notes.length, 0);
+
+        return `${(data.notes || []).length} یادداشت · ` +
+            `${dateNoteCount} یادداشت تاریخ‌دار · ` +
+            `${(data.quickAccess || []).length} دسترسی سریع`;
+    },
+
+    /**
+     * List the note titles in a snapshot
+     * @param {Object} data - Snapshot data
+     * @returns {string} HTML list items
+     */
+    renderContents(data) {
+        const titles = [
+            ...(data.notes || []).map(n => n.title || Utils.truncateText(n.content, 40)),
+            ...Object.entries(data.dateNotes || {}).flatMap(([dateKey, notes]) =>
+                notes.map(n => `${dateKey}: ${n.title || Utils.truncateText(n.content, 40)}`)
+            )
+        ];
+
+        const shown = titles.slice(0, this.PREVIEW_LIMIT);
+        const more = titles.length - shown.length;
+
+        return shown.map(title => `<li>${Utils.escapeHTML(title)}</li>`).join('') +
+            (more > 0 ? `<li>و ${more} مورد دیگر</li>` : '');
+    },
+
+    /**
+     * Render the snapshot list
+     */
+    render() {
+        const list = document.getElementById('snapshotList');
+        const limitSelect = document.getElementById('snapshotLimit');
+
+        if (limitSelect) {
+            limitSelect.value = String(Storage.getSnapshotLimit());
+        }
+
+        if (!list) return;
+
+        const snapshots = Storage.getSnapshots();
+
+        if (snapshots.length === 0) {
+            list.innerHTML = '<div class="empty-state">هنوز نسخه‌ای ذخیره نشده است</div>';
+            return;
+        }
+
+        list.innerHTML = snapshots.map(snapshot => {
+            const date = new Date(snapshot.createdAt);
+            const time = date.toLocaleTimeString('fa-IR', { hour: '2-digit', minute: '2-digit' });
+
+            return `
+                <div class="snapshot-item" role="listitem">
+                    <div class="snapshot-item-header">
+                        <div class="snapshot-item-info">
+                            <span class="snapshot-item-title">${Utils.formatDate(date)} · ${time}</span>
+                            <small class="snapshot-item-meta">
+                                ${Utils.escapeHTML(this.REASON_LABELS[snapshot.reason] || snapshot.reason)} ·
+                                ${this.summarize(snapshot.data)}
+                            </small>
+                        </div>
+                        <div class="snapshot-item-actions">
+                            <button type="button" class="btn-icon snapshot-restore" data-id="${Utils.escapeHTML(snapshot.id)}" title="بازگردانی این نسخه">↩️</button>
+                            <button type="button" class="btn-icon snapshot-delete" data-id="${Utils.escapeHTML(snapshot.id)}" title="حذف">🗑️</button>
+                        </div>
+                    </div>
+                    <details class="snapshot-details">
+                        <summary>مشاهده محتوا</summary>
+                        <ul>${this.renderContents(snapshot.data)}</ul>
+                    </details>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Replace all data with a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     */
+    async restore(snapshotId) {
+        // Read it before the snapshot of the current data can trim it away
+        const snapshot = Storage.getSnapshots().find(s => s.id === snapshotId);
+        if (!snapshot) return;
+
+        if (!confirm('همه داده‌های فعلی با این نسخه جایگزین می‌شوند (از وضعیت فعلی هم یک نسخه ذخیره می‌شود). ادامه می‌دهید؟')) {
+            return;
+        }
+
+        if (!await Storage.commit(() => Storage.takeSnapshot('import'))) {
+            Utils.showToast('ذخیره نسخه فعلی ممکن نشد؛ داده‌ها تغییری نکردند', 'error');
+            return;
+        }
+
+        const restored = await Storage.commit(() => Storage.importData(snapshot.data, 'replace'));
+
+        this.render();
+        window.app?.refresh();
+
+        if (restored) {
+            Utils.showToast('نسخه انتخاب شده بازگردانی شد');
+        } else {
+            Utils.showToast('بازگردانی نسخه ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     */
+    delete(snapshotId) {
+        if (confirm('این نسخه برای همیشه حذف می‌شود. ادامه می‌دهید؟')) {
+            Storage.deleteSnapshot(snapshotId);
+            this.render();
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Snapshots;
+}
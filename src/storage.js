@@ -1,6 +1,17 @@
 /**
  * Storage Manager
- * Handles all localStorage operations with error handling
+ * Handles all persistence with error handling.
+ * Uses IndexedDB (via IDBStorage) when available and falls back to
+ * localStorage, then to memory (MemoryStorage) when neither can be used.
+ * Every key is read into an in-memory cache on init; modules subscribe to
+ * the keys they display instead of re-reading storage.
+ * When a passphrase is set, notes, date notes, quick access tiles and the
+ * trash are encrypted record by record (see Encryption) before they are
+ * persisted, and decrypted into the in-memory cache on unlock.
+ *
+ * Data is kept per profile: callers use the plain KEYS and Storage maps them
+ * to the active profile's keys (see profileKey). The default profile uses
+ * the plain keys, so data from before profiles existed needs no migration.
  */
 
 const Storage = {
@@ -10,38 +21,294 @@ const Storage = {
         DATE_NOTES: 'assistant_date_notes',
         QUICK_ACCESS: 'assistant_quick_access',
         CALENDAR_TYPE: 'assistant_calendar_type',
-        SEARCH_ENGINE: 'assistant_search_engine'
+        SEARCH_ENGINE: 'assistant_search_engine',
+        SCHEMA_VERSION: 'assistant_schema_version',
+        TRASH: 'assistant_trash',
+        TRASH_RETENTION: 'assistant_trash_retention',
+        ENCRYPTION: 'assistant_encryption',
+        AUTO_LOCK: 'assistant_auto_lock',
+        SNAPSHOTS: 'assistant_snapshots',
+        SNAPSHOT_LIMIT: 'assistant_snapshot_limit',
+        PROFILES: 'assistant_profiles',
+        NOTES_SORT: 'assistant_notes_sort',
+        NOTE_LENGTH_LIMIT: 'assistant_note_length_limit',
+        REVISIONS: 'assistant_revisions',
+        DRAFTS: 'assistant_drafts'
+    },
+
+    // Keys shared by every profile (one passphrase unlocks all profiles)
+    GLOBAL_KEYS: ['assistant_profiles', 'assistant_encryption', 'assistant_auto_lock'],
+
+    // Active profile, kept per device in localStorage like the backend choice
+    PROFILE_KEY: 'assistant_active_profile',
+    DEFAULT_PROFILE: 'default',
+    PROFILE_SEPARATOR: '@',
+    DEFAULT_PROFILE_NAME: 'پیش‌فرض',
+    profile: 'default',
+
+    // Days deleted items stay in the trash by default
+    DEFAULT_TRASH_RETENTION: 30,
+
+    // Snapshots kept by default
+    DEFAULT_SNAPSHOT_LIMIT: 10,
+
+    // Maximum note length in characters by default (0 = no limit)
+    DEFAULT_NOTE_LENGTH_LIMIT: 500,
+
+    // Earlier versions kept per note
+    REVISION_LIMIT: 20,
+
+    // Backend preference, kept in localStorage so it is readable before init
+    BACKEND_KEY: 'assistant_storage_backend',
+    DEFAULT_BACKEND: 'indexedDB',
+
+    // Active asynchronous backend (IDBStorage, SyncStorage, MemoryStorage) or null for localStorage
+    adapter: null,
+    backend: 'localStorage',
+
+    // In-memory copy of every key, filled by init()
+    cache: {},
+    loaded: false,
+
+    // Result of the localStorage probe, null until checked
+    localStorageAvailable: null,
+
+    // Change callbacks per storage key
+    listeners: {},
+
+    // Adapters whose remote change events are already wired up
+    listeningAdapters: [],
+
+    // Minutes of inactivity before an encrypted dashboard locks itself
+    DEFAULT_AUTO_LOCK: 15,
+
+    // AES-GCM key while unlocked, null when encryption is off or locked
+    encryptionKey: null,
+
+    // Encrypted form of each plaintext record per key, so unchanged records keep their ciphertext
+    envelopes: {},
+
+    // Pending writes, chained so they reach the backend in order
+    writeQueue: Promise.resolve(),
+
+    // Keys whose writes failed since the last commit()
+    failedKeys: new Set(),
+
+    // Typical localStorage limit (characters per origin)
+    LOCAL_STORAGE_QUOTA: 5 * 1024 * 1024,
+
+    /**
+     * Get adapter for a backend name
+     * @param {string} name - 'indexedDB', 'sync' or 'memory'
+     * @returns {Object|null} Adapter or null if unavailable
+     */
+    getAdapter(name) {
+        const adapters = {
+            indexedDB: typeof IDBStorage !== 'undefined' ? IDBStorage : null,
+            sync: typeof SyncStorage !== 'undefined' ? SyncStorage : null,
+            memory: typeof MemoryStorage !== 'undefined' ? MemoryStorage : null
+        };
+
+        const adapter = adapters[name];
+        return adapter && adapter.isAvailable() ? adapter : null;
+    },
+
+    /**
+     * Get preferred backend name
+     * @returns {string} Backend name
+     */
+    getBackendPreference() {
+        try {
+            return localStorage.getItem(this.BACKEND_KEY) || this.DEFAULT_BACKEND;
+        } catch {
+            return this.DEFAULT_BACKEND;
+        }
+    },
+
+    /**
+     * Initialize storage backend.
+     * Opens the preferred adapter (IndexedDB by default), migrates legacy
+     * localStorage data once and loads everything into memory so reads
+     * stay synchronous.
+     * @returns {Promise<string>} Active backend name
+     */
+    async init() {
+        this.profile = this.getProfilePreference();
+
+        const preferred = this.getBackendPreference();
+        const candidates = [preferred, this.DEFAULT_BACKEND].filter((name, i, all) => all.indexOf(name) === i);
+
+        for (const name of candidates) {
+            const adapter = this.getAdapter(name);
+            if (!adapter) continue;
+
+            try {
+                if (adapter.migrateFromLocalStorage && this.isAvailable()) {
+                    await adapter.migrateFromLocalStorage(this.listLocalStorageKeys());
+                }
+
+                this.cache = await adapter.readAll();
+                this.adapter = adapter;
+                this.backend = name;
+                this.loaded = true;
+
+                this.listenForRemoteChanges(adapter);
+                this.checkActiveProfile();
+                return name;
+            } catch (error) {
+                console.error(`Storage backend "${name}" unavailable:`, error);
+            }
+        }
+
+        if (this.isAvailable()) {
+            console.warn('Falling back to localStorage');
+            this.adapter = null;
+            this.backend = 'localStorage';
+            this.cache = this.readLocalStorage();
+        } else {
+            console.warn('No persistent storage available, keeping data in memory');
+            this.adapter = this.getAdapter('memory');
+            this.backend = 'memory';
+            this.cache = {};
+        }
+
+        this.loaded = true;
+        this.checkActiveProfile();
+        return this.backend;
+    },
+
+    /**
+     * Check if changes are lost on reload
+     * @returns {boolean} True for the in-memory backend
+     */
+    isVolatile() {
+        return this.backend === 'memory';
+    },
+
+    /**
+     * Switch to another backend, merging its existing data with ours
+     * (records by id, newest wins; settings already in the target win)
+     * @param {string} name - 'indexedDB' or 'sync'
+     * @returns {Promise<boolean>} Success status
+     */
+    async switchBackend(name) {
+        const target = this.getAdapter(name);
+        if (!target || target === this.adapter) {
+            return false;
+        }
+
+        try {
+            const remote = await this.decodeAll(await target.readAll());
+            const current = this.usesCache() ? this.cache : this.readLocalStorage();
+            const merged = {};
+            const names = new Set([...Object.keys(current), ...Object.keys(remote)]);
+
+            // Every profile is merged, not only the active one
+            names.forEach(name => {
+                const parsed = this.parseKey(name);
+                if (!parsed) return;
+
+                const key = parsed.key;
+                const mine = name in current ? current[name] : null;
+                const theirs = remote[name];
+
+                if (key === this.KEYS.ENCRYPTION) {
+                    // Everything is written with our key, so our setting must win
+                    if (mine !== null) merged[name] = mine;
+                } else if (Array.isArray(mine) && Array.isArray(theirs)) {
+                    merged[name] = this.mergeRecords(mine, theirs);
+                } else if (key === this.KEYS.DATE_NOTES && mine && theirs) {
+                    merged[name] = { ...mine };
+                    Object.entries(theirs).forEach(([dateKey, notes]) => {
+                        merged[name][dateKey] = this.mergeRecords(merged[name][dateKey] || [], notes);
+                    });
+                } else if (theirs !== undefined) {
+                    merged[name] = theirs;
+                } else if (mine !== null) {
+                    merged[name] = mine;
+                }
+            });
+
+            for (const [key, value] of Object.entries(merged)) {
+                await target.write(key, await this.encodeValue(key, value));
+            }
+
+            if (!(this.KEYS.ENCRYPTION in merged) && this.KEYS.ENCRYPTION in remote) {
+                await target.remove(this.KEYS.ENCRYPTION);
+            }
+
+            localStorage.setItem(this.BACKEND_KEY, name);
+            this.adapter = target;
+            this.backend = name;
+            this.cache = merged;
+
+            this.listenForRemoteChanges(target);
+            this.checkActiveProfile();
+            Object.values(this.KEYS).forEach(key => this.emitChange(key));
+            return true;
+        } catch (error) {
+            console.error(`Error switching to "${name}" storage:`, error);
+            return false;
+        }
     },
 
     /**
-     * Check if localStorage is available
+     * Apply changes an adapter receives from other devices while it is active
+     * @param {Object} adapter - Storage adapter
+     */
+    listenForRemoteChanges(adapter) {
+        if (!adapter.onRemoteChange || this.listeningAdapters.includes(adapter)) return;
+
+        this.listeningAdapters.push(adapter);
+        adapter.onRemoteChange((key, value) => {
+            if (this.adapter === adapter) {
+                this.applyRemoteChange(key, value);
+            }
+        });
+    },
+
+    /**
+     * Check if localStorage is available (probed once)
      * @returns {boolean} True if available
      */
     isAvailable() {
+        if (this.localStorageAvailable !== null) {
+            return this.localStorageAvailable;
+        }
+
         try {
             const test = '__storage_test__';
             localStorage.setItem(test, test);
             localStorage.removeItem(test);
-            return true;
-        } catch {
-            return false;
+            this.localStorageAvailable = true;
+        } catch (error) {
+            // A full localStorage still works for reading
+            this.localStorageAvailable = this.isQuotaError(error) && localStorage.length > 0;
         }
+
+        return this.localStorageAvailable;
     },
 
     /**
-     * Get item from localStorage
+     * Get item from storage
      * @param {string} key - Storage key
      * @param {*} defaultValue - Default value if not found
      * @returns {*} Stored value or default
      */
     get(key, defaultValue = null) {
+        const name = this.profileKey(key);
+
+        if (this.usesCache()) {
+            return name in this.cache ? Utils.deepClone(this.cache[name]) : defaultValue;
+        }
+
         if (!this.isAvailable()) {
             console.warn('localStorage is not available');
             return defaultValue;
         }
 
         try {
-            const item = localStorage.getItem(key);
+            const item = localStorage.getItem(name);
             return item ? JSON.parse(item) : defaultValue;
         } catch (error) {
             console.error('Error reading from localStorage:', error);
@@ -50,44 +317,59 @@ const Storage = {
     },
 
     /**
-     * Set item in localStorage
+     * Set item in storage
      * @param {string} key - Storage key
      * @param {*} value - Value to store
      * @returns {boolean} Success status
      */
     set(key, value) {
+        const name = this.profileKey(key);
+
+        if (this.usesCache()) {
+            this.cache[name] = Utils.deepClone(value);
+            this.persist(name, this.cache[name]);
+            this.emitChange(key);
+            return true;
+        }
+
         if (!this.isAvailable()) {
             console.warn('localStorage is not available');
             return false;
         }
 
         try {
-            localStorage.setItem(key, JSON.stringify(value));
+            localStorage.setItem(name, JSON.stringify(value));
+            this.emitChange(key);
             return true;
         } catch (error) {
             console.error('Error writing to localStorage:', error);
-            
-            // Handle quota exceeded error
-            if (error.name === 'QuotaExceededError') {
-                Utils.showToast('فضای ذخیره‌سازی پر شده است', 'error');
-            }
-            
+            this.reportError(name, error);
             return false;
         }
     },
 
     /**
-     * Remove item from localStorage
+     * Remove item from storage
      * @param {string} key - Storage key
      * @returns {boolean} Success status
      */
     remove(key) {
+        const name = this.profileKey(key);
+
+        if (this.usesCache()) {
+            delete this.cache[name];
+            this.persist(name, undefined);
+            this.emitChange(key);
+            return true;
+        }
+
         if (!this.isAvailable()) {
             return false;
         }
 
         try {
-            localStorage.removeItem(key);
+            localStorage.removeItem(name);
+            this.emitChange(key);
             return true;
         } catch (error) {
             console.error('Error removing from localStorage:', error);
@@ -95,11 +377,292 @@ const Storage = {
         }
     },
 
+    /**
+     * Check if reads and writes go through the in-memory cache.
+     * True once init() has loaded the cache, and for unlocked encrypted
+     * data since decryption cannot happen synchronously.
+     * @returns {boolean} True if cached
+     */
+    usesCache() {
+        return this.loaded || Boolean(this.encryptionKey);
+    },
+
+    /**
+     * Write a cached value to the active backend, encrypting it if needed
+     * @param {string} key - Backend key (see profileKey)
+     * @param {*} value - Value to persist (undefined to remove)
+     * @returns {Promise<void>} Resolves once written
+     */
+    persist(key, value) {
+        const adapter = this.adapter;
+
+        const write = this.writeQueue.then(async () => {
+            if (value === undefined) {
+                if (adapter) {
+                    await adapter.remove(key);
+                } else {
+                    localStorage.removeItem(key);
+                }
+                return;
+            }
+
+            const stored = await this.encodeValue(key, value);
+            if (adapter) {
+                await adapter.write(key, stored);
+            } else {
+                localStorage.setItem(key, JSON.stringify(stored));
+            }
+        }).then(() => {
+            // Other tabs only hear about writes that really landed
+            if (typeof window === 'undefined' || typeof CustomEvent === 'undefined') return;
+
+            window.dispatchEvent(new CustomEvent('storagePersisted', { detail: { key } }));
+        });
+
+        this.writeQueue = write.catch(error => {
+            console.error(`Error persisting ${key}:`, error);
+            this.reportError(key, error);
+        });
+
+        return write;
+    },
+
+    /**
+     * Check if an error means the storage quota is exhausted
+     * @param {Error} error - Write error
+     * @returns {boolean} True for quota errors
+     */
+    isQuotaError(error) {
+        if (!error) return false;
+
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014;
+    },
+
+    /**
+     * Remember a failed write and let the UI know about it
+     * @param {string} key - Storage key
+     * @param {Error} error - Write error
+     */
+    reportError(key, error) {
+        this.failedKeys.add(key);
+
+        if (typeof window === 'undefined' || typeof CustomEvent === 'undefined') return;
+
+        window.dispatchEvent(new CustomEvent('storageError', {
+            detail: { key, error, quota: this.isQuotaError(error) }
+        }));
+    },
+
+    /**
+     * Run a mutation and wait until it is really persisted.
+     * Cached keys whose write failed are put back to their stored values
+     * so the UI never shows data that was not saved. A failed revision
+     * history write is reported but does not fail the mutation.
+     * @param {Function} mutate - Performs Storage writes; returning false means failure
+     * @returns {Promise<boolean>} True if everything but the revision history was saved
+     */
+    async commit(mutate) {
+        const before = { ...this.cache };
+        this.failedKeys = new Set();
+
+        const result = mutate();
+        await this.flush();
+
+        if (this.usesCache()) {
+            this.failedKeys.forEach(name => {
+                if (name in before) {
+                    this.cache[name] = before[name];
+                } else {
+                    delete this.cache[name];
+                }
+                this.emitBackendChange(name);
+            });
+        }
+
+        const failed = [...this.failedKeys].filter(name => this.parseKey(name)?.key !== this.KEYS.REVISIONS);
+        return result !== false && failed.length === 0;
+    },
+
+    /**
+     * Wait for all pending writes
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeQueue;
+    },
+
+    /**
+     * List the dashboard keys of every profile present in localStorage
+     * @returns {Array<string>} Backend keys
+     */
+    listLocalStorageKeys() {
+        const keys = [];
+
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const name = localStorage.key(i);
+                if (this.parseKey(name)) {
+                    keys.push(name);
+                }
+            }
+        } catch (error) {
+            console.error('Error listing localStorage keys:', error);
+        }
+
+        return keys;
+    },
+
+    /**
+     * Read every known key straight from localStorage
+     * @returns {Object} Parsed values keyed by backend key
+     */
+    readLocalStorage() {
+        const data = {};
+
+        this.listLocalStorageKeys().forEach(key => {
+            try {
+                const item = localStorage.getItem(key);
+                if (item !== null) {
+                    data[key] = JSON.parse(item);
+                }
+            } catch (error) {
+                console.error(`Error reading ${key} from localStorage:`, error);
+            }
+        });
+
+        return data;
+    },
+
+    /**
+     * Call a function whenever a key changes, here or in another tab
+     * @param {string} key - Storage key (one of KEYS)
+     * @param {Function} callback - Receives { key, remote }
+     * @returns {Function} Unsubscribes the callback
+     */
+    subscribe(key, callback) {
+        if (!this.listeners[key]) {
+            this.listeners[key] = new Set();
+        }
+
+        this.listeners[key].add(callback);
+        return () => this.unsubscribe(key, callback);
+    },
+
+    /**
+     * Stop calling a function subscribed with subscribe()
+     * @param {string} key - Storage key
+     * @param {Function} callback - Subscribed callback
+     */
+    unsubscribe(key, callback) {
+        const listeners = this.listeners[key];
+        if (!listeners) return;
+
+        listeners.delete(callback);
+        if (listeners.size === 0) {
+            delete this.listeners[key];
+        }
+    },
+
+    /**
+     * Notify subscribers and window listeners that a key changed
+     * @param {string} key - Storage key
+     * @param {boolean} remote - True if the change came from another tab
+     */
+    emitChange(key, remote = false) {
+        const listeners = this.listeners[key];
+        if (listeners) {
+            [...listeners].forEach(callback => {
+                try {
+                    callback({ key, remote });
+                } catch (error) {
+                    console.error(`Error in ${key} change listener:`, error);
+                }
+            });
+        }
+
+        if (typeof window === 'undefined' || typeof CustomEvent === 'undefined') return;
+
+        window.dispatchEvent(new CustomEvent('storageChanged', {
+            detail: { key, remote }
+        }));
+    },
+
+    /**
+     * Notify listeners about a backend key if it belongs to the active profile
+     * @param {string} name - Backend key
+     * @param {boolean} remote - True if the change came from another tab
+     */
+    emitBackendChange(name, remote = false) {
+        const parsed = this.parseKey(name);
+
+        if (parsed && this.isActiveKey(name)) {
+            this.emitChange(parsed.key, remote);
+        }
+    },
+
+    /**
+     * Re-read a key another tab reports as changed and apply it
+     * @param {string} name - Backend key
+     * @returns {Promise<void>}
+     */
+    async reloadRemoteChange(name) {
+        if (!this.adapter || !this.adapter.read) {
+            this.applyRemoteChange(name);
+            return;
+        }
+
+        try {
+            this.applyRemoteChange(name, await this.adapter.read(name));
+        } catch (error) {
+            console.error(`Error reading remote change to ${name}:`, error);
+        }
+    },
+
+    /**
+     * Apply a value written by another tab to the in-memory cache
+     * without persisting it again
+     * @param {string} name - Backend key
+     * @param {*} value - New value (undefined if removed)
+     */
+    applyRemoteChange(name, value) {
+        if (!this.usesCache()) {
+            this.emitBackendChange(name, true);
+            return;
+        }
+
+        // localStorage: the event only says which key changed
+        const stored = this.adapter ? value : this.readLocalStorage()[name];
+
+        this.decodeValue(name, stored).then(decoded => {
+            if (decoded === undefined) {
+                delete this.cache[name];
+            } else {
+                this.cache[name] = Utils.deepClone(decoded);
+            }
+
+            if (this.adapter) {
+                this.adapter.markPersisted(name, stored);
+            }
+
+            this.emitBackendChange(name, true);
+        }).catch(error => {
+            console.error(`Error applying remote change to ${name}:`, error);
+        });
+    },
+
     /**
      * Clear all storage
      * @returns {boolean} Success status
      */
     clear() {
+        if (this.usesCache()) {
+            Object.values(this.KEYS).forEach(key => this.remove(key));
+            return true;
+        }
+
         if (!this.isAvailable()) {
             return false;
         }
@@ -137,6 +700,8 @@ const Storage = {
         const existingIndex = notes.findIndex(n => n.id === note.id);
         
         if (existingIndex >= 0) {
+            // A failed history write never blocks saving the note
+            this.saveRevision(notes[existingIndex], note);
             notes[existingIndex] = note;
         } else {
             notes.unshift(note);
@@ -146,13 +711,19 @@ const Storage = {
     },
 
     /**
-     * Delete note
+     * Delete note (moves it to the trash)
      * @param {string} noteId - Note ID
      * @returns {boolean} Success status
      */
     deleteNote(noteId) {
         const notes = this.getNotes();
+        const note = notes.find(n => n.id === noteId);
         const filtered = notes.filter(n => n.id !== noteId);
+
+        if (note && !this.moveToTrash('note', note)) {
+            return false;
+        }
+
         return this.set(this.KEYS.NOTES, filtered);
     },
 
@@ -186,6 +757,7 @@ const Storage = {
         const existingIndex = allDateNotes[dateKey].findIndex(n => n.id === note.id);
         
         if (existingIndex >= 0) {
+            this.saveRevision(allDateNotes[dateKey][existingIndex], note, dateKey);
             allDateNotes[dateKey][existingIndex] = note;
         } else {
             allDateNotes[dateKey].unshift(note);
@@ -195,7 +767,7 @@ const Storage = {
     },
 
     /**
-     * Delete date note
+     * Delete date note (moves it to the trash)
      * @param {string} dateKey - Date key (YYYY-MM-DD)
      * @param {string} noteId - Note ID
      * @returns {boolean} Success status
@@ -204,6 +776,11 @@ const Storage = {
         const allDateNotes = this.get(this.KEYS.DATE_NOTES, {});
         
         if (allDateNotes[dateKey]) {
+            const note = allDateNotes[dateKey].find(n => n.id === noteId);
+            if (note && !this.moveToTrash('dateNote', note, dateKey)) {
+                return false;
+            }
+
             allDateNotes[dateKey] = allDateNotes[dateKey].filter(n => n.id !== noteId);
             
             // Remove empty date keys
@@ -215,6 +792,48 @@ const Storage = {
         return this.set(this.KEYS.DATE_NOTES, allDateNotes);
     },
 
+    /**
+     * Get date notes for every date before a cutoff
+     * (recurring notes still show after the cutoff, so they are left out)
+     * @param {string} dateKey - Cutoff date key (YYYY-MM-DD), exclusive
+     * @returns {Object} { dateKey: [notes] }
+     */
+    getDateNotesBefore(dateKey) {
+        const allDateNotes = this.get(this.KEYS.DATE_NOTES, {});
+        const result = {};
+
+        // Canonical keys sort chronologically as strings
+        Object.keys(allDateNotes).filter(key => key < dateKey).forEach(key => {
+            const notes = allDateNotes[key].filter(note => !note.recurrence);
+            if (notes.length > 0) {
+                result[key] = notes;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Permanently remove date notes for every date before a cutoff
+     * (bypasses the trash so the space is actually freed; recurring notes are kept)
+     * @param {string} dateKey - Cutoff date key (YYYY-MM-DD), exclusive
+     * @returns {boolean} Success status
+     */
+    removeDateNotesBefore(dateKey) {
+        const allDateNotes = this.get(this.KEYS.DATE_NOTES, {});
+
+        Object.keys(allDateNotes).filter(key => key < dateKey).forEach(key => {
+            const recurring = allDateNotes[key].filter(note => note.recurrence);
+            if (recurring.length > 0) {
+                allDateNotes[key] = recurring;
+            } else {
+                delete allDateNotes[key];
+            }
+        });
+
+        return this.set(this.KEYS.DATE_NOTES, allDateNotes) && this.pruneRevisions();
+    },
+
     /**
      * Get all dates that have notes
      * @returns {Array} Array of date keys
@@ -225,45 +844,980 @@ const Storage = {
     },
 
     // ============================================
-    // QUICK ACCESS OPERATIONS
+    // REVISION OPERATIONS
     // ============================================
 
     /**
-     * Get all quick access items
-     * @returns {Array} Array of quick access items
+     * Get all revisions, newest first
+     * @returns {Array} Revisions { id, noteId, dateKey, savedAt, title, content, type, tags, color }
      */
-    getQuickAccess() {
-        return this.get(this.KEYS.QUICK_ACCESS, []);
+    getRevisions() {
+        return this.get(this.KEYS.REVISIONS, []);
     },
 
     /**
-     * Save quick access item
-     * @param {Object} item - Quick access item
-     * @returns {boolean} Success status
+     * Get the earlier versions of one note, newest first
+     * @param {string} noteId - Note ID
+     * @param {string|null} dateKey - Day a date note shows on, null for general notes
+     * @returns {Array} Revisions
      */
-    saveQuickAccessItem(item) {
-        const items = this.getQuickAccess();
-        const existingIndex = items.findIndex(i => i.id === item.id);
-        
-        if (existingIndex >= 0) {
-            items[existingIndex] = item;
-        } else {
-            items.push(item);
-        }
-        
-        return this.set(this.KEYS.QUICK_ACCESS, items);
+    getNoteRevisions(noteId, dateKey = null) {
+        return this.getRevisions().filter(r => r.noteId === noteId && (r.dateKey || null) === dateKey);
     },
 
     /**
-     * Delete quick access item
-     * @param {string} itemId - Item ID
+     * Keep the previous version of a note that is about to change,
+     * dropping its oldest revisions beyond REVISION_LIMIT.
+     * Nothing is kept when no edited field changed (e.g. pinning).
+     * Callers save the note even when this fails (see commit).
+     * @param {Object} previous - Note as stored before the change
+     * @param {Object} next - Note after the change
+     * @param {string|null} dateKey - Day a date note shows on, null for general notes
      * @returns {boolean} Success status
      */
-    deleteQuickAccessItem(itemId) {
-        const items = this.getQuickAccess();
-        const filtered = items.filter(i => i.id !== itemId);
-        return this.set(this.KEYS.QUICK_ACCESS, filtered);
-    },
+    saveRevision(previous, next, dateKey = null) {
+        const fieldsOf = note => JSON.stringify([note.title, note.content, note.type || 'note', note.tags || [], note.color || null]);
+        if (!previous || !next || fieldsOf(previous) === fieldsOf(next)) {
+            return true;
+        }
+
+        const revision = {
+            id: Utils.generateId(),
+            noteId: previous.id,
+            dateKey,
+            savedAt: previous.updatedAt || previous.createdAt || new Date().toISOString(),
+            title: previous.title,
+            content: previous.content,
+            type: previous.type || 'note',
+            tags: previous.tags || [],
+            color: previous.color || null
+        };
+
+        let kept = 0;
+        const revisions = [revision, ...this.getRevisions()].filter(r => {
+            if (r.noteId !== revision.noteId || (r.dateKey || null) !== dateKey) return true;
+            return ++kept <= this.REVISION_LIMIT;
+        });
+
+        return this.set(this.KEYS.REVISIONS, revisions);
+    },
+
+    /**
+     * Drop revisions of notes that no longer exist, not even in the trash
+     * @returns {boolean} Success status
+     */
+    pruneRevisions() {
+        const revisions = this.getRevisions();
+        if (revisions.length === 0) {
+            return true;
+        }
+
+        const ids = new Set([
+            ...this.getNotes().map(n => n.id),
+            ...Object.values(this.get(this.KEYS.DATE_NOTES, {})).flat().map(n => n.id),
+            ...this.getTrash().map(e => e.item?.id)
+        ]);
+        const kept = revisions.filter(r => ids.has(r.noteId));
+
+        return kept.length === revisions.length || this.set(this.KEYS.REVISIONS, kept);
+    },
+
+    // ============================================
+    // DRAFT OPERATIONS
+    // ============================================
+
+    /**
+     * Get all unsaved note drafts
+     * @returns {Array} Drafts { id, title, content, type, color, tags, savedAt }, id naming the editor context
+     */
+    getDrafts() {
+        return this.get(this.KEYS.DRAFTS, []);
+    },
+
+    /**
+     * Save a draft, replacing the one of the same context
+     * @param {Object} draft - Draft
+     * @returns {boolean} Success status
+     */
+    saveDraft(draft) {
+        return this.set(this.KEYS.DRAFTS, [draft, ...this.getDrafts().filter(d => d.id !== draft.id)]);
+    },
+
+    /**
+     * Delete a draft
+     * @param {string} draftId - Draft ID
+     * @returns {boolean} Success status
+     */
+    deleteDraft(draftId) {
+        const drafts = this.getDrafts();
+        const kept = drafts.filter(d => d.id !== draftId);
+
+        return kept.length === drafts.length || this.set(this.KEYS.DRAFTS, kept);
+    },
+
+    // ============================================
+    // QUICK ACCESS OPERATIONS
+    // ============================================
+
+    /**
+     * Get all quick access items
+     * @returns {Array} Array of quick access items
+     */
+    getQuickAccess() {
+        return this.get(this.KEYS.QUICK_ACCESS, []);
+    },
+
+    /**
+     * Save quick access item
+     * @param {Object} item - Quick access item
+     * @returns {boolean} Success status
+     */
+    saveQuickAccessItem(item) {
+        const items = this.getQuickAccess();
+        const existingIndex = items.findIndex(i => i.id === item.id);
+        
+        if (existingIndex >= 0) {
+            items[existingIndex] = item;
+        } else {
+            items.push(item);
+        }
+        
+        return this.set(this.KEYS.QUICK_ACCESS, items);
+    },
+
+    /**
+     * Delete quick access item (moves it to the trash)
+     * @param {string} itemId - Item ID
+     * @returns {boolean} Success status
+     */
+    deleteQuickAccessItem(itemId) {
+        const items = this.getQuickAccess();
+        const item = items.find(i => i.id === itemId);
+        const filtered = items.filter(i => i.id !== itemId);
+
+        if (item && !this.moveToTrash('quickAccess', item)) {
+            return false;
+        }
+
+        return this.set(this.KEYS.QUICK_ACCESS, filtered);
+    },
+
+    // ============================================
+    // TRASH OPERATIONS
+    // ============================================
+
+    /**
+     * Get all trashed entries, newest first
+     * @returns {Array} Entries { id, type, dateKey, item, deletedAt }
+     */
+    getTrash() {
+        return this.get(this.KEYS.TRASH, []);
+    },
+
+    /**
+     * Keep a deleted record in the trash together with its origin
+     * @param {string} type - 'note', 'dateNote' or 'quickAccess'
+     * @param {Object} item - Deleted record
+     * @param {string} dateKey - Date key for date notes
+     * @returns {boolean} Success status
+     */
+    moveToTrash(type, item, dateKey = null) {
+        const trash = this.getTrash();
+
+        trash.unshift({
+            id: Utils.generateId(),
+            type,
+            dateKey,
+            item,
+            deletedAt: new Date().toISOString()
+        });
+
+        return this.set(this.KEYS.TRASH, trash);
+    },
+
+    /**
+     * Put a trashed record back where it came from
+     * @param {string} entryId - Trash entry ID
+     * @returns {boolean} Success status
+     */
+    restoreFromTrash(entryId) {
+        const trash = this.getTrash();
+        const entry = trash.find(e => e.id === entryId);
+        if (!entry) return false;
+
+        let restored = false;
+        switch (entry.type) {
+            case 'note':
+                restored = this.saveNote(entry.item);
+                break;
+            case 'dateNote':
+                restored = this.saveDateNote(entry.dateKey, entry.item);
+                break;
+            case 'quickAccess':
+                restored = this.saveQuickAccessItem(entry.item);
+                break;
+        }
+
+        if (!restored) return false;
+
+        return this.set(this.KEYS.TRASH, trash.filter(e => e.id !== entryId));
+    },
+
+    /**
+     * Permanently delete one trash entry
+     * @param {string} entryId - Trash entry ID
+     * @returns {boolean} Success status
+     */
+    purgeTrashEntry(entryId) {
+        return this.set(this.KEYS.TRASH, this.getTrash().filter(e => e.id !== entryId)) && this.pruneRevisions();
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     * @returns {boolean} Success status
+     */
+    emptyTrash() {
+        return this.set(this.KEYS.TRASH, []) && this.pruneRevisions();
+    },
+
+    /**
+     * Get trash retention period
+     * @returns {number} Days
+     */
+    getTrashRetention() {
+        return this.get(this.KEYS.TRASH_RETENTION, this.DEFAULT_TRASH_RETENTION);
+    },
+
+    /**
+     * Set trash retention period
+     * @param {number} days - Days to keep deleted items
+     * @returns {boolean} Success status
+     */
+    setTrashRetention(days) {
+        return this.set(this.KEYS.TRASH_RETENTION, days);
+    },
+
+    /**
+     * Remove trash entries older than the retention period
+     * @returns {number} Number of purged entries
+     */
+    purgeExpiredTrash() {
+        const trash = this.getTrash();
+        const cutoff = Date.now() - this.getTrashRetention() * 24 * 60 * 60 * 1000;
+        const kept = trash.filter(e => Date.parse(e.deletedAt) >= cutoff);
+
+        if (kept.length !== trash.length) {
+            this.set(this.KEYS.TRASH, kept);
+            this.pruneRevisions();
+        }
+
+        return trash.length - kept.length;
+    },
+
+    // ============================================
+    // SNAPSHOT OPERATIONS
+    // ============================================
+
+    /**
+     * Get all snapshots, newest first
+     * @returns {Array} Snapshots { id, reason, createdAt, data }
+     */
+    getSnapshots() {
+        return this.get(this.KEYS.SNAPSHOTS, []);
+    },
+
+    /**
+     * Store a snapshot of exportData(), dropping the oldest beyond the limit.
+     * Skipped when there is nothing to keep or nothing changed since the
+     * last snapshot, so an emptied dashboard cannot push good snapshots out.
+     * @param {string} reason - 'daily', 'import', 'migration' or 'repair'
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {boolean} False if the snapshot could not be stored (true when skipped)
+     */
+    takeSnapshot(reason, profileId = this.profile) {
+        const data = this.exportData(profileId);
+        const isEmpty = data.notes.length === 0 &&
+            data.quickAccess.length === 0 &&
+            Object.keys(data.dateNotes).length === 0;
+
+        if (isEmpty) {
+            return true;
+        }
+
+        const snapshots = this.getFromProfile(this.KEYS.SNAPSHOTS, profileId, []);
+        const contentOf = d => JSON.stringify({ ...d, exportDate: null });
+
+        if (snapshots.length > 0 && contentOf(snapshots[0].data) === contentOf(data)) {
+            return true;
+        }
+
+        snapshots.unshift({
+            id: Utils.generateId(),
+            reason,
+            createdAt: data.exportDate,
+            data
+        });
+
+        const limit = this.getFromProfile(this.KEYS.SNAPSHOT_LIMIT, profileId, this.DEFAULT_SNAPSHOT_LIMIT);
+        return this.setInProfile(this.KEYS.SNAPSHOTS, profileId, snapshots.slice(0, limit));
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {boolean} Success status
+     */
+    deleteSnapshot(snapshotId) {
+        return this.set(this.KEYS.SNAPSHOTS, this.getSnapshots().filter(s => s.id !== snapshotId));
+    },
+
+    /**
+     * Get number of snapshots to keep
+     * @returns {number} Snapshot limit
+     */
+    getSnapshotLimit() {
+        return this.get(this.KEYS.SNAPSHOT_LIMIT, this.DEFAULT_SNAPSHOT_LIMIT);
+    },
+
+    /**
+     * Set number of snapshots to keep, dropping the oldest beyond it
+     * @param {number} limit - Snapshot limit
+     * @returns {boolean} Success status
+     */
+    setSnapshotLimit(limit) {
+        this.trimSnapshots(limit);
+        return this.set(this.KEYS.SNAPSHOT_LIMIT, limit);
+    },
+
+    /**
+     * Keep only the newest snapshots
+     * @param {number} keep - Number of snapshots to keep
+     * @returns {boolean} Success status
+     */
+    trimSnapshots(keep) {
+        const snapshots = this.getSnapshots();
+        if (snapshots.length <= keep) {
+            return true;
+        }
+
+        return this.set(this.KEYS.SNAPSHOTS, snapshots.slice(0, keep));
+    },
+
+    // ============================================
+    // USAGE
+    // ============================================
+
+    /**
+     * Approximate size of each stored key (unencrypted JSON)
+     * @returns {Array} [{ key, bytes }], largest first
+     */
+    getUsage() {
+        const encoder = new TextEncoder();
+
+        return Object.values(this.KEYS)
+            .map(key => ({ key, value: this.get(key, null) }))
+            .filter(entry => entry.value !== null)
+            .map(entry => ({ key: entry.key, bytes: encoder.encode(JSON.stringify(entry.value)).length }))
+            .sort((a, b) => b.bytes - a.bytes);
+    },
+
+    /**
+     * Estimate space used and available on the active backend
+     * @returns {Promise<Object|null>} { used, total } in bytes, or null if unknown
+     */
+    async estimateQuota() {
+        if (this.adapter) {
+            return this.adapter.estimate ? this.adapter.estimate() : null;
+        }
+
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        // localStorage limits count characters of keys and values
+        let used = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const name = localStorage.key(i);
+            used += name.length + (localStorage.getItem(name) || '').length;
+        }
+
+        return { used, total: this.LOCAL_STORAGE_QUOTA };
+    },
+
+    // ============================================
+    // ENCRYPTION
+    // ============================================
+
+    /**
+     * Check if a key holds private records that are encrypted at rest
+     * @param {string} name - Backend key of any profile
+     * @returns {boolean} True if encrypted when a passphrase is set
+     */
+    isSensitiveKey(name) {
+        const parsed = this.parseKey(name);
+
+        return Boolean(parsed) && [
+            this.KEYS.NOTES,
+            this.KEYS.DATE_NOTES,
+            this.KEYS.QUICK_ACCESS,
+            this.KEYS.TRASH,
+            this.KEYS.SNAPSHOTS,
+            this.KEYS.REVISIONS,
+            this.KEYS.DRAFTS
+        ].includes(parsed.key);
+    },
+
+    /**
+     * Check if a passphrase has been set
+     * @returns {boolean} True if encryption is enabled
+     */
+    isEncrypted() {
+        return this.get(this.KEYS.ENCRYPTION, null) !== null;
+    },
+
+    /**
+     * Check if encrypted data is waiting for the passphrase
+     * @returns {boolean} True if locked
+     */
+    isLocked() {
+        return this.isEncrypted() && !this.encryptionKey;
+    },
+
+    /**
+     * Apply an async transform to every record of a stored value
+     * @param {string} name - Backend key
+     * @param {*} value - Record list, or { dateKey: [records] } for date notes
+     * @param {Function} transform - async (record) => record
+     * @returns {Promise<*>} Transformed value
+     */
+    async mapRecords(name, value, transform) {
+        const parsed = this.parseKey(name);
+
+        if (parsed && parsed.key === this.KEYS.DATE_NOTES && value && typeof value === 'object' && !Array.isArray(value)) {
+            const result = {};
+            for (const [dateKey, notes] of Object.entries(value)) {
+                result[dateKey] = Array.isArray(notes) ? await Promise.all(notes.map(transform)) : notes;
+            }
+            return result;
+        }
+
+        return Array.isArray(value) ? Promise.all(value.map(transform)) : value;
+    },
+
+    /**
+     * Encrypt a value for persisting if encryption is active.
+     * Records keep their id in the clear so backends can still store them individually.
+     * @param {string} key - Storage key
+     * @param {*} value - Plain value
+     * @returns {Promise<*>} Value to persist
+     */
+    async encodeValue(key, value) {
+        const cryptoKey = this.encryptionKey;
+        if (!cryptoKey || !this.isSensitiveKey(key)) {
+            return value;
+        }
+
+        const known = this.envelopes[key] || new Map();
+        const next = new Map();
+
+        const encoded = await this.mapRecords(key, value, async record => {
+            const json = JSON.stringify(record);
+            const stored = known.get(json) || {
+                id: record.id,
+                encrypted: await Encryption.encrypt(cryptoKey, record)
+            };
+
+            next.set(json, stored);
+            return stored;
+        });
+
+        this.envelopes[key] = next;
+        return encoded;
+    },
+
+    /**
+     * Decrypt a persisted value; unencrypted records pass through unchanged
+     * @param {string} key - Storage key
+     * @param {*} value - Persisted value
+     * @param {CryptoKey} cryptoKey - Key to use (defaults to the active key)
+     * @returns {Promise<*>} Plain value
+     */
+    async decodeValue(key, value, cryptoKey = this.encryptionKey, previousKey = null) {
+        if (!cryptoKey || !this.isSensitiveKey(key)) {
+            return value;
+        }
+
+        const known = new Map();
+
+        const decoded = await this.mapRecords(key, value, async record => {
+            if (!Encryption.isEncryptedRecord(record)) {
+                return record;
+            }
+
+            let plain;
+            try {
+                plain = await Encryption.decrypt(cryptoKey, record.encrypted);
+            } catch (error) {
+                if (!previousKey) throw error;
+
+                // Still under the old passphrase: left out of known so the next write re-encrypts it
+                return Encryption.decrypt(previousKey, record.encrypted);
+            }
+
+            known.set(JSON.stringify(plain), record);
+            return plain;
+        });
+
+        this.envelopes[key] = known;
+        return decoded;
+    },
+
+    /**
+     * Decrypt every key of a backend snapshot
+     * @param {Object} data - Persisted values keyed by storage key
+     * @param {CryptoKey} cryptoKey - Key to use (defaults to the active key)
+     * @param {CryptoKey|null} previousKey - Key of an interrupted passphrase change
+     * @returns {Promise<Object>} Plain values
+     */
+    async decodeAll(data, cryptoKey = this.encryptionKey, previousKey = null) {
+        const decoded = {};
+        for (const [key, value] of Object.entries(data)) {
+            decoded[key] = await this.decodeValue(key, value, cryptoKey, previousKey);
+        }
+        return decoded;
+    },
+
+    /**
+     * Unlock encrypted data and load it into memory
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} False if the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const config = this.get(this.KEYS.ENCRYPTION, null);
+        if (!config) {
+            return true;
+        }
+
+        const key = await Encryption.unlockConfig(config, passphrase);
+        if (!key) {
+            return false;
+        }
+
+        // A passphrase change was interrupted: some records still use the old key
+        const previousKey = config.previous ?
+            await Encryption.deriveKey(
+                await Encryption.decrypt(key, config.previous.passphrase),
+                config.previous.salt,
+                config.previous.iterations
+            ) :
+            null;
+
+        // Re-read so changes other tabs made while we were locked are included
+        const stored = this.adapter ? await this.adapter.readAll() : this.readLocalStorage();
+        this.cache = await this.decodeAll(stored, key, previousKey);
+        this.encryptionKey = key;
+
+        if (previousKey) {
+            try {
+                await this.reencryptAll(config);
+            } catch (error) {
+                console.error('Error finishing the passphrase change:', error);
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Check a passphrase against the stored configuration
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} True if correct
+     */
+    async checkPassphrase(passphrase) {
+        const config = this.get(this.KEYS.ENCRYPTION, null);
+        return Boolean(config && await Encryption.unlockConfig(config, passphrase));
+    },
+
+    /**
+     * Enable encryption or change the passphrase, re-encrypting all private data
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<void>} Rejects if the data could not be written
+     */
+    async setPassphrase(passphrase, currentPassphrase = null) {
+        const { config, key } = await Encryption.createConfig(passphrase);
+        const previous = this.encryptionKey ? this.get(this.KEYS.ENCRYPTION, null) : null;
+
+        if (!this.usesCache()) {
+            this.cache = this.readLocalStorage();
+        }
+
+        // Until every record is re-encrypted, the new configuration also
+        // carries the old passphrase (encrypted with the new key) so records
+        // still under the old key stay readable after a crash
+        const transition = previous && currentPassphrase !== null ? {
+            ...config,
+            previous: {
+                salt: previous.salt,
+                iterations: previous.iterations,
+                passphrase: await Encryption.encrypt(key, currentPassphrase)
+            }
+        } : config;
+
+        this.encryptionKey = key;
+        this.envelopes = {};
+        this.cache[this.KEYS.ENCRYPTION] = transition;
+
+        // Configuration first: records still unencrypted or under the old key remain readable after a crash
+        await this.persist(this.KEYS.ENCRYPTION, transition);
+        await this.reencryptAll(transition);
+        this.emitChange(this.KEYS.ENCRYPTION);
+    },
+
+    /**
+     * Write every private record with the active key, then store the
+     * configuration without what an interrupted passphrase change kept
+     * @param {Object} config - Stored configuration
+     * @returns {Promise<void>} Rejects if the data could not be written
+     */
+    async reencryptAll(config) {
+        await Promise.all(Object.keys(this.cache).filter(k => this.isSensitiveKey(k)).map(k => this.persist(k, this.cache[k])));
+
+        if (config.previous) {
+            const current = { ...config };
+            delete current.previous;
+            this.cache[this.KEYS.ENCRYPTION] = current;
+            await this.persist(this.KEYS.ENCRYPTION, current);
+        }
+    },
+
+    /**
+     * Turn encryption off, writing all private data back unencrypted
+     * @returns {Promise<void>} Rejects if the data could not be written
+     */
+    async removePassphrase() {
+        if (!this.encryptionKey) return;
+
+        this.encryptionKey = null;
+        this.envelopes = {};
+
+        const writes = Object.keys(this.cache).filter(k => this.isSensitiveKey(k)).map(k => this.persist(k, this.cache[k]));
+        delete this.cache[this.KEYS.ENCRYPTION];
+        writes.push(this.persist(this.KEYS.ENCRYPTION, undefined));
+
+        await Promise.all(writes);
+        this.emitChange(this.KEYS.ENCRYPTION);
+    },
+
+    /**
+     * Get auto-lock timeout
+     * @returns {number} Minutes of inactivity (0 = never)
+     */
+    getAutoLock() {
+        return this.get(this.KEYS.AUTO_LOCK, this.DEFAULT_AUTO_LOCK);
+    },
+
+    /**
+     * Set auto-lock timeout
+     * @param {number} minutes - Minutes of inactivity (0 = never)
+     * @returns {boolean} Success status
+     */
+    setAutoLock(minutes) {
+        return this.set(this.KEYS.AUTO_LOCK, minutes);
+    },
+
+    // ============================================
+    // PROFILES
+    // ============================================
+
+    /**
+     * Map a storage key to the backend key a profile keeps it under
+     * @param {string} key - Storage key (one of KEYS)
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {string} Backend key
+     */
+    profileKey(key, profileId = this.profile) {
+        if (profileId === this.DEFAULT_PROFILE || this.GLOBAL_KEYS.includes(key)) {
+            return key;
+        }
+
+        return `${key}${this.PROFILE_SEPARATOR}${profileId}`;
+    },
+
+    /**
+     * Split a backend key into storage key and profile
+     * @param {string} name - Backend key
+     * @returns {Object|null} { key, profile } (profile is null for shared keys),
+     *                        or null if the key is not dashboard data
+     */
+    parseKey(name) {
+        if (typeof name !== 'string') return null;
+
+        const [key, profileId, ...rest] = name.split(this.PROFILE_SEPARATOR);
+        if (rest.length > 0 || !Object.values(this.KEYS).includes(key)) {
+            return null;
+        }
+
+        const isGlobal = this.GLOBAL_KEYS.includes(key);
+
+        if (profileId === undefined) {
+            return { key, profile: isGlobal ? null : this.DEFAULT_PROFILE };
+        }
+
+        // Profile IDs come from Utils.generateId(); anything else (e.g. sync chunk keys) is not ours
+        if (isGlobal || !/^[a-z0-9-]+$/.test(profileId)) {
+            return null;
+        }
+
+        return { key, profile: profileId };
+    },
+
+    /**
+     * Check if a backend key belongs to the active profile or is shared
+     * @param {string} name - Backend key
+     * @returns {boolean} True if visible in the active profile
+     */
+    isActiveKey(name) {
+        const parsed = this.parseKey(name);
+        return Boolean(parsed) && (parsed.profile === null || parsed.profile === this.profile);
+    },
+
+    /**
+     * Storage keys that each profile keeps separately
+     * @returns {Array<string>} Storage keys
+     */
+    getProfileKeys() {
+        return Object.values(this.KEYS).filter(key => !this.GLOBAL_KEYS.includes(key));
+    },
+
+    /**
+     * Get the profile this device used last
+     * @returns {string} Profile ID
+     */
+    getProfilePreference() {
+        try {
+            return localStorage.getItem(this.PROFILE_KEY) || this.DEFAULT_PROFILE;
+        } catch {
+            return this.DEFAULT_PROFILE;
+        }
+    },
+
+    /**
+     * Fall back to the default profile if the active one no longer exists
+     */
+    checkActiveProfile() {
+        if (!this.getProfiles().some(p => p.id === this.profile)) {
+            this.profile = this.DEFAULT_PROFILE;
+        }
+    },
+
+    /**
+     * Get all profiles (the default profile always exists)
+     * @returns {Array} [{ id, name, createdAt, updatedAt }]
+     */
+    getProfiles() {
+        const profiles = this.get(this.KEYS.PROFILES, []);
+
+        if (!profiles.some(p => p.id === this.DEFAULT_PROFILE)) {
+            profiles.unshift({ id: this.DEFAULT_PROFILE, name: this.DEFAULT_PROFILE_NAME, createdAt: null });
+        }
+
+        return profiles;
+    },
+
+    /**
+     * Get the active profile
+     * @returns {Object} Profile
+     */
+    getActiveProfile() {
+        return this.getProfiles().find(p => p.id === this.profile);
+    },
+
+    /**
+     * Create an empty profile
+     * @param {string} name - Profile name
+     * @param {string} profileId - Profile ID (to take over data left without a profile)
+     * @returns {Object|null} New profile, or null on failure
+     */
+    createProfile(name, profileId = Utils.generateId()) {
+        const now = new Date().toISOString();
+        const profile = { id: profileId, name, createdAt: now, updatedAt: now };
+
+        const profiles = this.getProfiles();
+        profiles.push(profile);
+
+        return this.set(this.KEYS.PROFILES, profiles) ? profile : null;
+    },
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New name
+     * @returns {boolean} Success status
+     */
+    renameProfile(profileId, name) {
+        const profiles = this.getProfiles();
+        const profile = profiles.find(p => p.id === profileId);
+
+        if (!profile) {
+            return false;
+        }
+
+        profile.name = name;
+        profile.updatedAt = new Date().toISOString();
+        return this.set(this.KEYS.PROFILES, profiles);
+    },
+
+    /**
+     * Create a profile holding a copy of another profile's data
+     * @param {string} profileId - Profile to copy
+     * @param {string} name - Name of the copy
+     * @returns {Object|null} New profile, or null on failure
+     */
+    duplicateProfile(profileId, name) {
+        const profile = this.createProfile(name);
+        if (!profile) {
+            return null;
+        }
+
+        this.getProfileKeys().forEach(key => {
+            const source = this.profileKey(key, profileId);
+            if (!(source in this.cache)) return;
+
+            const target = this.profileKey(key, profile.id);
+            this.cache[target] = Utils.deepClone(this.cache[source]);
+            this.persist(target, this.cache[target]);
+        });
+
+        return profile;
+    },
+
+    /**
+     * Permanently delete a profile and its data (not the default or active profile)
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    deleteProfile(profileId) {
+        if (profileId === this.DEFAULT_PROFILE || profileId === this.profile) {
+            return false;
+        }
+
+        this.removeProfileData(profileId);
+        return this.set(this.KEYS.PROFILES, this.getProfiles().filter(p => p.id !== profileId));
+    },
+
+    /**
+     * Remove every stored key of a profile
+     * @param {string} profileId - Profile ID
+     */
+    removeProfileData(profileId) {
+        this.getProfileKeys().forEach(key => {
+            const name = this.profileKey(key, profileId);
+            if (!(name in this.cache)) return;
+
+            delete this.cache[name];
+            this.persist(name, undefined);
+        });
+    },
+
+    /**
+     * Find profiles that still have stored data but are missing from
+     * the profile list (e.g. the list was overwritten by another device)
+     * @returns {Array<string>} Profile IDs
+     */
+    getOrphanedProfiles() {
+        const known = new Set(this.getProfiles().map(p => p.id));
+        const orphaned = new Set();
+
+        Object.keys(this.cache).forEach(name => {
+            const parsed = this.parseKey(name);
+            if (parsed && parsed.profile && !known.has(parsed.profile)) {
+                orphaned.add(parsed.profile);
+            }
+        });
+
+        return [...orphaned];
+    },
+
+    /**
+     * Make another profile active
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    switchProfile(profileId) {
+        if (profileId === this.profile || !this.getProfiles().some(p => p.id === profileId)) {
+            return false;
+        }
+
+        this.profile = profileId;
+
+        try {
+            localStorage.setItem(this.PROFILE_KEY, profileId);
+        } catch {
+            // Without localStorage the choice lasts for this session only
+        }
+
+        this.getProfileKeys().forEach(key => this.emitChange(key));
+        return true;
+    },
+
+    /**
+     * Read a key of any profile
+     * @param {string} key - Storage key
+     * @param {string} profileId - Profile ID
+     * @param {*} defaultValue - Default value if not found
+     * @returns {*} Stored value or default
+     */
+    getFromProfile(key, profileId, defaultValue = null) {
+        if (profileId === this.profile) {
+            return this.get(key, defaultValue);
+        }
+
+        const name = this.profileKey(key, profileId);
+        return name in this.cache ? Utils.deepClone(this.cache[name]) : defaultValue;
+    },
+
+    /**
+     * Write a key of any profile
+     * @param {string} key - Storage key
+     * @param {string} profileId - Profile ID
+     * @param {*} value - Value to store
+     * @returns {boolean} Success status
+     */
+    setInProfile(key, profileId, value) {
+        if (profileId === this.profile) {
+            return this.set(key, value);
+        }
+
+        if (!this.usesCache()) {
+            return false;
+        }
+
+        const name = this.profileKey(key, profileId);
+        this.cache[name] = Utils.deepClone(value);
+        this.persist(name, this.cache[name]);
+        return true;
+    },
+
+    /**
+     * Remove a key of any profile
+     * @param {string} key - Storage key
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} Success status
+     */
+    removeFromProfile(key, profileId) {
+        if (profileId === this.profile) {
+            return this.remove(key);
+        }
+
+        if (!this.usesCache()) {
+            return false;
+        }
+
+        const name = this.profileKey(key, profileId);
+        delete this.cache[name];
+        this.persist(name, undefined);
+        return true;
+    },
 
     // ============================================
     // SETTINGS OPERATIONS
@@ -286,6 +1840,40 @@ const Storage = {
         return this.set(this.KEYS.CALENDAR_TYPE, type);
     },
 
+    /**
+     * Get notes list sort order
+     * @returns {string} Sort mode (see NoteOrder.SORT_MODES)
+     */
+    getNotesSort() {
+        return this.get(this.KEYS.NOTES_SORT, 'manual');
+    },
+
+    /**
+     * Set notes list sort order
+     * @param {string} mode - Sort mode
+     * @returns {boolean} Success status
+     */
+    setNotesSort(mode) {
+        return this.set(this.KEYS.NOTES_SORT, mode);
+    },
+
+    /**
+     * Get maximum note length
+     * @returns {number} Characters, or 0 for no limit
+     */
+    getNoteLengthLimit() {
+        return this.get(this.KEYS.NOTE_LENGTH_LIMIT, this.DEFAULT_NOTE_LENGTH_LIMIT);
+    },
+
+    /**
+     * Set maximum note length
+     * @param {number} limit - Characters, or 0 for no limit
+     * @returns {boolean} Success status
+     */
+    setNoteLengthLimit(limit) {
+        return this.set(this.KEYS.NOTE_LENGTH_LIMIT, limit);
+    },
+
     /**
      * Get search engine preference
      * @returns {string} Search engine name
@@ -304,34 +1892,279 @@ const Storage = {
     },
 
     /**
-     * Export all data
+     * Export all data of a profile
+     * @param {string} profileId - Profile ID (defaults to the active profile)
      * @returns {Object} All stored data
      */
-    exportData() {
+    exportData(profileId = this.profile) {
+        const read = (key, defaultValue) => this.getFromProfile(key, profileId, defaultValue);
+
         return {
-            notes: this.getNotes(),
-            dateNotes: this.get(this.KEYS.DATE_NOTES, {}),
-            quickAccess: this.getQuickAccess(),
-            calendarType: this.getCalendarType(),
-            searchEngine: this.getSearchEngine(),
+            notes: read(this.KEYS.NOTES, []),
+            dateNotes: read(this.KEYS.DATE_NOTES, {}),
+            quickAccess: read(this.KEYS.QUICK_ACCESS, []),
+            calendarType: read(this.KEYS.CALENDAR_TYPE, 'gregorian'),
+            searchEngine: read(this.KEYS.SEARCH_ENGINE, 'google'),
+            schemaVersion: read(this.KEYS.SCHEMA_VERSION, 0),
             exportDate: new Date().toISOString()
         };
     },
 
     /**
-     * Import data
+     * Export all data of a profile, encrypted with the current passphrase when one is set
+     * @param {string} profileId - Profile ID (defaults to the active profile)
+     * @returns {Promise<Object>} exportData() result or an encrypted envelope
+     */
+    async exportEncryptedData(profileId = this.profile) {
+        const data = this.exportData(profileId);
+        const config = this.get(this.KEYS.ENCRYPTION, null);
+
+        if (!config || !this.encryptionKey) {
+            return data;
+        }
+
+        return {
+            format: Encryption.EXPORT_FORMAT,
+            salt: config.salt,
+            iterations: config.iterations,
+            exportDate: data.exportDate,
+            encrypted: await Encryption.encrypt(this.encryptionKey, data)
+        };
+    },
+
+    /**
+     * Decrypt an encrypted export
+     * @param {Object} data - Encrypted envelope from exportEncryptedData()
+     * @param {string|null} passphrase - Passphrase, or null to try the current key
+     * @returns {Promise<Object|null>} Export data, or null if it cannot be decrypted
+     */
+    async decryptExport(data, passphrase = null) {
+        const config = this.get(this.KEYS.ENCRYPTION, null);
+
+        if (!Encryption.isValidIterations(data.iterations)) {
+            return null;
+        }
+
+        // A malformed salt makes key derivation throw, like a wrong passphrase makes decrypt throw
+        try {
+            let key = null;
+
+            if (passphrase !== null) {
+                key = await Encryption.deriveKey(passphrase, data.salt, data.iterations);
+            } else if (this.encryptionKey && config && config.salt === data.salt && config.iterations === data.iterations) {
+                key = this.encryptionKey;
+            }
+
+            return key ? await Encryption.decrypt(key, data.encrypted) : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Validate the shape of backup data before importing it.
+     * Records are checked like the integrity check does: only records it
+     * cannot repair are errors, the rest are fixed by repairImport.
+     * @param {Object} data - Data to validate
+     * @returns {Array<string>} Validation errors (empty if valid)
+     */
+    validateImport(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['فایل پشتیبان معتبر نیست'];
+        }
+
+        const errors = [];
+        const isNote = n => Integrity.getNoteProblems(n) !== null;
+        const isLink = item => Integrity.getLinkProblems(item) !== null;
+
+        if (!['notes', 'dateNotes', 'quickAccess', 'calendarType', 'searchEngine'].some(k => k in data)) {
+            errors.push('هیچ داده‌ای در فایل پشتیبان یافت نشد');
+        }
+
+        if ('notes' in data) {
+            if (!Array.isArray(data.notes)) {
+                errors.push('بخش یادداشت‌ها باید یک لیست باشد');
+            } else {
+                data.notes.forEach((note, index) => {
+                    if (!isNote(note)) errors.push(`یادداشت شماره ${index + 1} نامعتبر است`);
+                });
+            }
+        }
+
+        if ('dateNotes' in data) {
+            if (!data.dateNotes || typeof data.dateNotes !== 'object' || Array.isArray(data.dateNotes)) {
+                errors.push('بخش یادداشت‌های تاریخ‌دار نامعتبر است');
+            } else {
+                Object.entries(data.dateNotes).forEach(([dateKey, notes]) => {
+                    if (!Utils.normalizeDateKey(dateKey)) {
+                        errors.push(`تاریخ ${dateKey} نامعتبر است`);
+                    } else if (!Array.isArray(notes) || !notes.every(isNote)) {
+                        errors.push(`یادداشت‌های تاریخ ${dateKey} نامعتبر هستند`);
+                    }
+                });
+            }
+        }
+
+        if ('quickAccess' in data) {
+            if (!Array.isArray(data.quickAccess)) {
+                errors.push('بخش دسترسی سریع باید یک لیست باشد');
+            } else {
+                data.quickAccess.forEach((item, index) => {
+                    if (!isLink(item)) {
+                        errors.push(`دسترسی سریع شماره ${index + 1} نامعتبر است`);
+                    }
+                });
+            }
+        }
+
+        if ('calendarType' in data && !['gregorian', 'jalali'].includes(data.calendarType)) {
+            errors.push('نوع تقویم نامعتبر است');
+        }
+
+        if ('searchEngine' in data && typeof data.searchEngine !== 'string') {
+            errors.push('موتور جستجو نامعتبر است');
+        }
+
+        if ('schemaVersion' in data) {
+            const latest = typeof Migrations !== 'undefined' ? Migrations.latestVersion : 0;
+            if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 0) {
+                errors.push('نسخه فایل پشتیبان نامعتبر است');
+            } else if (data.schemaVersion > latest) {
+                errors.push('فایل پشتیبان با نسخه جدیدتری از برنامه ساخته شده است');
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * Repair the records of validated backup data: fields the integrity
+     * check flags are filled in, and IDs that are unsafe to put in markup
+     * are replaced with new ones
+     * @param {Object} data - Validated backup data (changed in place)
+     */
+    repairImport(data) {
+        const repair = (record, kind) => {
+            const problems = kind === 'link' ? Integrity.getLinkProblems(record) : Integrity.getNoteProblems(record);
+            if (problems.length > 0) {
+                if (kind === 'link') {
+                    Integrity.fixLink(record);
+                } else {
+                    Integrity.fixNote(record);
+                }
+            }
+
+            if (!Utils.isSafeId(record.id)) {
+                record.id = Utils.generateId();
+            }
+        };
+
+        (data.notes || []).forEach(note => repair(note, 'note'));
+        Object.values(data.dateNotes || {}).forEach(notes => notes.forEach(note => repair(note, 'note')));
+        (data.quickAccess || []).forEach(item => repair(item, 'link'));
+    },
+
+    /**
+     * Get the last-modified timestamp of a record
+     * @param {Object} record - Record with updatedAt/createdAt
+     * @returns {number} Milliseconds since epoch (0 if unknown)
+     */
+    getRecordTime(record) {
+        return Date.parse(record.updatedAt || record.createdAt) || 0;
+    },
+
+    /**
+     * Merge two record lists by id, newest updatedAt wins
+     * @param {Array} current - Stored records
+     * @param {Array} incoming - Imported records
+     * @returns {Array} Merged records
+     */
+    mergeRecords(current, incoming) {
+        const merged = current.slice();
+
+        incoming.forEach(record => {
+            const index = merged.findIndex(r => r.id === record.id);
+
+            if (index < 0) {
+                merged.push(record);
+            } else if (this.getRecordTime(record) > this.getRecordTime(merged[index])) {
+                merged[index] = record;
+            }
+        });
+
+        return merged;
+    },
+
+    /**
+     * Build the data set an import would produce, without writing it
+     * @param {Object} data - Validated backup data
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {Object} Resulting data in exportData() shape
+     */
+    buildImport(data, mode = 'replace') {
+        const current = this.exportData();
+        let incoming = Utils.deepClone(data);
+        this.repairImport(incoming);
+
+        // Bring older backups up to the current schema
+        if (typeof Migrations !== 'undefined' && 'dateNotes' in incoming) {
+            const result = Migrations.apply(
+                { [this.KEYS.DATE_NOTES]: incoming.dateNotes },
+                incoming.schemaVersion || 0
+            );
+
+            if (result.error) {
+                throw result.error;
+            }
+
+            incoming.dateNotes = result.data[this.KEYS.DATE_NOTES];
+        }
+
+        const result = {
+            calendarType: incoming.calendarType || current.calendarType,
+            searchEngine: incoming.searchEngine || current.searchEngine
+        };
+
+        if (mode === 'merge') {
+            result.notes = this.mergeRecords(current.notes, incoming.notes || []);
+            result.quickAccess = this.mergeRecords(current.quickAccess, incoming.quickAccess || []);
+            result.dateNotes = { ...current.dateNotes };
+
+            Object.entries(incoming.dateNotes || {}).forEach(([dateKey, notes]) => {
+                result.dateNotes[dateKey] = this.mergeRecords(result.dateNotes[dateKey] || [], notes);
+            });
+        } else {
+            // Sections missing from the file (e.g. a notes-only Markdown archive) stay as they are
+            result.notes = incoming.notes || current.notes;
+            result.quickAccess = incoming.quickAccess || current.quickAccess;
+            result.dateNotes = incoming.dateNotes || current.dateNotes;
+        }
+
+        return result;
+    },
+
+    /**
+     * Import data. Callers store a snapshot first (takeSnapshot('import'))
+     * so a mistaken import can be restored.
      * @param {Object} data - Data to import
+     * @param {string} mode - 'replace' (overwrite everything) or 'merge' (by id, newest wins)
      * @returns {boolean} Success status
      */
-    importData(data) {
+    importData(data, mode = 'replace') {
+        const errors = this.validateImport(data);
+        if (errors.length > 0) {
+            console.error('Invalid import data:', errors);
+            return false;
+        }
+
         try {
-            if (data.notes) this.set(this.KEYS.NOTES, data.notes);
-            if (data.dateNotes) this.set(this.KEYS.DATE_NOTES, data.dateNotes);
-            if (data.quickAccess) this.set(this.KEYS.QUICK_ACCESS, data.quickAccess);
-            if (data.calendarType) this.setCalendarType(data.calendarType);
-            if (data.searchEngine) this.setSearchEngine(data.searchEngine);
-            
-            return true;
+            const result = this.buildImport(data, mode);
+
+            return this.set(this.KEYS.NOTES, result.notes) &&
+                this.set(this.KEYS.DATE_NOTES, result.dateNotes) &&
+                this.set(this.KEYS.QUICK_ACCESS, result.quickAccess) &&
+                this.setCalendarType(result.calendarType) &&
+                this.setSearchEngine(result.searchEngine);
         } catch (error) {
             console.error('Error importing data:', error);
             return false;
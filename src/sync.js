@@ -0,0 +1,128 @@
+/**
+ * Sync Module
+ * Keeps every open dashboard tab in step with the others.
+ *
+ * - localStorage backend: other tabs receive native `storage` events.
+ * - IndexedDB backend: once a change is persisted, its key is announced
+ *   over a BroadcastChannel and the receiving tab reads the new value from
+ *   the backend. Values are never posted, so nothing private leaves the tab
+ *   unencrypted.
+ */
+const Sync = {
+    CHANNEL_NAME: 'dastyar-sync',
+    REFRESH_DELAY: 100,
+
+    channel: null,
+    tabId: null,
+
+    /**
+     * Initialize Sync module
+     */
+    init() {
+        this.tabId = Utils.generateId();
+        this.refresh = Utils.debounce(() => this.refreshViews(), this.REFRESH_DELAY);
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+            this.channel.addEventListener('message', (e) => this.handleMessage(e.data));
+        }
+
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        // Another tab wrote to localStorage
+        window.addEventListener('storage', (e) => {
+            if (!Storage.adapter && this.isTrackedKey(e.key)) {
+                Storage.applyRemoteChange(e.key);
+            }
+        });
+
+        // A remote tab changed something
+        window.addEventListener('storageChanged', (e) => {
+            const { key, remote } = e.detail;
+
+            if (remote) {
+                this.checkEditingConflict(key);
+                this.refresh();
+            }
+        });
+
+        // A change of this tab reached the backend
+        window.addEventListener('storagePersisted', (e) => this.broadcast(e.detail.key));
+    },
+
+    /**
+     * Check if a key belongs to the dashboard data
+     * @param {string} key - Storage key
+     * @returns {boolean} True if tracked
+     */
+    isTrackedKey(key) {
+        return Storage.parseKey(key) !== null;
+    },
+
+    /**
+     * Send a persisted local change to the other tabs
+     * @param {string} name - Backend key (other tabs may have another profile active)
+     */
+    broadcast(name) {
+        // localStorage already notifies other tabs natively
+        if (!this.channel || !Storage.adapter) return;
+
+        try {
+            this.channel.postMessage({ source: this.tabId, key: name });
+        } catch (error) {
+            console.error('Error broadcasting storage change:', error);
+        }
+    },
+
+    /**
+     * Handle a change message from another tab
+     * @param {Object} message - { source, key }
+     */
+    handleMessage(message) {
+        if (!message || message.source === this.tabId || !this.isTrackedKey(message.key)) return;
+
+        Storage.reloadRemoteChange(message.key);
+    },
+
+    /**
+     * Warn when the note open in an editor was changed by another tab
+     * @param {string} key - Changed storage key
+     */
+    checkEditingConflict(key) {
+        const app = window.app;
+        if (!app || !app.elements.noteModal?.classList.contains('active')) return;
+
+        const watched = app.elements.noteForm?.dataset.occurrence ? Storage.KEYS.DATE_NOTES : Storage.KEYS.NOTES;
+        if (key === watched && app.hasEditingConflict()) {
+            Utils.showToast('این یادداشت در زبانه دیگری تغییر کرد', 'info');
+        }
+    },
+
+    /**
+     * Re-render every view from the latest stored data
+     */
+    refreshViews() {
+        if (window.app) {
+            window.app.refresh();
+        } else {
+            if (typeof Notes !== 'undefined') Notes.render();
+            if (typeof QuickAccess !== 'undefined') QuickAccess.render();
+            window.dispatchEvent(new CustomEvent('notesUpdated'));
+        }
+
+        if (typeof Search !== 'undefined') {
+            Search.currentEngine = Storage.getSearchEngine();
+            Search.updateActiveEngine();
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sync;
+}
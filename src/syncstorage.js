@@ -0,0 +1,485 @@
+/**
+ * Browser Sync Storage Adapter
+ * Persists data in chrome.storage.sync / browser.storage.sync so it follows
+ * the browser profile across machines.
+ *
+ * Sync storage limits every item to 8KB, so each value is serialized to JSON
+ * and split into chunks stored under `<key>__<n>`, with a small manifest
+ * under `<key>` recording the chunk count. Outside the extension runtime a
+ * localStorage-backed stub with the same limits is used instead.
+ *
+ * Snapshots, note revision history and unsaved note drafts are far too
+ * large (or change too often) for sync quotas and only make sense on this
+ * device, so they are kept unchunked in the local storage area instead.
+ */
+
+const SyncStorage = {
+    // chrome.storage.sync limits
+    QUOTA_BYTES: 102400,
+    QUOTA_BYTES_PER_ITEM: 8192,
+    MAX_ITEMS: 512,
+
+    CHUNK_SEPARATOR: '__',
+    STUB_PREFIX: 'assistant_sync_stub:',
+    LOCAL_STUB_PREFIX: 'assistant_sync_local:',
+
+    area: null,
+    localArea: null,
+    usesPromises: false,
+
+    // Last persisted JSON per storage key
+    snapshot: {},
+
+    /**
+     * Sync storage is always available: the local stub stands in for it
+     * @returns {boolean} True
+     */
+    isAvailable() {
+        return true;
+    },
+
+    /**
+     * Check if running inside an extension with sync storage
+     * @returns {boolean} True if the real sync area is available
+     */
+    isNative() {
+        return Boolean(
+            (typeof browser !== 'undefined' && browser.storage && browser.storage.sync) ||
+            (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync)
+        );
+    },
+
+    /**
+     * Resolve the storage area to use
+     * @returns {Object} Storage area with get/set/remove
+     */
+    getArea() {
+        if (this.area) {
+            return this.area;
+        }
+
+        if (typeof browser !== 'undefined' && browser.storage && browser.storage.sync) {
+            this.area = browser.storage.sync;
+            this.usesPromises = true;
+        } else if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            this.area = chrome.storage.sync;
+            this.usesPromises = false;
+        } else {
+            this.area = this.createLocalStub();
+            this.usesPromises = true;
+        }
+
+        return this.area;
+    },
+
+    /**
+     * Resolve the device-only storage area
+     * @returns {Object} Storage area with get/set/remove
+     */
+    getLocalArea() {
+        if (this.localArea) {
+            return this.localArea;
+        }
+
+        this.getArea();
+
+        if (typeof browser !== 'undefined' && browser.storage && browser.storage.sync) {
+            this.localArea = browser.storage.local;
+        } else if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
+            this.localArea = chrome.storage.local;
+        } else {
+            this.localArea = this.createLocalStub(this.LOCAL_STUB_PREFIX, false);
+        }
+
+        return this.localArea;
+    },
+
+    /**
+     * Check if a key stays on this device instead of syncing
+     * @param {string} key - Storage key
+     * @returns {boolean} True if device-only
+     */
+    isLocalKey(key) {
+        const parsed = Storage.parseKey(key);
+        return Boolean(parsed) && [Storage.KEYS.SNAPSHOTS, Storage.KEYS.REVISIONS, Storage.KEYS.DRAFTS].includes(parsed.key);
+    },
+
+    /**
+     * Call a storage area method as a Promise
+     * @param {string} method - get, set or remove
+     * @param {*} arg - Method argument
+     * @param {Object} area - Storage area (defaults to the sync area)
+     * @returns {Promise<*>} Result
+     */
+    call(method, arg, area = this.getArea()) {
+        if (this.usesPromises) {
+            return Promise.resolve(area[method](arg)).catch(error => {
+                throw this.normalizeError(error);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            area[method](arg, (result) => {
+                const error = chrome.runtime && chrome.runtime.lastError;
+                if (error) {
+                    reject(this.normalizeError(error));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    },
+
+    /**
+     * Give quota failures the same name as localStorage quota errors
+     * @param {Error|Object} error - Raw error
+     * @returns {Error} Normalized error
+     */
+    normalizeError(error) {
+        const message = (error && error.message) || String(error);
+        const normalized = new Error(message);
+
+        if (/quota|MAX_ITEMS/i.test(message)) {
+            normalized.name = 'QuotaExceededError';
+        }
+
+        return normalized;
+    },
+
+    /**
+     * UTF-8 bytes a character occupies once JSON-stringified
+     * @param {string} char - Single code point
+     * @returns {number} Byte cost
+     */
+    byteCost(char) {
+        const code = char.codePointAt(0);
+
+        if (code < 0x80) return JSON.stringify(char).length - 2;
+        if (code < 0x800) return 2;
+        if (code < 0x10000) return 3;
+        return 4;
+    },
+
+    /**
+     * Size of an item as measured by sync storage
+     * @param {string} key - Item key
+     * @param {*} value - Item value
+     * @returns {number} Bytes
+     */
+    itemSize(key, value) {
+        return key.length + new TextEncoder().encode(JSON.stringify(value)).length;
+    },
+
+    /**
+     * Split a JSON string into chunks that each fit in one sync item
+     * @param {string} key - Storage key
+     * @param {string} json - Serialized value
+     * @returns {Array<string>} Chunks
+     */
+    splitIntoChunks(key, json) {
+        // Room for the chunk key suffix and the quotes around the string
+        const budget = this.QUOTA_BYTES_PER_ITEM - (key.length + this.CHUNK_SEPARATOR.length + 4) - 2;
+        const chunks = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of json) {
+            const cost = this.byteCost(char);
+
+            if (size + cost > budget) {
+                chunks.push(current);
+                current = '';
+                size = 0;
+            }
+
+            current += char;
+            size += cost;
+        }
+
+        chunks.push(current);
+        return chunks;
+    },
+
+    /**
+     * Build a chunk key
+     * @param {string} key - Storage key
+     * @param {number} index - Chunk index
+     * @returns {string} Chunk key
+     */
+    chunkKey(key, index) {
+        return `${key}${this.CHUNK_SEPARATOR}${index}`;
+    },
+
+    /**
+     * Reassemble a value from raw sync items
+     * @param {string} key - Storage key
+     * @param {Object} items - Raw items
+     * @returns {*} Value or undefined if missing or incomplete
+     */
+    assemble(key, items) {
+        const manifest = items[key];
+        if (!manifest || !Number.isInteger(manifest.chunks)) {
+            return undefined;
+        }
+
+        let json = '';
+        for (let i = 0; i < manifest.chunks; i++) {
+            const chunk = items[this.chunkKey(key, i)];
+            if (typeof chunk !== 'string') {
+                // Another device is midway through writing this key
+                return undefined;
+            }
+            json += chunk;
+        }
+
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            console.error(`Corrupt sync data for ${key}:`, error);
+            return undefined;
+        }
+    },
+
+    /**
+     * Read every stored key of every profile
+     * @returns {Promise<Object>} Values keyed by backend key
+     */
+    async readAll() {
+        const items = await this.call('get', null);
+        const localItems = await this.call('get', null, this.getLocalArea());
+        const data = {};
+
+        this.snapshot = {};
+
+        Object.keys(localItems).filter(key => this.isLocalKey(key)).forEach(key => {
+            data[key] = localItems[key];
+            this.snapshot[key] = { json: JSON.stringify(localItems[key]), chunks: 0 };
+        });
+
+        // Manifests sit under the backend key; chunk keys are not backend keys
+        Object.keys(items).forEach(key => {
+            if (!Storage.parseKey(key) || this.isLocalKey(key)) return;
+
+            const value = this.assemble(key, items);
+            if (value !== undefined) {
+                data[key] = value;
+                this.snapshot[key] = { json: JSON.stringify(value), chunks: items[key].chunks };
+            }
+        });
+
+        return data;
+    },
+
+    /**
+     * Read one stored value
+     * @param {string} key - Backend key
+     * @returns {Promise<*>} Value, or undefined if missing or incomplete
+     */
+    async read(key) {
+        if (this.isLocalKey(key)) {
+            const items = await this.call('get', key, this.getLocalArea());
+            return items[key];
+        }
+
+        return this.assemble(key, await this.call('get', null));
+    },
+
+    /**
+     * Persist a value as a manifest plus chunks
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {Promise<void>}
+     */
+    async write(key, value) {
+        const json = JSON.stringify(value);
+        const previous = this.snapshot[key];
+
+        if (previous && previous.json === json) {
+            return;
+        }
+
+        if (this.isLocalKey(key)) {
+            await this.call('set', { [key]: value }, this.getLocalArea());
+            this.snapshot[key] = { json, chunks: 0 };
+            return;
+        }
+
+        const chunks = this.splitIntoChunks(key, json);
+        const items = { [key]: { chunks: chunks.length, updatedAt: new Date().toISOString() } };
+        chunks.forEach((chunk, index) => {
+            items[this.chunkKey(key, index)] = chunk;
+        });
+
+        await this.call('set', items);
+
+        // Drop chunks left over from a longer previous value
+        if (previous && previous.chunks > chunks.length) {
+            const stale = [];
+            for (let i = chunks.length; i < previous.chunks; i++) {
+                stale.push(this.chunkKey(key, i));
+            }
+            await this.call('remove', stale);
+        }
+
+        this.snapshot[key] = { json, chunks: chunks.length };
+    },
+
+    /**
+     * Remove a value and all its chunks
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async remove(key) {
+        if (this.isLocalKey(key)) {
+            delete this.snapshot[key];
+            await this.call('remove', key, this.getLocalArea());
+            return;
+        }
+
+        const items = await this.call('get', key);
+        const manifest = items[key];
+        const keys = [key];
+
+        if (manifest && Number.isInteger(manifest.chunks)) {
+            for (let i = 0; i < manifest.chunks; i++) {
+                keys.push(this.chunkKey(key, i));
+            }
+        }
+
+        delete this.snapshot[key];
+        await this.call('remove', keys);
+    },
+
+    /**
+     * Space used and available in the sync area
+     * @returns {Promise<Object>} { used, total } in bytes
+     */
+    async estimate() {
+        const items = await this.call('get', null);
+        const used = Object.entries(items).reduce((sum, [key, value]) => sum + this.itemSize(key, value), 0);
+
+        return { used, total: this.QUOTA_BYTES };
+    },
+
+    /**
+     * Record a value as already persisted (written by another tab or device)
+     * @param {string} key - Storage key
+     * @param {*} value - Persisted value (undefined if removed)
+     */
+    markPersisted(key, value) {
+        if (value === undefined) {
+            delete this.snapshot[key];
+        } else {
+            const json = JSON.stringify(value);
+            this.snapshot[key] = { json, chunks: this.splitIntoChunks(key, json).length };
+        }
+    },
+
+    /**
+     * Listen for changes pulled from other devices
+     * @param {Function} callback - Called with (key, value)
+     */
+    onRemoteChange(callback) {
+        if (!this.isNative()) return;
+
+        const events = typeof browser !== 'undefined' && browser.storage ?
+            browser.storage.onChanged :
+            chrome.storage.onChanged;
+
+        events.addListener(async (changes, areaName) => {
+            if (areaName !== 'sync') return;
+
+            const keys = new Set(Object.keys(changes).map(k => k.split(this.CHUNK_SEPARATOR)[0]));
+            const items = await this.call('get', null);
+
+            keys.forEach(key => {
+                if (!Storage.parseKey(key)) return;
+
+                const value = this.assemble(key, items);
+                const json = value === undefined ? undefined : JSON.stringify(value);
+                const known = this.snapshot[key] ? this.snapshot[key].json : undefined;
+
+                // Ignore echoes of our own writes and half-written values
+                if (json !== known && (value !== undefined || !(key in items))) {
+                    callback(key, value);
+                }
+            });
+        });
+    },
+
+    /**
+     * localStorage-backed stand-in for chrome.storage.sync with the same
+     * per-item, total size and item count limits
+     * @param {string} prefix - localStorage key prefix
+     * @param {boolean} enforceQuota - False to stand in for the unlimited local area
+     * @returns {Object} Storage area with get/set/remove
+     */
+    createLocalStub(prefix = this.STUB_PREFIX, enforceQuota = true) {
+        const limits = this;
+
+        const readAll = () => {
+            const items = {};
+            for (let i = 0; i < localStorage.length; i++) {
+                const name = localStorage.key(i);
+                if (name && name.startsWith(prefix)) {
+                    items[name.slice(prefix.length)] = JSON.parse(localStorage.getItem(name));
+                }
+            }
+            return items;
+        };
+
+        return {
+            async get(keys) {
+                const items = readAll();
+                if (keys === null || keys === undefined) {
+                    return items;
+                }
+
+                const result = {};
+                [].concat(keys).forEach(key => {
+                    if (key in items) result[key] = items[key];
+                });
+                return result;
+            },
+
+            async set(values) {
+                const items = { ...readAll(), ...values };
+
+                if (!enforceQuota) {
+                    Object.entries(values).forEach(([key, value]) => {
+                        localStorage.setItem(prefix + key, JSON.stringify(value));
+                    });
+                    return;
+                }
+
+                Object.entries(values).forEach(([key, value]) => {
+                    if (limits.itemSize(key, value) > limits.QUOTA_BYTES_PER_ITEM) {
+                        throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+                    }
+                });
+
+                if (Object.keys(items).length > limits.MAX_ITEMS) {
+                    throw new Error('MAX_ITEMS quota exceeded');
+                }
+
+                const total = Object.entries(items).reduce((sum, [key, value]) => sum + limits.itemSize(key, value), 0);
+                if (total > limits.QUOTA_BYTES) {
+                    throw new Error('QUOTA_BYTES quota exceeded');
+                }
+
+                Object.entries(values).forEach(([key, value]) => {
+                    localStorage.setItem(prefix + key, JSON.stringify(value));
+                });
+            },
+
+            async remove(keys) {
+                [].concat(keys).forEach(key => localStorage.removeItem(prefix + key));
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncStorage;
+}
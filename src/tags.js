@@ -0,0 +1,313 @@
+/**
+ * Tags Module
+ * Tags on general and date notes, written as #tag in the note text or added
+ * as chips in the note editor, and the tag filter bar above the notes list.
+ *
+ * A note's tags are the chips saved in its `tags` array plus any #tag in its
+ * content. Selecting a tag filters the notes list and highlights calendar
+ * days whose date notes carry it.
+ */
+const Tags = {
+    MAX_TAG_LENGTH: 40,
+
+    // #tag at the start of the text or after a non-word character (not in URLs or entities)
+    TAG_PATTERN: /(^|[^\p{L}\p{N}\p{M}_&#/])#([\p{L}\p{N}_][\p{L}\p{N}\p{M}_\-\u200C]*)/gu,
+
+    selected: null,
+    editorTags: [],
+
+    /**
+     * Initialize Tags module
+     */
+    init() {
+        this.attachEventListeners();
+        Storage.subscribe(Storage.KEYS.NOTES, () => this.render());
+        Storage.subscribe(Storage.KEYS.DATE_NOTES, () => this.render());
+        this.render();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        // Filter bar and tags on notes (Event Delegation)
+        document.addEventListener('click', (e) => {
+            const tagBtn = e.target.closest('#tagFilterBar [data-tag], .note-tag[data-tag]');
+            if (tagBtn) {
+                this.select(tagBtn.dataset.tag || null);
+            }
+        });
+
+        const input = document.getElementById('noteTagsInput');
+        if (input) {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ',' || e.key === '،') {
+                    e.preventDefault();
+                    this.addEditorTag(input.value);
+                    input.value = '';
+                } else if (e.key === 'Backspace' && !input.value && this.editorTags.length > 0) {
+                    this.removeEditorTag(this.editorTags[this.editorTags.length - 1]);
+                }
+            });
+
+            // A tag typed but not confirmed still counts
+            input.addEventListener('blur', () => {
+                this.addEditorTag(input.value);
+                input.value = '';
+            });
+        }
+
+        const chips = document.getElementById('noteTagsChips');
+        if (chips) {
+            chips.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.tag-input-remove');
+                if (removeBtn) {
+                    this.removeEditorTag(removeBtn.dataset.tag);
+                    input?.focus();
+                }
+            });
+        }
+    },
+
+    /**
+     * Normalize a tag for storage and comparison
+     * @param {string} tag - Tag as typed, with or without #
+     * @returns {string} Normalized tag, or '' if empty
+     */
+    normalize(tag) {
+        return String(tag || '')
+            .trim()
+            .replace(/^#+/, '')
+            .replace(/\s+/g, '_')
+            .replace(/^\u200C+|\u200C+$/g, '')
+            .toLowerCase()
+            .slice(0, this.MAX_TAG_LENGTH);
+    },
+
+    /**
+     * Remove duplicates and empty tags
+     * @param {Array<string>} tags - Tags
+     * @returns {Array<string>} Normalized unique tags in their original order
+     */
+    unique(tags) {
+        return [...new Set(tags.map(tag => this.normalize(tag)).filter(Boolean))];
+    },
+
+    /**
+     * Find #tags in note content
+     * @param {string} content - Note content
+     * @returns {Array<string>} Normalized tags
+     */
+    extract(content) {
+        // Code is never scanned for tags
+        const text = String(content || '')
+            .replace(/(```|~~~)[\s\S]*?(?:\1|$)/g, '')
+            .replace(/`[^`\n]*`/g, '');
+
+        return this.unique([...text.matchAll(this.TAG_PATTERN)].map(match => match[2]));
+    },
+
+    /**
+     * All tags of a note
+     * @param {Object} note - Note
+     * @returns {Array<string>} Normalized tags
+     */
+    getTags(note) {
+        const saved = Array.isArray(note.tags) ? note.tags : [];
+        return this.unique([...saved, ...this.extract(note.content)]);
+    },
+
+    /**
+     * Tags to save on a note: the editor chips plus #tags in the content
+     * @param {string} content - Note content
+     * @returns {Array<string>} Normalized tags
+     */
+    collect(content) {
+        return this.unique([...this.editorTags, ...this.extract(content)]);
+    },
+
+    /**
+     * Check a note against the selected tag
+     * @param {Object} note - Note
+     * @param {string|null} tag - Tag (defaults to the selected tag)
+     * @returns {boolean} True if the note has the tag or no tag is selected
+     */
+    matches(note, tag = this.selected) {
+        return !tag || this.getTags(note).includes(tag);
+    },
+
+    /**
+     * Check whether any date note of a day has the selected tag
+     * @param {Array} notes - Date notes of the day
+     * @returns {boolean} True if a tag is selected and one of the notes has it
+     */
+    dayMatches(notes) {
+        return Boolean(this.selected) && Array.isArray(notes) && notes.some(note => this.matches(note));
+    },
+
+    /**
+     * Count tag usage across general and date notes
+     * @returns {Array} [{ tag, count }] most used first
+     */
+    getAll() {
+        const counts = new Map();
+        const dateNotes = Storage.get(Storage.KEYS.DATE_NOTES, {});
+        const notes = [...Storage.getNotes(), ...Object.values(dateNotes).flat()];
+
+        notes.forEach(note => {
+            this.getTags(note).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'fa'));
+    },
+
+    /**
+     * Select a tag to filter by, or clear the filter
+     * @param {string|null} tag - Tag, or null to show all notes
+     */
+    select(tag) {
+        const normalized = this.normalize(tag);
+        this.selected = normalized && normalized !== this.selected ? normalized : null;
+
+        this.render();
+        if (window.app) {
+            window.app.renderNotes();
+        } else if (typeof Notes !== 'undefined') {
+            Notes.render();
+        }
+
+        // Calendar re-renders to highlight matching days
+        window.dispatchEvent(new CustomEvent('notesUpdated'));
+    },
+
+    /**
+     * Render the tag filter bar
+     */
+    render() {
+        const bar = document.getElementById('tagFilterBar');
+        const all = this.getAll();
+
+        // The selected tag may have been removed from every note
+        if (this.selected && !all.some(({ tag }) => tag === this.selected)) {
+            this.selected = null;
+            if (window.app) window.app.renderNotes();
+            window.dispatchEvent(new CustomEvent('notesUpdated'));
+        }
+
+        this.renderSuggestions(all);
+
+        if (!bar) return;
+
+        bar.hidden = all.length === 0;
+        if (all.length === 0) {
+            bar.innerHTML = '';
+            return;
+        }
+
+        const chips = all.map(({ tag, count }) => {
+            const active = tag === this.selected;
+            return `
+                <button type="button" class="tag-chip${active ? ' active' : ''}" data-tag="${Utils.escapeHTML(tag)}" aria-pressed="${active}">
+                    #${Utils.escapeHTML(tag)} <span class="tag-count">${count.toLocaleString('fa-IR')}</span>
+                </button>
+            `;
+        }).join('');
+
+        const clear = this.selected ?
+            '<button type="button" class="tag-chip tag-clear" data-tag="" title="نمایش همه یادداشت‌ها">✕ همه</button>' :
+            '';
+
+        bar.innerHTML = clear + chips;
+    },
+
+    /**
+     * Fill the editor's tag suggestions with existing tags
+     * @param {Array} all - Tags as returned by getAll()
+     */
+    renderSuggestions(all) {
+        const datalist = document.getElementById('noteTagsSuggestions');
+        if (!datalist) return;
+
+        datalist.innerHTML = all
+            .map(({ tag }) => `<option value="${Utils.escapeHTML(tag)}"></option>`)
+            .join('');
+    },
+
+    /**
+     * Render tags shown on a note in a list
+     * @param {Object} note - Note
+     * @returns {string} HTML, or '' if the note has no tags
+     */
+    renderNoteTags(note) {
+        const tags = this.getTags(note);
+        if (tags.length === 0) return '';
+
+        const chips = tags.map(tag => `
+            <button type="button" class="note-tag${tag === this.selected ? ' active' : ''}" data-tag="${Utils.escapeHTML(tag)}" title="فیلتر با این برچسب">
+                #${Utils.escapeHTML(tag)}
+            </button>
+        `).join('');
+
+        return `<div class="note-tags">${chips}</div>`;
+    },
+
+    /**
+     * Load a note's chip tags into the editor
+     * @param {Object|null} note - Note being edited, or null for a new note
+     */
+    setEditorTags(note = null) {
+        // Tags written in the content stay in the content
+        const inContent = note ? this.extract(note.content) : [];
+        const saved = note && Array.isArray(note.tags) ? note.tags : [];
+
+        this.editorTags = this.unique(saved).filter(tag => !inContent.includes(tag));
+
+        const input = document.getElementById('noteTagsInput');
+        if (input) input.value = '';
+
+        this.renderEditorTags();
+    },
+
+    /**
+     * Add a chip to the editor
+     * @param {string} tag - Tag as typed
+     */
+    addEditorTag(tag) {
+        const normalized = this.normalize(tag.replace(/[,،]/g, ' '));
+        if (!normalized || this.editorTags.includes(normalized)) return;
+
+        this.editorTags.push(normalized);
+        this.renderEditorTags();
+    },
+
+    /**
+     * Remove a chip from the editor
+     * @param {string} tag - Normalized tag
+     */
+    removeEditorTag(tag) {
+        this.editorTags = this.editorTags.filter(t => t !== tag);
+        this.renderEditorTags();
+    },
+
+    /**
+     * Render the editor's chips
+     */
+    renderEditorTags() {
+        const chips = document.getElementById('noteTagsChips');
+        if (!chips) return;
+
+        chips.innerHTML = this.editorTags.map(tag => `
+            <li class="tag-input-chip">
+                #${Utils.escapeHTML(tag)}
+                <button type="button" class="tag-input-remove" data-tag="${Utils.escapeHTML(tag)}" aria-label="حذف برچسب ${Utils.escapeHTML(tag)}">×</button>
+            </li>
+        `).join('');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tags;
+}
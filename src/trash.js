@@ -0,0 +1,185 @@
+/**
+ * Trash Module
+ * Lists deleted notes, date notes and quick access tiles so they can be
+ * restored or purged, and expires them after the retention period.
+ */
+const Trash = {
+    RETENTION_OPTIONS: [7, 30, 90, 365],
+
+    TYPE_LABELS: {
+        note: 'یادداشت',
+        dateNote: 'یادداشت روز',
+        quickAccess: 'دسترسی سریع'
+    },
+
+    /**
+     * Initialize Trash module
+     */
+    init() {
+        Storage.purgeExpiredTrash();
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        const retentionSelect = document.getElementById('trashRetention');
+        if (retentionSelect) {
+            retentionSelect.addEventListener('change', (e) => {
+                Storage.setTrashRetention(Number(e.target.value));
+                Storage.purgeExpiredTrash();
+                this.render();
+            });
+        }
+
+        const emptyBtn = document.getElementById('emptyTrashBtn');
+        if (emptyBtn) {
+            emptyBtn.addEventListener('click', () => this.empty());
+        }
+
+        // Restore / purge buttons (Event Delegation)
+        const list = document.getElementById('trashList');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const restoreBtn = e.target.closest('.trash-restore');
+                const purgeBtn = e.target.closest('.trash-purge');
+
+                if (restoreBtn) {
+                    this.restore(restoreBtn.dataset.id);
+                } else if (purgeBtn) {
+                    this.purge(purgeBtn.dataset.id);
+                }
+            });
+        }
+
+        document.addEventListener('settingsOpened', () => {
+            Storage.purgeExpiredTrash();
+            this.render();
+        });
+
+        Storage.subscribe(Storage.KEYS.TRASH, () => {
+            if (Settings.isOpen()) this.render();
+        });
+    },
+
+    /**
+     * Describe where a trashed item came from
+     * @param {Object} entry - Trash entry
+     * @returns {string} Origin label
+     */
+    getOriginLabel(entry) {
+        const label = this.TYPE_LABELS[entry.type] || entry.type;
+
+        if (entry.type === 'dateNote') {
+            const date = Utils.parseDateKey(entry.dateKey);
+            return date ? `${label} · ${Utils.formatDate(date)}` : label;
+        }
+
+        return label;
+    },
+
+    /**
+     * Render the trash list
+     */
+    render() {
+        const list = document.getElementById('trashList');
+        const retentionSelect = document.getElementById('trashRetention');
+        const emptyBtn = document.getElementById('emptyTrashBtn');
+
+        if (retentionSelect) {
+            retentionSelect.value = String(Storage.getTrashRetention());
+        }
+
+        if (!list) return;
+
+        const trash = Storage.getTrash();
+
+        if (emptyBtn) {
+            emptyBtn.disabled = trash.length === 0;
+        }
+
+        if (trash.length === 0) {
+            list.innerHTML = '<div class="empty-state">سطل زباله خالی است</div>';
+            return;
+        }
+
+        list.innerHTML = trash.map(entry => `
+            <div class="trash-item" role="listitem">
+                <div class="trash-item-info">
+                    <span class="trash-item-title">${Utils.escapeHTML(entry.item.title || 'بدون عنوان')}</span>
+                    <small class="trash-item-meta">
+                        ${Utils.escapeHTML(this.getOriginLabel(entry))} ·
+                        حذف در ${Utils.formatDate(new Date(entry.deletedAt))}
+                    </small>
+                </div>
+                <div class="trash-item-actions">
+                    <button type="button" class="btn-icon trash-restore" data-id="${Utils.escapeHTML(entry.id)}" title="بازگردانی">↩️</button>
+                    <button type="button" class="btn-icon trash-purge" data-id="${Utils.escapeHTML(entry.id)}" title="حذف دائمی">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Restore a trashed item
+     * @param {string} entryId - Trash entry ID
+     */
+    async restore(entryId) {
+        const entry = Storage.getTrash().find(e => e.id === entryId);
+        if (!entry) return;
+
+        if (entry.type === 'quickAccess' && typeof QuickAccess !== 'undefined' &&
+            Storage.getQuickAccess().length >= QuickAccess.MAX_ITEMS) {
+            Utils.showToast(`حداکثر ${QuickAccess.MAX_ITEMS} دسترسی سریع مجاز است`, 'error');
+            return;
+        }
+
+        const restored = await Storage.commit(() => Storage.restoreFromTrash(entryId));
+
+        this.render();
+        window.app?.refresh();
+
+        if (restored) {
+            Utils.showToast('مورد بازگردانی شد');
+        } else {
+            Utils.showToast('بازگردانی ناموفق بود', 'error');
+        }
+    },
+
+    /**
+     * Permanently delete a trashed item
+     * @param {string} entryId - Trash entry ID
+     */
+    async purge(entryId) {
+        if (confirm('این مورد برای همیشه حذف می‌شود. ادامه می‌دهید؟')) {
+            const purged = await Storage.commit(() => Storage.purgeTrashEntry(entryId));
+            this.render();
+
+            if (!purged) {
+                Utils.showToast('حذف دائمی ناموفق بود', 'error');
+            }
+        }
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async empty() {
+        if (confirm('همه موارد سطل زباله برای همیشه حذف می‌شوند. ادامه می‌دهید؟')) {
+            const emptied = await Storage.commit(() => Storage.emptyTrash());
+            this.render();
+
+            if (emptied) {
+                Utils.showToast('سطل زباله خالی شد');
+            } else {
+                Utils.showToast('خالی کردن سطل زباله ناموفق بود', 'error');
+            }
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Trash;
+}
@@ -0,0 +1,382 @@
+/**
+ * Undo Module
+ * Command-based undo/redo for note, date note and quick access changes.
+ *
+ * Each command records only what it changed: for lists of records (and
+ * date notes, list by list) the records it added, removed, changed or
+ * reordered, for other keys the whole value before and after. Undo puts
+ * the "before" side back and redo the "after" side, but only while those
+ * records still match what the command left behind, so changes made since
+ * (e.g. in another tab) are never lost.
+ */
+const Undo = {
+    MAX_ENTRIES: 50,
+
+    undoStack: [],
+    redoStack: [],
+
+    /**
+     * Initialize Undo module
+     */
+    init() {
+        this.attachEventListeners();
+    },
+
+    /**
+     * Attach all event listeners
+     */
+    attachEventListeners() {
+        document.addEventListener('keydown', (e) => {
+            // e.code keeps the shortcut working with the Persian keyboard layout
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.code !== 'KeyZ') return;
+
+            // Leave text fields to the browser's own undo
+            const target = e.target;
+            if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+    },
+
+    /**
+     * Check if a value is a list of records with unique IDs
+     * @param {*} value - Stored value
+     * @returns {boolean} True if it can be diffed record by record
+     */
+    isRecordList(value) {
+        return Array.isArray(value) &&
+            value.every(record => record && typeof record.id === 'string') &&
+            new Set(value.map(record => record.id)).size === value.length;
+    },
+
+    /**
+     * Check if a value is a map of record lists (date notes by date key)
+     * @param {*} value - Stored value
+     * @returns {boolean} True if it can be diffed list by list
+     */
+    isRecordGroups(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+            Object.values(value).every(list => this.isRecordList(list));
+    },
+
+    /**
+     * Record what changed between two record lists
+     * @param {Array} before - Records before
+     * @param {Array} after - Records after
+     * @returns {Object} { changes: [{ id, before, after, index }], order }
+     *   before/after are record JSON (null if absent); index is the position
+     *   of an added or removed record; order holds both ID orders if the
+     *   kept records were reordered
+     */
+    diffList(before, after) {
+        const beforeJson = new Map(before.map(record => [record.id, JSON.stringify(record)]));
+        const afterJson = new Map(after.map(record => [record.id, JSON.stringify(record)]));
+        const changes = [];
+
+        before.forEach((record, index) => {
+            const json = afterJson.has(record.id) ? afterJson.get(record.id) : null;
+            if (json !== beforeJson.get(record.id)) {
+                changes.push({ id: record.id, before: beforeJson.get(record.id), after: json, index });
+            }
+        });
+
+        after.forEach((record, index) => {
+            if (!beforeJson.has(record.id)) {
+                changes.push({ id: record.id, before: null, after: afterJson.get(record.id), index });
+            }
+        });
+
+        const kept = list => list.map(record => record.id).filter(id => beforeJson.has(id) && afterJson.has(id));
+        const keptAfter = kept(after);
+        const reordered = kept(before).some((id, index) => keptAfter[index] !== id);
+
+        return {
+            changes,
+            order: reordered ? { before: before.map(record => record.id), after: after.map(record => record.id) } : null
+        };
+    },
+
+    /**
+     * Move a record list from one side of a diff to the other
+     * @param {Array} current - Stored records
+     * @param {Object} diff - From diffList()
+     * @param {string} from - 'after' to undo, 'before' to redo
+     * @param {string} to - The other side
+     * @returns {Array|null} New records, or null if the records changed since
+     */
+    applyList(current, { changes, order }, from, to) {
+        const byId = new Map(current.map(record => [record.id, record]));
+
+        // Only records still as the command left them can be changed back
+        const unchanged = changes.every(change =>
+            (byId.has(change.id) ? JSON.stringify(byId.get(change.id)) : null) === change[from]
+        );
+        if (!unchanged || (order && current.map(record => record.id).join('\n') !== order[from].join('\n'))) {
+            return null;
+        }
+
+        const removed = new Set(changes.filter(change => change[to] === null).map(change => change.id));
+        const replaced = new Map(changes
+            .filter(change => change[from] !== null && change[to] !== null)
+            .map(change => [change.id, JSON.parse(change[to])]));
+
+        const list = current
+            .filter(record => !removed.has(record.id))
+            .map(record => replaced.get(record.id) || record);
+
+        changes
+            .filter(change => change[from] === null)
+            .sort((a, b) => a.index - b.index)
+            .forEach(change => list.splice(Math.min(change.index, list.length), 0, JSON.parse(change[to])));
+
+        if (order) {
+            const records = new Map(list.map(record => [record.id, record]));
+            return order[to].map(id => records.get(id));
+        }
+
+        return list;
+    },
+
+    /**
+     * Record what changed in a stored value
+     * @param {*} before - Value before
+     * @param {*} after - Value after
+     * @returns {Object|null} Change, or null if nothing changed
+     */
+    diff(before, after) {
+        if (this.isRecordList(before) && this.isRecordList(after)) {
+            const diff = this.diffList(before, after);
+            return diff.changes.length > 0 || diff.order ? { kind: 'list', ...diff } : null;
+        }
+
+        if (this.isRecordGroups(before) && this.isRecordGroups(after)) {
+            const groups = [];
+
+            new Set([...Object.keys(before), ...Object.keys(after)]).forEach(group => {
+                const diff = this.diffList(before[group] || [], after[group] || []);
+                const missing = { before: !(group in before), after: !(group in after) };
+
+                if (diff.changes.length > 0 || diff.order || missing.before !== missing.after) {
+                    groups.push({ group, missing, ...diff });
+                }
+            });
+
+            return groups.length > 0 ? { kind: 'groups', groups } : null;
+        }
+
+        // Settings and unexpected shapes are small enough to keep whole
+        const beforeJson = JSON.stringify(before);
+        const afterJson = JSON.stringify(after);
+        return beforeJson === afterJson ? null : { kind: 'value', before: beforeJson, after: afterJson };
+    },
+
+    /**
+     * Move a stored value from one side of a change to the other
+     * @param {*} current - Stored value
+     * @param {Object} change - From diff()
+     * @param {string} from - 'after' to undo, 'before' to redo
+     * @param {string} to - The other side
+     * @returns {Object|null} { value } to store, or null if the data changed since
+     */
+    applyChange(current, change, from, to) {
+        if (change.kind === 'list') {
+            const list = this.isRecordList(current) ? this.applyList(current, change, from, to) : null;
+            return list ? { value: list } : null;
+        }
+
+        if (change.kind === 'groups') {
+            if (!this.isRecordGroups(current)) return null;
+
+            const value = { ...current };
+            for (const { group, missing, ...diff } of change.groups) {
+                const list = this.applyList(value[group] || [], diff, from, to);
+                if (!list) return null;
+
+                if (missing[to] && list.length === 0) {
+                    delete value[group];
+                } else {
+                    value[group] = list;
+                }
+            }
+
+            return { value };
+        }
+
+        return JSON.stringify(current) === change[from] ? { value: JSON.parse(change[to]) } : null;
+    },
+
+    /**
+     * Work out the stored values for one side of a command's changes
+     * @param {Object} changes - Changes keyed by storage key
+     * @param {string} from - 'after' to undo, 'before' to redo
+     * @param {string} to - The other side
+     * @returns {Object|null} Values keyed by storage key (null removes the key),
+     *   or null if the data changed since
+     */
+    resolveChanges(changes, from, to) {
+        const values = {};
+
+        for (const [key, change] of Object.entries(changes)) {
+            const result = this.applyChange(Storage.get(key, null), change, from, to);
+            if (!result) return null;
+            values[key] = result.value;
+        }
+
+        return values;
+    },
+
+    /**
+     * Write values from resolveChanges()
+     * @param {Object} values - Values keyed by storage key
+     * @returns {boolean} Success status
+     */
+    writeValues(values) {
+        return Object.entries(values).every(([key, value]) =>
+            value === null ? Storage.remove(key) : Storage.set(key, value)
+        );
+    },
+
+    /**
+     * Run a mutation and record it as an undoable command
+     * @param {string} label - Description shown in toasts
+     * @param {Array<string>} keys - Storage keys the mutation touches
+     * @param {Function} mutate - Performs the change; returning false cancels recording
+     * @returns {*} Result of mutate
+     */
+    record(label, keys, mutate) {
+        const before = {};
+        keys.forEach(key => {
+            before[key] = Storage.get(key, null);
+        });
+
+        const result = mutate();
+
+        if (result === false) {
+            return result;
+        }
+
+        const changes = {};
+        keys.forEach(key => {
+            const change = this.diff(before[key], Storage.get(key, null));
+            if (change) changes[key] = change;
+        });
+
+        if (Object.keys(changes).length === 0) {
+            return result;
+        }
+
+        this.undoStack.push({ label, changes });
+        if (this.undoStack.length > this.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        return result;
+    },
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    /**
+     * Undo the last command
+     * @returns {Promise<boolean>} Success status
+     */
+    async undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            Utils.showToast('موردی برای واگرد وجود ندارد', 'info');
+            return false;
+        }
+
+        const values = this.resolveChanges(command.changes, 'after', 'before');
+        if (!values) {
+            this.clear();
+            Utils.showToast('داده‌ها پس از این تغییر عوض شده‌اند و واگرد ممکن نیست', 'error');
+            return false;
+        }
+
+        if (!await Storage.commit(() => this.writeValues(values))) {
+            this.undoStack.push(command);
+            window.app?.refresh();
+            Utils.showToast('واگرد ذخیره نشد', 'error');
+            return false;
+        }
+
+        this.redoStack.push(command);
+        window.app?.refresh();
+        Utils.showToast(`واگرد: ${command.label}`, 'info', {
+            label: 'انجام دوباره',
+            onClick: () => this.redo()
+        });
+        return true;
+    },
+
+    /**
+     * Redo the last undone command
+     * @returns {Promise<boolean>} Success status
+     */
+    async redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            Utils.showToast('موردی برای انجام دوباره وجود ندارد', 'info');
+            return false;
+        }
+
+        const values = this.resolveChanges(command.changes, 'before', 'after');
+        if (!values) {
+            this.clear();
+            Utils.showToast('داده‌ها پس از این تغییر عوض شده‌اند و انجام دوباره ممکن نیست', 'error');
+            return false;
+        }
+
+        if (!await Storage.commit(() => this.writeValues(values))) {
+            this.redoStack.push(command);
+            window.app?.refresh();
+            Utils.showToast('انجام دوباره ذخیره نشد', 'error');
+            return false;
+        }
+
+        this.undoStack.push(command);
+        window.app?.refresh();
+        Utils.showToast(`انجام دوباره: ${command.label}`, 'info', this.getToastAction());
+        return true;
+    },
+
+    /**
+     * Toast action that undoes the last command
+     * @returns {Object|null} { label, onClick } or null if nothing to undo
+     */
+    getToastAction() {
+        if (!this.canUndo()) {
+            return null;
+        }
+
+        return {
+            label: 'واگرد',
+            onClick: () => this.undo()
+        };
+    },
+
+    /**
+     * Forget all recorded commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Undo;
+}
@@ -12,6 +12,16 @@ const Utils = {
         return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     },
 
+    /**
+     * Check an ID from an untrusted source (backup, imported file); IDs end
+     * up in HTML attributes and selectors, so only word characters and "-"
+     * @param {*} id - Record ID
+     * @returns {boolean} True if the ID is safe to use
+     */
+    isSafeId(id) {
+        return typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+    },
+
     /**
      * Format date to Persian locale
      * @param {Date} date - Date object
@@ -67,6 +77,45 @@ const Utils = {
         return `${year}-${month}-${day}`;
     },
 
+    /**
+     * Normalize a date key to the canonical YYYY-MM-DD format.
+     * Also accepts the legacy YYYYMM-DD and unpadded YYYY-M-D formats.
+     * @param {string} key - Date key
+     * @returns {string|null} Canonical date key or null if invalid
+     */
+    normalizeDateKey(key) {
+        const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(key) ||
+                      /^(\d{4})(\d{2})-(\d{2})$/.exec(key);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+
+        // Reject overflowing dates such as 2025-02-31
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            return null;
+        }
+
+        return this.getDateKey(date);
+    },
+
+    /**
+     * Parse a date key into a local Date
+     * @param {string} key - Date key (YYYY-MM-DD or a legacy format)
+     * @returns {Date|null} Date object or null if invalid
+     */
+    parseDateKey(key) {
+        const normalized = this.normalizeDateKey(key);
+        if (!normalized) {
+            return null;
+        }
+
+        const [year, month, day] = normalized.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
     /**
      * Check if two dates are the same day
      * @param {Date} date1 - First date
@@ -219,21 +268,57 @@ const Utils = {
         }
     },
 
+    /**
+     * Trigger a file download in the browser
+     * @param {string} filename - Suggested file name
+     * @param {string|Blob} content - File content
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(filename, content, mimeType = 'application/json') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Pending toast auto-hide timer
+    toastTimeout: null,
+
     /**
      * Show toast notification
      * @param {string} message - Message to display
      * @param {string} type - Toast type (success, error, info)
+     * @param {Object|null} action - Optional { label, onClick } button, e.g. undo
      */
-    showToast(message, type = 'success') {
+    showToast(message, type = 'success', action = null) {
         const toast = document.getElementById('toast');
         const toastMessage = document.getElementById('toastMessage');
-        const toastIcon = toast.querySelector('.toast-icon');
+        const toastAction = document.getElementById('toastAction');
         
         if (!toast || !toastMessage) return;
         
+        const toastIcon = toast.querySelector('.toast-icon');
+        
         // Set message
         toastMessage.textContent = message;
         
+        // Action button
+        if (toastAction) {
+            toastAction.hidden = !action;
+            toastAction.textContent = action ? action.label : '';
+            toastAction.onclick = action ? () => {
+                toast.classList.remove('active');
+                action.onClick();
+            } : null;
+        }
+        
         // Update icon based on type
         let iconSVG = '';
         let borderColor = '';
@@ -257,12 +342,14 @@ const Utils = {
         toast.style.borderColor = borderColor;
         
         // Show toast
+        toast.hidden = false;
         toast.classList.add('active');
         
-        // Auto hide after 3 seconds
-        setTimeout(() => {
+        // Auto hide after 3 seconds, longer when there is an action to reach
+        clearTimeout(this.toastTimeout);
+        this.toastTimeout = setTimeout(() => {
             toast.classList.remove('active');
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 };
 
@@ -0,0 +1,212 @@
+/**
+ * Zip Module
+ * Minimal ZIP archive writer and reader without dependencies.
+ *
+ * Archives are written uncompressed (method 0, "stored") with UTF-8 file
+ * names. Reading also accepts deflated entries (method 8) where the browser
+ * provides DecompressionStream, which covers archives zipped by other tools.
+ */
+const Zip = {
+    SIGNATURES: {
+        LOCAL_FILE: 0x04034b50,
+        CENTRAL_FILE: 0x02014b50,
+        END_OF_CENTRAL: 0x06054b50
+    },
+
+    // General purpose flag: file names are UTF-8
+    FLAG_UTF8: 0x0800,
+
+    METHOD_STORED: 0,
+    METHOD_DEFLATED: 8,
+
+    crcTable: null,
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    },
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @param {Date} date - Date
+     * @returns {Object} { time, date }
+     */
+    toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    /**
+     * Build a ZIP archive
+     * @param {Array} files - [{ name, content, date }], content as string or Uint8Array
+     * @returns {Blob} ZIP file
+     */
+    create(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+            const crc = this.crc32(data);
+            const { time, date } = this.toDosDateTime(file.date || new Date());
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, this.SIGNATURES.LOCAL_FILE, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, this.FLAG_UTF8, true);
+            local.setUint16(8, this.METHOD_STORED, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, this.SIGNATURES.CENTRAL_FILE, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, this.FLAG_UTF8, true);
+            entry.setUint16(10, this.METHOD_STORED, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+
+            parts.push(local, name, data);
+            central.push(entry, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, this.SIGNATURES.END_OF_CENTRAL, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    },
+
+    /**
+     * Check if bytes start like a ZIP archive
+     * @param {Uint8Array} bytes - File bytes
+     * @returns {boolean} True if ZIP
+     */
+    isZip(bytes) {
+        return bytes.length >= 4 &&
+            new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === this.SIGNATURES.LOCAL_FILE;
+    },
+
+    /**
+     * Inflate a raw deflate stream
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('Compressed ZIP entries are not supported in this browser');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * Read the files of a ZIP archive
+     * @param {Uint8Array} bytes - Archive bytes
+     * @returns {Promise<Array>} [{ name, data }] with data as Uint8Array (folders are skipped)
+     */
+    async read(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end record sits at the end, followed by a comment of up to 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === this.SIGNATURES.END_OF_CENTRAL) {
+                end = i;
+                break;
+            }
+        }
+
+        if (end < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let pointer = view.getUint32(end + 16, true);
+        const files = [];
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(pointer, true) !== this.SIGNATURES.CENTRAL_FILE) {
+                throw new Error('Corrupt ZIP directory');
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+
+            // Without the UTF-8 flag names are nominally CP437, but tools write UTF-8 in practice
+            const name = new TextDecoder().decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue;
+
+            const dataStart = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === this.METHOD_STORED) {
+                data = raw;
+            } else if (method === this.METHOD_DEFLATED) {
+                data = await this.inflate(raw);
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method}`);
+            }
+
+            files.push({ name, data });
+        }
+
+        return files;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Zip;
+}